@@ -0,0 +1,284 @@
+import { afterEach, describe, it, mock } from 'node:test';
+
+import { expect } from 'expect';
+import stripAnsi from 'strip-ansi';
+
+import { configure, resetConfig } from '../index.mjs';
+
+/**
+ * Helper function to create an object with an accessor property to spy on
+ * @returns {Object} - The object
+ */
+function createSettings() {
+  return {
+    _theme: 'light',
+    get theme() {
+      return this._theme;
+    },
+    set theme(value) {
+      this._theme = value;
+    },
+  };
+}
+
+describe('accessorMatchers', () => {
+  afterEach(() => {
+    resetConfig();
+  });
+
+  it('toHaveBeenAccessed - should pass when the getter was read', () => {
+    const settings = createSettings();
+    const getter = mock.getter(settings, 'theme');
+
+    expect(getter).not.toHaveBeenAccessed();
+
+    settings.theme;
+
+    expect(getter).toHaveBeenAccessed();
+  });
+
+  it('toHaveBeenAccessed - should describe reads in the failure message', () => {
+    const getter = mock.getter(createSettings(), 'theme');
+
+    try {
+      expect(getter).toHaveBeenAccessed();
+      throw new Error('should not pass');
+    } catch (error) {
+      const message = stripAnsi(error.message);
+
+      expect(message).toEqual(
+        expect.stringContaining(
+          'expect(property).toHaveBeenAccessed() // toHaveBeenAccessed of Node.js property spy'
+        )
+      );
+      expect(message).toEqual(
+        expect.stringContaining(
+          'Expected number of reads: >= 1\nReceived number of reads:    0'
+        )
+      );
+    }
+  });
+
+  it('toHaveBeenAccessedTimes - should count the reads', () => {
+    const settings = createSettings();
+    const getter = mock.getter(settings, 'theme');
+
+    settings.theme;
+    settings.theme;
+
+    expect(getter).toHaveBeenAccessedTimes(2);
+    expect(getter).not.toHaveBeenAccessedTimes(1);
+
+    try {
+      expect(getter).toHaveBeenAccessedTimes(3);
+      throw new Error('should not pass');
+    } catch (error) {
+      expect(stripAnsi(error.message)).toEqual(
+        expect.stringContaining(
+          'Expected number of reads: 3\nReceived number of reads: 2'
+        )
+      );
+    }
+  });
+
+  it('toHaveBeenAssigned - should verify that a property was never written', () => {
+    const settings = createSettings();
+    const setter = mock.setter(settings, 'theme');
+
+    expect(setter).not.toHaveBeenAssigned();
+
+    settings.theme = 'dark';
+
+    expect(setter).toHaveBeenAssigned();
+
+    try {
+      expect(setter).not.toHaveBeenAssigned();
+      throw new Error('should not pass');
+    } catch (error) {
+      expect(stripAnsi(error.message)).toEqual(
+        expect.stringContaining(
+          'Expected number of writes: 0\nReceived number of writes: 1'
+        )
+      );
+    }
+  });
+
+  it('toHaveBeenAssignedWith - should match any written value', () => {
+    const settings = createSettings();
+    const setter = mock.setter(settings, 'theme');
+
+    settings.theme = 'dark';
+    settings.theme = 'light';
+
+    expect(setter).toHaveBeenAssignedWith('dark');
+    expect(setter).toHaveBeenAssignedWith(expect.stringMatching(/^li/));
+    expect(setter).not.toHaveBeenAssignedWith('sepia');
+
+    try {
+      expect(setter).toHaveBeenAssignedWith('sepia');
+      throw new Error('should not pass');
+    } catch (error) {
+      const message = stripAnsi(error.message);
+
+      expect(message).toEqual(
+        expect.stringContaining(
+          'Expected: written "sepia"\nReceived\n\t0: "dark"\n\t1: "light"'
+        )
+      );
+      expect(message).toEqual(expect.stringContaining('Number of writes: 2'));
+    }
+  });
+
+  it('toHaveBeenAssignedWith - should report a property that was not written', () => {
+    const setter = mock.setter(createSettings(), 'theme');
+
+    try {
+      expect(setter).toHaveBeenAssignedWith('dark');
+      throw new Error('should not pass');
+    } catch (error) {
+      expect(stripAnsi(error.message)).toEqual(
+        expect.stringContaining('But the property was not written')
+      );
+    }
+  });
+
+  it('toHaveBeenAssignedWith - should follow the configured equality', () => {
+    const settings = createSettings();
+    const setter = mock.setter(settings, 'theme');
+
+    settings.theme = { name: 'dark', contrast: undefined };
+
+    expect(setter).toHaveBeenAssignedWith({ name: 'dark' });
+
+    configure({ equality: 'strict' });
+
+    expect(setter).not.toHaveBeenAssignedWith({ name: 'dark' });
+  });
+
+  it('toHaveBeenLastAssignedWith - should check the last written value', () => {
+    const settings = createSettings();
+    const setter = mock.setter(settings, 'theme');
+
+    settings.theme = 'dark';
+    settings.theme = 'light';
+
+    expect(setter).toHaveBeenLastAssignedWith('light');
+
+    try {
+      expect(setter).toHaveBeenLastAssignedWith('dark');
+      throw new Error('should not pass');
+    } catch (error) {
+      expect(stripAnsi(error.message)).toEqual(
+        expect.stringContaining('Expected: written "dark"\nReceived: "light"')
+      );
+    }
+  });
+
+  it('toHaveBeenNthAssignedWith - should check the nth written value', () => {
+    const settings = createSettings();
+    const setter = mock.setter(settings, 'theme');
+
+    settings.theme = 'dark';
+    settings.theme = 'light';
+
+    expect(setter).toHaveBeenNthAssignedWith(1, 'dark');
+    expect(setter).not.toHaveBeenNthAssignedWith(2, 'dark');
+
+    try {
+      expect(setter).toHaveBeenNthAssignedWith(3, 'dark');
+      throw new Error('should not pass');
+    } catch (error) {
+      expect(stripAnsi(error.message)).toEqual(
+        expect.stringContaining('But the property was only written 2 time(s)')
+      );
+    }
+  });
+
+  it(
+    'should support mock.property()',
+    {
+      skip:
+        typeof mock.property !== 'function' &&
+        'mock.property() is not available',
+    },
+    () => {
+      const settings = { theme: 'light' };
+      const property = mock.property(settings, 'theme', 'dark');
+
+      settings.theme;
+      settings.theme = 'sepia';
+      settings.theme;
+
+      expect(property).toHaveBeenAccessedTimes(2);
+      expect(property).toHaveBeenAssignedWith('sepia');
+      expect(property).toHaveBeenLastAssignedWith('sepia');
+
+      property.mock.restore();
+    }
+  );
+
+  it('should throw for a value that is not a property spy', () => {
+    expect(() => {
+      expect({}).toHaveBeenAccessed();
+    }).toThrow(
+      'value must be a spy created by mock.getter(), mock.setter() or mock.property()'
+    );
+  });
+
+  it('should throw for a mock function or a method spy', () => {
+    const reset = mock.method({ reset() {} }, 'reset');
+
+    expect(() => {
+      expect(mock.fn()).toHaveBeenAccessed();
+    }).toThrow(
+      'Spies created by mock.fn() or mock.method() record calls, check them with the call matchers'
+    );
+    expect(() => {
+      expect(reset).toHaveBeenAssigned();
+    }).toThrow(TypeError);
+
+    reset.mock.restore();
+  });
+
+  it('should throw for a spy of a method named get or set', () => {
+    const cache = new Map();
+    const set = mock.method(cache, 'set');
+    const get = mock.method(cache, 'get');
+
+    cache.set('k', 'v');
+    cache.get('k');
+
+    expect(() => {
+      expect(set).toHaveBeenAssignedWith('k');
+    }).toThrow(
+      'value must be a spy created by mock.getter(), mock.setter() or mock.property()'
+    );
+    expect(() => {
+      expect(get).toHaveBeenAccessed();
+    }).toThrow(TypeError);
+
+    set.mock.restore();
+    get.mock.restore();
+  });
+
+  it('should count every call of a getter spy as a read', () => {
+    const settings = {};
+
+    Object.defineProperty(settings, 'theme', {
+      configurable: true,
+      get() {
+        return 'light';
+      },
+    });
+
+    const getter = mock.getter(settings, 'theme');
+
+    Object.getOwnPropertyDescriptor(settings, 'theme').get.call(
+      settings,
+      'unexpected'
+    );
+
+    expect(getter).toHaveBeenAccessedTimes(1);
+    expect(getter).not.toHaveBeenAssigned();
+  });
+});
@@ -0,0 +1,172 @@
+import { AssertionError } from 'node:assert';
+import { readFileSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { describe, it, mock } from 'node:test';
+import { fileURLToPath } from 'node:url';
+
+import { expect } from 'expect';
+import * as jestMatcherUtils from 'jest-matcher-utils';
+import stripAnsi from 'strip-ansi';
+
+import {
+  assertCalledTimes,
+  assertCalledWith,
+  assertResolvedWith,
+  assertReturnedTimes,
+} from '../assert.mjs';
+import '../index.mjs';
+import { plainMatcherUtils } from '../matcherUtils.mjs';
+
+const LIB_DIR = join(dirname(fileURLToPath(import.meta.url)), '..');
+
+/**
+ * Helper function to collect the packages imported by a module and the modules it imports
+ * @param {string} file - The path of the module
+ * @param {Set<string>} [visited] - The modules already collected
+ * @returns {Set<string>} - The imported packages
+ */
+function collectPackages(file, visited = new Set()) {
+  const packages = new Set();
+
+  visited.add(file);
+
+  for (const [, specifier] of readFileSync(file, 'utf8').matchAll(
+    /^(?:import|export)\s[^;]*?from\s+'([^']+)'/gm
+  )) {
+    if (!specifier.startsWith('.')) {
+      packages.add(specifier);
+    } else if (!visited.has(join(dirname(file), specifier))) {
+      for (const name of collectPackages(
+        join(dirname(file), specifier),
+        visited
+      )) {
+        packages.add(name);
+      }
+    }
+  }
+
+  return packages;
+}
+
+describe('assert', () => {
+  it('should pass silently when the assertion holds', () => {
+    const add = mock.fn((a, b) => a + b);
+
+    add(1, 2);
+
+    expect(assertCalledWith(add, 1, 2)).toBeUndefined();
+    expect(assertReturnedTimes(add, 1)).toBeUndefined();
+  });
+
+  it('should throw an AssertionError with the message of the matcher', () => {
+    const add = mock.fn((a, b) => a + b);
+
+    add(1, 2);
+
+    let matcherMessage;
+
+    try {
+      expect(add).toHaveBeenCalledWith(1, 3);
+    } catch (error) {
+      matcherMessage = error.message;
+    }
+
+    expect(() => assertCalledWith(add, 1, 3)).toThrow(AssertionError);
+
+    try {
+      assertCalledWith(add, 1, 3);
+      throw new Error('should not pass');
+    } catch (error) {
+      expect(error.message).toBe(matcherMessage);
+      expect(error.operator).toBe('toHaveBeenCalledWith');
+      expect(error.code).toBe('ERR_ASSERTION');
+    }
+  });
+
+  it('should start the stack trace at the caller', () => {
+    try {
+      assertCalledTimes(mock.fn(), 1);
+      throw new Error('should not pass');
+    } catch (error) {
+      expect(
+        error.stack.split('\n').find(line => line.trim().startsWith('at '))
+      ).toEqual(expect.stringContaining('assert.test.mjs'));
+    }
+  });
+
+  it('should return a promise for the async matchers', async () => {
+    const load = mock.fn(async id => ({ id }));
+
+    await load(1);
+
+    await assertResolvedWith(load, { id: 1 });
+    await expect(assertResolvedWith(load, { id: 2 })).rejects.toThrow(
+      AssertionError
+    );
+  });
+
+  it('should not depend on expect, jest-matcher-utils and chalk', () => {
+    const packages = collectPackages(join(LIB_DIR, 'assert.mjs'));
+
+    expect(packages).not.toContain('expect');
+    expect(packages).not.toContain('jest-matcher-utils');
+    expect(packages).not.toContain('chalk');
+  });
+
+  it('plainMatcherUtils - should print like jest-matcher-utils without colors', () => {
+    const hintOptions = [
+      [],
+      ['toHaveBeenCalledWith', 'mock.fn()', '...expected'],
+      [
+        'toHaveBeenCalledTimes',
+        'mock.fn()',
+        'expected',
+        { isNot: true, promise: 'resolves', comment: 'a comment' },
+      ],
+      ['toHaveBeenNthCalledWith', 'mock.fn()', 'n', { secondArgument: 'x' }],
+      ['toHaveBeenCalled', 'mock.fn()', ''],
+    ];
+
+    for (const [name = 'toBe', ...args] of hintOptions) {
+      expect(plainMatcherUtils.matcherHint(name, ...args)).toBe(
+        stripAnsi(jestMatcherUtils.matcherHint(name, ...args))
+      );
+    }
+
+    for (const value of [null, undefined, 1, 'a', [1, { b: 2 }], new Map()]) {
+      expect(plainMatcherUtils.printReceived(value)).toBe(
+        stripAnsi(jestMatcherUtils.printReceived(value))
+      );
+      expect(
+        plainMatcherUtils.printWithType(
+          'Expected',
+          value,
+          plainMatcherUtils.printExpected
+        )
+      ).toBe(
+        stripAnsi(
+          jestMatcherUtils.printWithType(
+            'Expected',
+            value,
+            jestMatcherUtils.printExpected
+          )
+        )
+      );
+    }
+
+    expect(
+      plainMatcherUtils.matcherErrorMessage('hint', 'generic', 'specific')
+    ).toBe(
+      stripAnsi(
+        jestMatcherUtils.matcherErrorMessage('hint', 'generic', 'specific')
+      )
+    );
+    expect(
+      plainMatcherUtils.printDiffOrStringify(1, 2, 'Expected', 'Received')
+    ).toBe(
+      stripAnsi(
+        jestMatcherUtils.printDiffOrStringify(1, 2, 'Expected', 'Received')
+      )
+    );
+  });
+});
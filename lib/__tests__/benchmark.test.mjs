@@ -0,0 +1,85 @@
+import { beforeEach, describe, it, mock } from 'node:test';
+
+import { expect } from 'expect';
+
+import '../index.mjs';
+
+const CALLS = 20000;
+
+/**
+ * Helper function to create the user a call is made with
+ * @param {number} id - The id of the user
+ * @returns {Object} - The user
+ */
+function createUser(id) {
+  return { id, name: `user-${id}`, roles: ['reader', 'writer'] };
+}
+
+describe('benchmark', () => {
+  const method = mock.fn(user => ({ ...user, saved: true }));
+  let expected;
+  let compared;
+  let resultReads;
+
+  for (let id = 0; id < CALLS; id += 1) {
+    method(createUser(id));
+  }
+
+  // Count the reads of the results, Node returns the same call records every time
+  for (const call of method.mock.calls) {
+    const { result } = call;
+
+    Object.defineProperty(call, 'result', {
+      get() {
+        resultReads += 1;
+        return result;
+      },
+    });
+  }
+
+  // Count the comparisons with the expected value of the test
+  expect.addEqualityTesters([
+    (_received, expectedValue) => {
+      if (expectedValue === expected) {
+        compared += 1;
+      }
+      return undefined;
+    },
+  ]);
+
+  beforeEach(() => {
+    compared = 0;
+    resultReads = 0;
+  });
+
+  it(`not.toHaveBeenCalledWith - should compare each of ${CALLS} calls once`, () => {
+    expected = createUser(-1);
+
+    expect(method).not.toHaveBeenCalledWith(expected);
+    expect(compared).toBe(CALLS);
+  });
+
+  it('toHaveBeenCalledWith - should not compare calls with another number of arguments', () => {
+    expected = createUser(0);
+
+    expect(method).not.toHaveBeenCalledWith(expected, 'unexpected');
+    expect(method).not.toHaveBeenCalledWith();
+    expect(compared).toBe(0);
+  });
+
+  it(`not.toHaveReturnedWith - should read each of ${CALLS} results once`, () => {
+    expected = { ...createUser(-1), saved: true };
+
+    expect(method).not.toHaveReturnedWith(expected);
+    expect(compared).toBe(CALLS);
+    expect(resultReads).toBe(CALLS);
+  });
+
+  it('toHaveReturnedWith - should read the first matching result only', () => {
+    expected = { ...createUser(0), saved: true };
+
+    expect(method).toHaveReturnedWith(expected);
+    expect(compared).toBe(1);
+    expect(resultReads).toBe(1);
+  });
+});
@@ -0,0 +1,184 @@
+import { describe, it, mock } from 'node:test';
+
+import { expect } from 'expect';
+import stripAnsi from 'strip-ansi';
+
+import { checkpoint, since, trackCallOrder } from '../index.mjs';
+
+describe('callOrder', () => {
+  it('trackCallOrder - should keep the implementation and the recorded calls', () => {
+    const method = trackCallOrder(mock.fn((a, b) => a + b));
+
+    expect(method(1, 2)).toBe(3);
+    expect(method).toHaveBeenCalledWith(1, 2);
+    expect(method).toHaveReturnedWith(3);
+    expect(trackCallOrder(method)).toBe(method);
+  });
+
+  it('trackCallOrder - should support construct calls', () => {
+    class Connection {
+      constructor(url) {
+        this.url = url;
+      }
+    }
+    const method = trackCallOrder(mock.fn(Connection));
+
+    const connection = new method('db://local');
+
+    expect(connection).toBeInstanceOf(Connection);
+    expect(connection.url).toBe('db://local');
+    expect(method).toHaveBeenConstructedWith('db://local');
+  });
+
+  it('trackCallOrder - should track the calls of implementations installed later', () => {
+    const method = trackCallOrder(mock.fn(() => 1));
+    const other = trackCallOrder(mock.fn());
+
+    method.mock.mockImplementationOnce(() => 2);
+
+    expect(method()).toBe(2);
+    other();
+    expect(method()).toBe(1);
+
+    expect(method).toHaveBeenCalledBefore(other);
+    expect(method).toHaveBeenCalledAfter(other, { anyCall: true });
+  });
+
+  it('trackCallOrder - should keep the original method of a spied method', () => {
+    const db = {
+      connect() {
+        return 'connected';
+      },
+    };
+    const connect = mock.method(db, 'connect');
+    const tracked = trackCallOrder(db, 'connect');
+
+    expect(db.connect).toBe(tracked);
+    expect(db.connect()).toBe('connected');
+    expect(connect).toHaveBeenCalledTimes(1);
+    expect(db).toHaveMethodCalledTimes('connect', 1);
+
+    connect.mock.restore();
+
+    expect(db.connect).not.toBe(tracked);
+    expect(db.connect()).toBe('connected');
+  });
+
+  it('trackCallOrder - should throw for a method which is not spied on or a view', () => {
+    expect(() => trackCallOrder({ connect() {} }, 'connect')).toThrow(
+      'trackCallOrder() expects method connect to be spied on with mock.method()'
+    );
+    expect(() => trackCallOrder(since(checkpoint(mock.fn())))).toThrow(
+      'views created by since() or between() cannot be tracked'
+    );
+  });
+
+  it('trackCallOrder - should order nested calls by the time they were made', () => {
+    const outer = trackCallOrder(
+      mock.fn(depth => {
+        inner(depth);
+      })
+    );
+    const inner = trackCallOrder(
+      mock.fn(depth => {
+        if (depth > 0) {
+          outer(depth - 1);
+        }
+      })
+    );
+
+    outer(1);
+    inner(0);
+
+    expect(outer).toHaveBeenCalledBefore(inner);
+    expect(inner).toHaveBeenCalledAfter(outer);
+    expect(inner).toHaveBeenCalledBefore(outer, { anyCall: true });
+    expect(outer).toHaveBeenCalledAfter(inner, { anyCall: true });
+
+    try {
+      expect(outer).toHaveBeenCalledAfter(inner);
+      throw new Error('should not pass');
+    } catch (error) {
+      expect(stripAnsi(error.message)).toEqual(
+        expect.stringMatching(
+          /#(\d+) received call 2: 1\n\t#\d+ expected call 2: 1\n\t#\d+ received call 1: 0\n\t#\d+ expected call 1: 0\n\t#\d+ expected call 3: 0/
+        )
+      );
+    }
+  });
+
+  it('toHaveBeenCalledBefore - should fail to test when method is not tracked', () => {
+    const connect = mock.fn();
+    const query = trackCallOrder(mock.fn());
+
+    connect();
+    query();
+
+    expect(() => expect(connect).toHaveBeenCalledBefore(query)).toThrow(
+      'must be tracked with trackCallOrder()'
+    );
+    expect(() => expect(query).toHaveBeenCalledBefore(connect)).toThrow(
+      'must be tracked with trackCallOrder()'
+    );
+  });
+
+  it('toHaveBeenCalledBefore - should test pass and not pass', () => {
+    const connect = trackCallOrder(mock.fn());
+    const query = trackCallOrder(mock.fn());
+
+    connect();
+    query('SELECT 1');
+    connect();
+
+    expect(connect).toHaveBeenCalledBefore(query);
+    expect(query).not.toHaveBeenCalledBefore(connect);
+    expect(query).toHaveBeenCalledBefore(connect, { anyCall: true });
+  });
+
+  it('toHaveBeenCalledBefore - should not pass when one of the mocks was not called', () => {
+    const connect = trackCallOrder(mock.fn());
+    const query = trackCallOrder(mock.fn());
+
+    connect();
+
+    expect(connect).not.toHaveBeenCalledBefore(query);
+    expect(query).not.toHaveBeenCalledBefore(connect);
+  });
+
+  it('toHaveBeenCalledAfter - should test pass and not pass', () => {
+    const query = trackCallOrder(mock.fn());
+    const flush = trackCallOrder(mock.fn());
+
+    flush();
+    query();
+    flush();
+
+    expect(query).toHaveBeenCalledAfter(flush);
+    expect(flush).not.toHaveBeenCalledAfter(query);
+    expect(flush).toHaveBeenCalledAfter(query, { anyCall: true });
+  });
+
+  it('toHaveBeenCalledAfter - should print interleaved timeline on failure', () => {
+    const connect = trackCallOrder(mock.fn());
+    const query = trackCallOrder(mock.fn());
+
+    connect('db://local');
+    query('SELECT 1');
+
+    try {
+      expect(connect).toHaveBeenCalledAfter(query);
+      throw new Error('should not pass');
+    } catch (error) {
+      const message = stripAnsi(error.message);
+
+      expect(message).toEqual(
+        expect.stringContaining(
+          'Expected: first call of received after first call of expected'
+        )
+      );
+      expect(message).toMatch(
+        /#(\d+) received call 1: "db:\/\/local"\n\t#\d+ expected call 1: "SELECT 1"/
+      );
+    }
+  });
+});
@@ -0,0 +1,161 @@
+import { describe, it, mock } from 'node:test';
+
+import { expect } from 'expect';
+import stripAnsi from 'strip-ansi';
+
+import '../index.mjs';
+
+const isAfterPrevious = ({ arguments: [previous, next] }) => next > previous;
+
+describe('callPredicate', () => {
+  it('toHaveBeenCalledWithMatching - should fail to test when the predicate is not a function', () => {
+    expect(() => expect(mock.fn()).toHaveBeenCalledWithMatching({})).toThrow(
+      'predicate value must be a function'
+    );
+    expect(() =>
+      expect(() => {}).toHaveBeenCalledWithMatching(isAfterPrevious)
+    ).toThrow('received value must be a node mock function');
+  });
+
+  it('toHaveBeenCalledWithMatching - should fail to test when the predicate returns a promise', () => {
+    const method = mock.fn();
+
+    method(1, 2);
+
+    expect(() =>
+      expect(method).toHaveBeenCalledWithMatching(async () => false)
+    ).toThrow('predicate must be synchronous');
+    expect(() =>
+      expect(mock.fn()).not.toHaveBeenCalledWithMatching(async () => true)
+    ).toThrow('predicate must be synchronous');
+    expect(() =>
+      expect(method).toHaveOnlyBeenCalledWithMatching(() =>
+        Promise.reject(new Error('not awaited'))
+      )
+    ).toThrow('predicate must be synchronous');
+  });
+
+  it('toHaveBeenCalledWithMatching - should test pass and not pass', () => {
+    const method = mock.fn();
+
+    method(1, 2);
+    method(5, 3);
+
+    expect(method).toHaveBeenCalledWithMatching(isAfterPrevious);
+    expect(method).not.toHaveBeenCalledWithMatching(
+      ({ arguments: args }) => args.length === 0
+    );
+    expect(mock.fn()).not.toHaveBeenCalledWithMatching(() => true);
+  });
+
+  it('toHaveBeenCalledWithMatching - should pass the full call record', () => {
+    const target = { id: 1 };
+    const method = mock.fn(function () {
+      return this.id;
+    });
+
+    method.call(target, 'a');
+
+    expect(method).toHaveBeenCalledWithMatching(
+      call =>
+        call.this === target &&
+        call.result === 1 &&
+        call.error === undefined &&
+        call.target === undefined
+    );
+  });
+
+  it('toHaveOnlyBeenCalledWithMatching - should test pass and not pass', () => {
+    const method = mock.fn();
+
+    method(1, 2);
+    method(2, 3);
+
+    expect(method).toHaveOnlyBeenCalledWithMatching(isAfterPrevious);
+
+    method(5, 3);
+
+    expect(method).not.toHaveOnlyBeenCalledWithMatching(isAfterPrevious);
+    expect(mock.fn()).not.toHaveOnlyBeenCalledWithMatching(() => true);
+  });
+
+  it('toHaveBeenLastCalledWithMatching - should test pass and not pass', () => {
+    const method = mock.fn();
+
+    method(5, 3);
+    method(1, 2);
+
+    expect(method).toHaveBeenLastCalledWithMatching(isAfterPrevious);
+    expect(mock.fn()).not.toHaveBeenLastCalledWithMatching(() => true);
+  });
+
+  it('toHaveBeenNthCalledWithMatching - should test pass and not pass', () => {
+    const method = mock.fn();
+
+    method(5, 3);
+    method(1, 2);
+
+    expect(method).toHaveBeenNthCalledWithMatching(2, isAfterPrevious);
+    expect(method).not.toHaveBeenNthCalledWithMatching(1, isAfterPrevious);
+    expect(method).not.toHaveBeenNthCalledWithMatching(3, () => true);
+  });
+
+  it('toHaveBeenCalledWithMatching - should print why each call failed', () => {
+    const method = mock.fn();
+
+    method(5, 3);
+    method('a');
+
+    try {
+      expect(method).toHaveBeenCalledWithMatching(function isOrdered(call) {
+        if (typeof call.arguments[0] === 'string') {
+          throw new Error('not a number');
+        }
+        return call.arguments[1] > call.arguments[0];
+      });
+      throw new Error('should not pass');
+    } catch (error) {
+      expect(stripAnsi(error.message)).toStrictEqual(
+        expect.stringContaining(
+          'Expected: some call to satisfy predicate isOrdered\n' +
+            'Tested calls\n' +
+            '\t0: 5, 3 → returned false\n' +
+            '\t1: "a" → threw [Error: not a number]'
+        )
+      );
+    }
+  });
+
+  it('toHaveOnlyBeenCalledWithMatching - should print only the failing calls', () => {
+    const method = mock.fn();
+
+    method(1, 2);
+    method(5, 3);
+
+    try {
+      expect(method).toHaveOnlyBeenCalledWithMatching(isAfterPrevious);
+      throw new Error('should not pass');
+    } catch (error) {
+      expect(stripAnsi(error.message)).toStrictEqual(
+        expect.stringContaining('Tested calls\n\t1: 5, 3 → returned false\n')
+      );
+    }
+  });
+
+  it('toHaveBeenNthCalledWithMatching - should print when the call does not exist', () => {
+    const method = mock.fn();
+
+    method(1, 2);
+
+    try {
+      expect(method).toHaveBeenNthCalledWithMatching(3, isAfterPrevious);
+      throw new Error('should not pass');
+    } catch (error) {
+      expect(stripAnsi(error.message)).toStrictEqual(
+        expect.stringContaining(
+          'n: 3\nBut the function was only called 1 time(s)'
+        )
+      );
+    }
+  });
+});
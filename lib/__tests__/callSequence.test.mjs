@@ -0,0 +1,144 @@
+import { describe, it, mock } from 'node:test';
+
+import { expect } from 'expect';
+import stripAnsi from 'strip-ansi';
+
+import '../index.mjs';
+
+/**
+ * Create a mock which was called like a file driver
+ * @returns {Function} - The node mock function
+ */
+function createDriver() {
+  const driver = mock.fn();
+
+  driver('open');
+  driver('write', Buffer.from('a'));
+  driver('close');
+
+  return driver;
+}
+
+describe('callSequence', () => {
+  it('toHaveBeenCalledInSequence - should fail to test when method is not node mock', () => {
+    expect(() =>
+      expect(() => {}).toHaveBeenCalledInSequence([['open']])
+    ).toThrow('received value must be a node mock function');
+  });
+
+  it('toHaveBeenCalledInSequence - should fail to test when the arguments are invalid', () => {
+    const driver = createDriver();
+
+    expect(() => expect(driver).toHaveBeenCalledInSequence(['open'])).toThrow(
+      'value must be an array of argument arrays'
+    );
+    expect(() =>
+      expect(driver).toHaveBeenCalledInSequence([['open']], { mode: 'any' })
+    ).toThrow("mode must be one of 'exact', 'subsequence'");
+  });
+
+  it('toHaveBeenCalledInSequence - should test pass and not pass in exact mode', () => {
+    const driver = createDriver();
+
+    expect(driver).toHaveBeenCalledInSequence([
+      ['open'],
+      ['write', Buffer.from('a')],
+      ['close'],
+    ]);
+    expect(driver).toHaveBeenCalledInSequence([
+      ['open'],
+      ['write', expect.any(Buffer)],
+      ['close'],
+    ]);
+    expect(driver).not.toHaveBeenCalledInSequence([['open'], ['close']]);
+    expect(driver).not.toHaveBeenCalledInSequence([
+      ['close'],
+      ['write', Buffer.from('a')],
+      ['open'],
+    ]);
+    expect(mock.fn()).toHaveBeenCalledInSequence([]);
+  });
+
+  it('toHaveBeenCalledInSequence - should test pass and not pass in subsequence mode', () => {
+    const driver = createDriver();
+    const options = { mode: 'subsequence' };
+
+    expect(driver).toHaveBeenCalledInSequence([['open'], ['close']], options);
+    expect(driver).toHaveBeenCalledInSequence([], options);
+    expect(driver).not.toHaveBeenCalledInSequence(
+      [['close'], ['open']],
+      options
+    );
+    expect(driver).not.toHaveBeenCalledInSequence(
+      [['open'], ['open']],
+      options
+    );
+  });
+
+  it('toHaveBeenCalledInSequence - should print mismatched, missing and extra calls', () => {
+    const driver = mock.fn();
+
+    driver('open');
+    driver('write', 2);
+    driver('flush');
+    driver('close');
+
+    try {
+      expect(driver).toHaveBeenCalledInSequence([
+        ['open'],
+        ['write', 1],
+        ['close'],
+        ['release'],
+      ]);
+      throw new Error('should not pass');
+    } catch (error) {
+      const message = stripAnsi(error.message);
+
+      expect(message).toStrictEqual(
+        expect.stringContaining(
+          'Mismatched calls: 1, missing calls: 1, extra calls: 1'
+        )
+      );
+      expect(message).toStrictEqual(
+        expect.stringContaining(
+          [
+            '  0: "open"',
+            '- 1: "write", 1  (mismatched)',
+            '+ 1: "write", 2  (mismatched)',
+            '+ 2: "flush"  (extra)',
+            '  3: "close"',
+            '- 3: "release"  (missing)',
+          ].join('\n')
+        )
+      );
+    }
+  });
+
+  it('toHaveBeenCalledInSequence - should print skipped calls in subsequence mode', () => {
+    const driver = createDriver();
+
+    try {
+      expect(driver).toHaveBeenCalledInSequence([['open'], ['flush']], {
+        mode: 'subsequence',
+      });
+      throw new Error('should not pass');
+    } catch (error) {
+      const message = stripAnsi(error.message);
+
+      expect(message).toStrictEqual(
+        expect.stringContaining(
+          'Expected: called in sequence (subsequence mode)'
+        )
+      );
+      expect(message).toStrictEqual(
+        expect.stringContaining('Missing calls: 1')
+      );
+      expect(message).toStrictEqual(
+        expect.stringContaining('  2: "close"  (skipped)')
+      );
+      expect(message).toStrictEqual(
+        expect.stringContaining('- 1: "flush"  (missing)')
+      );
+    }
+  });
+});
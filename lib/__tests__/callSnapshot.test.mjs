@@ -0,0 +1,369 @@
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+
+import { equals } from '@jest/expect-utils';
+import { expect } from 'expect';
+import stripAnsi from 'strip-ansi';
+
+import {
+  getSnapshotPath,
+  matchCallProperties,
+  readSnapshotFile,
+  serializeCalls,
+  stripIndentation,
+  toCallRecord,
+  writeSnapshotFile,
+} from '../callSnapshot.mjs';
+import { configure, resetConfig } from '../index.mjs';
+
+function createRecordedMock() {
+  const add = mock.fn((a, b) => a + b);
+
+  add(1, 2);
+  add.call({ id: 7 }, 'a', 'b');
+
+  return add;
+}
+
+/**
+ * Helper function to hide t.assert.snapshot from the matcher, so that the
+ * snapshots are stored in the __snapshots__ file on every Node.js version
+ * @param {Object} t - The test context
+ * @returns {Object} - A test context with the name of the test only
+ */
+function withoutSnapshotApi(t) {
+  return { name: t.name };
+}
+
+describe('toMatchCallSnapshot', () => {
+  beforeEach(() => {
+    configure({ updateSnapshots: 'none' });
+  });
+
+  afterEach(() => {
+    resetConfig();
+  });
+
+  it('toCallRecord - should record arguments, receiver and outcome of every call', () => {
+    const fail = mock.fn(() => {
+      throw new TypeError('boom');
+    });
+    const Point = mock.fn(function Point(x) {
+      this.x = x;
+    });
+
+    expect(() => {
+      fail('x');
+    }).toThrow();
+    new Point(1);
+
+    expect(toCallRecord(fail.mock.calls[0])).toEqual({
+      arguments: ['x'],
+      threw: new TypeError('boom'),
+    });
+    expect(toCallRecord(Point.mock.calls[0])).toEqual({
+      arguments: [1],
+      constructed: { x: 1 },
+    });
+    expect(toCallRecord(createRecordedMock().mock.calls[1])).toStrictEqual({
+      arguments: ['a', 'b'],
+      this: { id: 7 },
+      returned: 'ab',
+    });
+  });
+
+  it('serializeCalls - should serialize calls in the format of Jest snapshots', () => {
+    const add = createRecordedMock();
+
+    expect(serializeCalls(add.mock.calls.map(toCallRecord))).toBe(
+      stripIndentation(`
+        [
+          {
+            "arguments": [
+              1,
+              2,
+            ],
+            "returned": 3,
+          },
+          {
+            "arguments": [
+              "a",
+              "b",
+            ],
+            "returned": "ab",
+            "this": {
+              "id": 7,
+            },
+          },
+        ]
+      `)
+    );
+  });
+
+  it('matchCallProperties - should replace matched properties with their matchers', () => {
+    const records = createRecordedMock().mock.calls.map(toCallRecord);
+    const { records: everyCall, mismatches } = matchCallProperties(
+      records,
+      { returned: expect.anything() },
+      equals
+    );
+
+    expect(mismatches).toEqual([]);
+    expect(everyCall.map(record => record.returned)).toEqual([
+      expect.anything(),
+      expect.anything(),
+    ]);
+    expect(records[0].returned).toBe(3);
+  });
+
+  it('matchCallProperties - should apply an array of matchers by call index and report mismatches', () => {
+    const records = createRecordedMock().mock.calls.map(toCallRecord);
+    const { records: matched, mismatches } = matchCallProperties(
+      records,
+      [undefined, { arguments: [expect.any(Number)] }],
+      equals
+    );
+
+    expect(matched[0]).toBe(records[0]);
+    expect(mismatches).toHaveLength(1);
+    expect(mismatches[0]).toMatchObject({
+      path: 'calls[1].arguments[0]',
+      received: 'a',
+    });
+  });
+
+  it('writeSnapshotFile - should write snapshots which read back unchanged', () => {
+    const directory = mkdtempSync(join(tmpdir(), 'call-snapshot-'));
+    const snapshotPath = getSnapshotPath(join(directory, 'example.test.mjs'));
+
+    try {
+      writeSnapshotFile(snapshotPath, {
+        'second 1': 'template `${literal}` and \\ backslash',
+        'first 1': '[\n  1,\n]',
+      });
+
+      expect(snapshotPath).toBe(
+        join(directory, '__snapshots__', 'example.test.mjs.snap')
+      );
+      expect(readSnapshotFile(snapshotPath)).toEqual({
+        'first 1': '[\n  1,\n]',
+        'second 1': 'template `${literal}` and \\ backslash',
+      });
+      expect(
+        readFileSync(snapshotPath, 'utf8').indexOf('first 1')
+      ).toBeLessThan(readFileSync(snapshotPath, 'utf8').indexOf('second 1'));
+    } finally {
+      rmSync(directory, { recursive: true, force: true });
+    }
+  });
+
+  it('readSnapshotFile - should read a missing file as no snapshots', () => {
+    expect(readSnapshotFile(join(tmpdir(), 'missing', 'x.snap'))).toEqual({});
+  });
+
+  it('readSnapshotFile - should parse the file without evaluating it', () => {
+    const directory = mkdtempSync(join(tmpdir(), 'call-snapshot-'));
+    const snapshotPath = join(directory, 'example.test.mjs.snap');
+
+    try {
+      writeFileSync(
+        snapshotPath,
+        'exports[`read 1`] = `\n/[\\`]/\n`;\nglobalThis.evaluated = true;\n'
+      );
+
+      expect(readSnapshotFile(snapshotPath)).toEqual({ 'read 1': '/[`]/' });
+      expect(globalThis.evaluated).toBeUndefined();
+    } finally {
+      rmSync(directory, { recursive: true, force: true });
+    }
+  });
+
+  it('should pass when the calls match the stored snapshot', t => {
+    expect(createRecordedMock()).toMatchCallSnapshot({
+      t: withoutSnapshotApi(t),
+      hint: 'stored',
+    });
+  });
+
+  it('should print a diff when the calls do not match the stored snapshot', t => {
+    const add = mock.fn((a, b) => a + b);
+
+    add(1, 3);
+
+    try {
+      expect(add).toMatchCallSnapshot({
+        t: withoutSnapshotApi(t),
+        hint: 'mismatch',
+      });
+      throw new Error('should not pass');
+    } catch (error) {
+      expect(stripAnsi(error.message)).toEqual(
+        expect.stringContaining(
+          'Snapshot name: "should print a diff when the calls do not match the stored snapshot: mismatch 1"'
+        )
+      );
+      expect(stripAnsi(error.message)).toEqual(
+        expect.stringContaining('-       2,\n+       3,')
+      );
+    }
+  });
+
+  it('should fail without writing when the snapshot is missing and the update mode is none', t => {
+    try {
+      expect(createRecordedMock()).toMatchCallSnapshot({
+        t: withoutSnapshotApi(t),
+      });
+      throw new Error('should not pass');
+    } catch (error) {
+      expect(stripAnsi(error.message)).toEqual(
+        expect.stringContaining(
+          'New snapshot was not written, the update mode is "none"'
+        )
+      );
+    }
+  });
+
+  it('should fail when a property matcher does not match', t => {
+    try {
+      expect(createRecordedMock()).toMatchCallSnapshot({
+        t,
+        propertyMatchers: { returned: expect.any(Number) },
+      });
+      throw new Error('should not pass');
+    } catch (error) {
+      expect(stripAnsi(error.message)).toEqual(
+        expect.stringContaining(
+          'Property matchers did not match\n\ncalls[1].returned\nExpected: Any<Number>\nReceived: "ab"'
+        )
+      );
+    }
+  });
+
+  it('should throw a TypeError without the test context', () => {
+    expect(() => {
+      expect(createRecordedMock()).toMatchCallSnapshot({ hint: 'unnamed' });
+    }).toThrow(TypeError);
+    expect(() => {
+      expect(createRecordedMock()).toMatchCallSnapshot();
+    }).toThrow('options.t must be the test context');
+  });
+
+  it('should store the snapshot with t.assert.snapshot when Node.js supports it', t => {
+    if (typeof t.assert?.snapshot !== 'function') {
+      t.skip('t.assert.snapshot is not supported by this Node.js version');
+      return;
+    }
+
+    const add = mock.fn((a, b) => a + b);
+
+    add(1, 2);
+    expect(add).toMatchCallSnapshot({ t });
+
+    add(2, 3);
+
+    try {
+      // The second snapshot of this test was stored before the second call
+      expect(add).toMatchCallSnapshot({ t });
+      throw new Error('should not pass');
+    } catch (error) {
+      expect(stripAnsi(error.message)).toEqual(
+        expect.stringContaining(`Snapshot name: "${t.fullName}"`)
+      );
+      expect(stripAnsi(error.message)).toEqual(
+        expect.stringContaining('+       2,\n+       3,')
+      );
+    }
+  });
+
+  it('should store the hint in the snapshot stored with t.assert.snapshot', t => {
+    if (typeof t.assert?.snapshot !== 'function') {
+      t.skip('t.assert.snapshot is not supported by this Node.js version');
+      return;
+    }
+
+    const add = mock.fn((a, b) => a + b);
+
+    add(1, 2);
+    expect(add).toMatchCallSnapshot({ t, hint: 'first' });
+
+    try {
+      // The second snapshot of this test was stored with another hint
+      expect(add).toMatchCallSnapshot({ t, hint: 'first' });
+      throw new Error('should not pass');
+    } catch (error) {
+      const message = stripAnsi(error.message);
+
+      expect(message).toEqual(
+        expect.stringContaining(`Snapshot name: "${t.fullName}: first"`)
+      );
+      expect(message).toEqual(
+        expect.stringContaining('- // second\n+ // first')
+      );
+    }
+  });
+
+  it('should not be used with not', t => {
+    expect(() => {
+      expect(createRecordedMock()).not.toMatchCallSnapshot({ t });
+    }).toThrow('snapshot matchers cannot be used with not');
+  });
+
+  it('toMatchInlineCallSnapshot - should compare the calls with the inline snapshot', () => {
+    const add = mock.fn((a, b) => a + b);
+
+    add(1, 2);
+
+    expect(add).toMatchInlineCallSnapshot(`
+      [
+        {
+          "arguments": [
+            1,
+            2,
+          ],
+          "returned": 3,
+        },
+      ]
+    `);
+    expect(add).toMatchInlineCallSnapshot(
+      { propertyMatchers: { returned: expect.any(Number) } },
+      `
+      [
+        {
+          "arguments": [
+            1,
+            2,
+          ],
+          "returned": Any<Number>,
+        },
+      ]
+    `
+    );
+    expect(() => {
+      expect(add).toMatchInlineCallSnapshot('[]');
+    }).toThrow('Inline snapshot');
+  });
+
+  it('toMatchInlineCallSnapshot - should fail with the snapshot to add when it is missing', () => {
+    const add = mock.fn((a, b) => a + b);
+
+    add(1, 2);
+
+    try {
+      expect(add).toMatchInlineCallSnapshot();
+      throw new Error('should not pass');
+    } catch (error) {
+      expect(stripAnsi(error.message)).toEqual(
+        expect.stringContaining(
+          'Inline snapshot is missing, add it as the last argument:\n\n`\n[\n  {\n    "arguments": ['
+        )
+      );
+    }
+  });
+
+  it('stripIndentation - should remove the indentation of the test source', () => {
+    expect(stripIndentation('\n    [\n      1,\n    ]\n  ')).toBe('[\n  1,\n]');
+    expect(stripIndentation('[]')).toBe('[]');
+  });
+});
@@ -0,0 +1,96 @@
+import { describe, it, mock } from 'node:test';
+
+import { expect } from 'expect';
+import stripAnsi from 'strip-ansi';
+
+import { captor } from '../index.mjs';
+
+describe('captor', () => {
+  it('captor - should capture the argument of the matching call', () => {
+    const send = mock.fn();
+    const payload = captor();
+
+    send('log', { level: 'info' });
+    send('event', { type: 'click', at: 10 });
+
+    expect(send).toHaveBeenCalledWith('event', payload);
+    expect(payload.value).toEqual({ type: 'click', at: 10 });
+    expect(payload.values).toHaveLength(1);
+  });
+
+  it('captor - should not keep values of calls which did not match as a whole', () => {
+    const send = mock.fn();
+    const payload = captor();
+
+    send('log', 1);
+    send('log', 2);
+
+    expect(send).not.toHaveBeenCalledWith('event', payload);
+    expect(() => expect(send).toHaveBeenCalledWith('event', payload)).toThrow();
+    expect(payload.value).toBeUndefined();
+    expect(payload.values).toEqual([]);
+  });
+
+  it('captor - should accumulate values across assertions', () => {
+    const send = mock.fn();
+    const payload = captor();
+
+    send('a', 1);
+    send('b', 2);
+    send('c', 3);
+
+    expect(send).toHaveBeenNthCalledWith(1, 'a', payload);
+    expect(send).toHaveBeenLastCalledWith('c', payload);
+    expect(payload.value).toBe(3);
+    expect(payload.values).toEqual([1, 3]);
+  });
+
+  it('captor - should capture every call checked by toHaveOnlyBeenCalledWith', () => {
+    const send = mock.fn();
+    const name = captor();
+
+    send('a');
+    send('b');
+
+    expect(send).toHaveOnlyBeenCalledWith(name);
+    expect(name.values).toEqual(['a', 'b']);
+  });
+
+  it('captor - should capture only the first matching call of toHaveBeenCalledWith', () => {
+    const send = mock.fn();
+    const name = captor();
+
+    send('a');
+    send('b');
+    send('c');
+
+    expect(send).toHaveBeenCalledWith(name);
+    expect(name.values).toEqual(['a']);
+    expect(send).toHaveNoUnverifiedCalls();
+  });
+
+  it('captor - should capture values nested in expected objects', () => {
+    const send = mock.fn();
+    const id = captor();
+
+    send({ user: { id: 42, name: 'Ada' } });
+
+    expect(send).toHaveBeenCalledWith({ user: { id, name: 'Ada' } });
+    expect(id.value).toBe(42);
+  });
+
+  it('captor - should print as Captor in failure messages', () => {
+    const send = mock.fn();
+
+    send('log');
+
+    try {
+      expect(send).toHaveBeenCalledWith('event', captor());
+      throw new Error('should not pass');
+    } catch (error) {
+      expect(stripAnsi(error.message)).toStrictEqual(
+        expect.stringContaining('Expected: "event", Captor\n')
+      );
+    }
+  });
+});
@@ -0,0 +1,169 @@
+import { describe, it, mock } from 'node:test';
+
+import { expect } from 'expect';
+import stripAnsi from 'strip-ansi';
+
+import { between, checkpoint, since, trackCallOrder } from '../index.mjs';
+
+describe('checkpoint', () => {
+  it('checkpoint - should fail when method is not node mock', () => {
+    expect(() => checkpoint(() => {})).toThrow(
+      'received value must be a node mock function'
+    );
+  });
+
+  it('since - should scope the matchers to the calls after the checkpoint', () => {
+    const save = mock.fn(id => ({ id }));
+
+    save(1);
+    save(2);
+
+    const afterSetup = checkpoint(save);
+
+    save(3);
+
+    expect(since(afterSetup)).toHaveBeenCalledTimes(1);
+    expect(since(afterSetup)).toHaveBeenCalledExactlyOnceWith(3);
+    expect(since(afterSetup)).not.toHaveBeenCalledWith(1);
+    expect(since(afterSetup)).toHaveLastReturnedWith({ id: 3 });
+    expect(save).toHaveBeenCalledTimes(3);
+  });
+
+  it('since - should include calls made after the view was created', () => {
+    const save = mock.fn();
+    const view = since(checkpoint(save));
+
+    expect(view).not.toHaveBeenCalled();
+
+    save('late');
+
+    expect(view).toHaveBeenCalledWith('late');
+  });
+
+  it('between - should scope the matchers to the calls between two checkpoints', () => {
+    const save = mock.fn();
+
+    save('setup');
+
+    const start = checkpoint(save);
+
+    save('phase 1');
+    save('phase 1');
+
+    const end = checkpoint(save);
+
+    save('phase 2');
+
+    expect(between(start, end)).toHaveBeenCalledTimes(2);
+    expect(between(start, end)).toHaveOnlyBeenCalledWith('phase 1');
+    expect(between(start, start)).not.toHaveBeenCalled();
+  });
+
+  it('between - should fail with invalid checkpoints', () => {
+    const save = mock.fn();
+    const other = mock.fn();
+    const first = checkpoint(save);
+
+    save();
+
+    const second = checkpoint(save);
+
+    expect(() => between(first, checkpoint(other))).toThrow(
+      'between() expects checkpoints of the same mock'
+    );
+    expect(() => between(second, first)).toThrow(
+      'between() expects the earlier checkpoint as first argument'
+    );
+    expect(() => since({ mockFn: save, callCount: 0 })).toThrow(
+      'since() expects a checkpoint created by checkpoint(mockFn)'
+    );
+  });
+
+  it('since - should keep the calls verified through the view', () => {
+    const save = mock.fn();
+
+    save(1);
+
+    const afterSetup = checkpoint(save);
+
+    save(2);
+
+    expect(since(afterSetup)).toHaveBeenCalledWith(2);
+    expect(since(afterSetup)).toHaveNoUnverifiedCalls();
+    expect(save).not.toHaveNoUnverifiedCalls();
+  });
+
+  it('since - should print how many calls were left out', () => {
+    const save = mock.fn();
+
+    save(1);
+    save(2);
+
+    const start = checkpoint(save);
+
+    save(3);
+
+    const end = checkpoint(save);
+
+    save(4);
+
+    try {
+      expect(since(start)).toHaveBeenCalledWith(1);
+      throw new Error('should not pass');
+    } catch (error) {
+      expect(stripAnsi(error.message)).toStrictEqual(
+        expect.stringContaining(
+          'toHaveBeenCalledWith of Node.js mock.fn(), calls since checkpoint, 2 earlier call(s) left out'
+        )
+      );
+    }
+
+    try {
+      expect(between(start, end)).toHaveBeenCalledTimes(3);
+      throw new Error('should not pass');
+    } catch (error) {
+      expect(stripAnsi(error.message)).toStrictEqual(
+        expect.stringContaining(
+          'calls between checkpoints, 2 earlier and 1 later call(s) left out'
+        )
+      );
+    }
+  });
+
+  it('since - should scope the call order matchers to the calls in scope', () => {
+    const connect = trackCallOrder(mock.fn());
+    const query = trackCallOrder(mock.fn());
+    const start = checkpoint(connect);
+
+    connect('db://a');
+    query('SELECT 1');
+
+    const reconnecting = checkpoint(connect);
+    const querying = checkpoint(query);
+
+    query('SELECT 2');
+    connect('db://b');
+
+    expect(connect).toHaveBeenCalledBefore(query);
+    expect(since(reconnecting)).toHaveBeenCalledAfter(since(querying));
+    expect(between(start, reconnecting)).toHaveBeenCalledBefore(
+      since(querying)
+    );
+
+    try {
+      expect(since(reconnecting)).toHaveBeenCalledBefore(query);
+      throw new Error('should not pass');
+    } catch (error) {
+      const message = stripAnsi(error.message);
+
+      expect(message).toEqual(
+        expect.stringContaining(
+          'calls since checkpoint, 1 earlier call(s) left out'
+        )
+      );
+      expect(message).toMatch(
+        /#\d+ expected call 1: "SELECT 1"\n\t#\d+ expected call 2: "SELECT 2"\n\t#\d+ received call 1: "db:\/\/b"/
+      );
+    }
+  });
+});
@@ -0,0 +1,48 @@
+const { describe, it, mock } = require('node:test');
+const { stripVTControlCharacters: stripAnsi } = require('node:util');
+
+const { expect } = require('expect');
+
+describe('commonjs', () => {
+  it('require - should return the expect instance with the matchers registered', () => {
+    const exported = require('expect-matcher-node-mock');
+    const add = mock.fn((a, b) => a + b);
+
+    add(1, 2);
+
+    expect(exported.expect).toBe(expect);
+    expect(exported.toHaveBeenCalledWith).toBeInstanceOf(Function);
+    expect(exported.captor).toBeInstanceOf(Function);
+    expect(add).toHaveBeenCalledWith(1, 2);
+    exported.expect(add).toHaveReturnedWith(3);
+  });
+
+  it('require - should print the messages of the matchers', () => {
+    const add = mock.fn();
+
+    add(1, 2);
+
+    try {
+      expect(add).toHaveBeenCalledWith(1, 3);
+      throw new Error('should not pass');
+    } catch (error) {
+      expect(stripAnsi(error.message)).toEqual(
+        expect.stringContaining('Expected: 3\nReceived: 2')
+      );
+    }
+  });
+
+  it('require - should load the assertions without expect', () => {
+    const { assertCalledTimes } = require('expect-matcher-node-mock/assert');
+
+    expect(() => assertCalledTimes(mock.fn(), 1)).toThrow(
+      expect.objectContaining({ code: 'ERR_ASSERTION' })
+    );
+  });
+
+  it('import - should register the matchers on the same expect instance', async () => {
+    const exported = await import('expect-matcher-node-mock');
+
+    expect(exported.expect).toBe(expect);
+  });
+});
@@ -0,0 +1,98 @@
+import { afterEach, describe, it, mock } from 'node:test';
+
+import { expect } from 'expect';
+import stripAnsi from 'strip-ansi';
+
+import { configure, resetConfig } from '../index.mjs';
+
+class Point {
+  constructor(x) {
+    this.x = x;
+  }
+}
+
+describe('config', () => {
+  afterEach(() => {
+    resetConfig();
+  });
+
+  it('configure - should reject unsupported equality', () => {
+    expect(() => configure({ equality: 'loose' })).toThrow(
+      "equality must be one of 'equal', 'strict', received 'loose'"
+    );
+  });
+
+  it('configure - should reject unsupported snapshot update mode', () => {
+    expect(() => configure({ updateSnapshots: 'always' })).toThrow(
+      "updateSnapshots must be one of 'all', 'new', 'none', received 'always'"
+    );
+  });
+
+  it('configure - should reject a non-boolean callSites option', () => {
+    expect(() => configure({ callSites: 'yes' })).toThrow(
+      "callSites must be a boolean, received 'yes'"
+    );
+  });
+
+  it('configure - should merge options and reset to defaults', () => {
+    const eventually = { timeout: 1000, interval: 10 };
+
+    expect(configure({ equality: 'strict' })).toEqual({
+      equality: 'strict',
+      callSites: false,
+      eventually,
+    });
+    expect(resetConfig()).toEqual({
+      equality: 'equal',
+      callSites: false,
+      eventually,
+    });
+  });
+
+  it('equality strict - should switch call matchers to toStrictEqual', () => {
+    const method = mock.fn();
+
+    method({ x: 1, y: undefined }, new Point(2));
+
+    expect(method).toHaveBeenCalledWith({ x: 1 }, { x: 2 });
+    expect(method).toHaveBeenLastCalledWith({ x: 1 }, { x: 2 });
+
+    configure({ equality: 'strict' });
+
+    expect(method).not.toHaveBeenCalledWith({ x: 1 }, { x: 2 });
+    expect(method).not.toHaveBeenLastCalledWith({ x: 1 }, new Point(2));
+    expect(method).not.toHaveBeenNthCalledWith(1, { x: 1 }, new Point(2));
+    expect(method).toHaveBeenCalledWith({ x: 1, y: undefined }, new Point(2));
+  });
+
+  it('equality strict - should switch return matchers to toStrictEqual', () => {
+    // sparse array with a hole at index 1
+    const method = mock.fn(() => new Array(3).fill(1, 0, 1).fill(3, 2));
+
+    method();
+
+    expect(method).toHaveReturnedWith([1, undefined, 3]);
+
+    configure({ equality: 'strict' });
+
+    expect(method).not.toHaveReturnedWith([1, undefined, 3]);
+    expect(method).not.toHaveLastReturnedWith([1, undefined, 3]);
+    expect(method).not.toHaveNthReturnedWith(1, [1, undefined, 3]);
+  });
+
+  it('equality strict - should say which equality was used', () => {
+    const method = mock.fn();
+
+    method({ x: 1, y: undefined });
+    configure({ equality: 'strict' });
+
+    try {
+      expect(method).toHaveBeenCalledWith({ x: 1 });
+      throw new Error('should not pass');
+    } catch (error) {
+      expect(stripAnsi(error.message)).toEqual(
+        expect.stringContaining('Equality: toStrictEqual')
+      );
+    }
+  });
+});
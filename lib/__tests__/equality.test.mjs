@@ -0,0 +1,65 @@
+import { describe, it, mock } from 'node:test';
+
+import { expect } from 'expect';
+
+import { argumentsMatch, createEquality } from '../equality.mjs';
+import '../index.mjs';
+
+class Money {
+  constructor(amount, currency) {
+    this.amount = amount;
+    this.currency = currency;
+  }
+}
+
+const moneyTester = (a, b) =>
+  a instanceof Money && b instanceof Money ? a.amount === b.amount : undefined;
+
+describe('equality', () => {
+  it('createEquality - should use toEqual semantics by default', () => {
+    const isEqual = createEquality();
+
+    expect(isEqual({ a: 1, b: undefined }, { a: 1 })).toBe(true);
+    expect(isEqual(new Set([1, 2]), new Set([2, 1]))).toBe(true);
+    expect(isEqual({ a: 1 }, { a: 2 })).toBe(false);
+    expect(isEqual('foo', expect.stringContaining('o'))).toBe(true);
+  });
+
+  it('createEquality - should use toStrictEqual semantics when strict', () => {
+    const isEqual = createEquality({}, true);
+
+    expect(isEqual({ a: 1, b: undefined }, { a: 1 })).toBe(false);
+    expect(isEqual(new Money(1, 'EUR'), { amount: 1, currency: 'EUR' })).toBe(
+      false
+    );
+  });
+
+  it('createEquality - should use equals and custom testers of the matcher context', () => {
+    const equals = mock.fn(() => true);
+    const isEqual = createEquality({ equals, customTesters: [moneyTester] });
+
+    expect(isEqual(1, 2)).toBe(true);
+    expect(equals.mock.calls[0].arguments[2]).toContain(moneyTester);
+  });
+
+  it('argumentsMatch - should stop at the first mismatch', () => {
+    const isEqual = mock.fn((received, expected) => received === expected);
+
+    expect(argumentsMatch([1, 2, 3], [1, 0, 3], isEqual)).toBe(false);
+    expect(isEqual.mock.callCount()).toBe(2);
+    expect(argumentsMatch([1, 2], [1, 2, 3], isEqual)).toBe(false);
+    expect(isEqual.mock.callCount()).toBe(2);
+  });
+
+  it('matchers - should apply testers registered with expect.addEqualityTesters', () => {
+    const method = mock.fn();
+
+    method(new Money(10, 'EUR'));
+
+    expect(method).not.toHaveBeenCalledWith(new Money(10, 'USD'));
+
+    expect.addEqualityTesters([moneyTester]);
+
+    expect(method).toHaveBeenCalledWith(new Money(10, 'USD'));
+  });
+});
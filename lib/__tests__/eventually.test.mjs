@@ -0,0 +1,150 @@
+import { afterEach, describe, it, mock } from 'node:test';
+
+import { expect } from 'expect';
+import stripAnsi from 'strip-ansi';
+
+import { captor, configure, resetConfig } from '../index.mjs';
+
+describe('eventually', () => {
+  afterEach(() => {
+    resetConfig();
+  });
+
+  it('toEventuallyHaveBeenCalled - should fail to test when method is not node mock', async () => {
+    await expect(expect(() => {}).toEventuallyHaveBeenCalled()).rejects.toThrow(
+      'received value must be a node mock function'
+    );
+  });
+
+  it('toEventuallyHaveBeenCalled - should reject invalid options', async () => {
+    await expect(
+      expect(mock.fn()).toEventuallyHaveBeenCalled({ interval: 0 })
+    ).rejects.toThrow(
+      "eventually.interval must be a positive number, received '0'"
+    );
+    expect(() => configure({ eventually: { timers: {} } })).toThrow(
+      'eventually.timers must be a MockTimers instance'
+    );
+  });
+
+  it('toEventuallyHaveBeenCalledWith - should wait for a call on a later tick', async () => {
+    const listener = mock.fn();
+
+    setImmediate(() => listener('ready'));
+    setTimeout(() => listener('done'), 20);
+
+    await expect(listener).toEventuallyHaveBeenCalledWith('ready');
+    await expect(listener).toEventuallyHaveBeenCalledWith('done');
+    await expect(listener).toEventuallyHaveBeenCalledTimes(2);
+  });
+
+  it('toEventuallyHaveReturnedWith - should wait for a return value', async () => {
+    const parse = mock.fn(text => JSON.parse(text));
+
+    setTimeout(() => parse('{"id":1}'), 5);
+
+    await expect(parse).toEventuallyHaveReturned();
+    await expect(parse).toEventuallyHaveReturnedWith({ id: 1 });
+    await expect(parse).toEventuallyHaveReturnedTimes(1);
+  });
+
+  it('toEventuallyHaveBeenCalled - should advance mocked timers', async t => {
+    t.mock.timers.enable();
+
+    const retry = mock.fn();
+
+    setTimeout(retry, 60_000);
+
+    const start = performance.now();
+
+    await expect(retry).toEventuallyHaveBeenCalled({
+      timers: t.mock.timers,
+      timeout: 120_000,
+      interval: 1000,
+    });
+    expect(performance.now() - start).toBeLessThan(5000);
+  });
+
+  it('toEventuallyHaveBeenCalledTimes - should use the configured options', async t => {
+    t.mock.timers.enable();
+    configure({ eventually: { timers: t.mock.timers, timeout: 5000 } });
+
+    const retry = mock.fn();
+
+    setTimeout(retry, 1000);
+    setTimeout(retry, 2000);
+
+    await expect(retry).toEventuallyHaveBeenCalledTimes(2);
+  });
+
+  it('not.toEventuallyHaveBeenCalled - should pass while the mock is not called', async () => {
+    await expect(mock.fn()).not.toEventuallyHaveBeenCalled({ timeout: 20 });
+  });
+
+  it('not.toEventuallyHaveBeenCalledWith - should run the matcher once when the polling ends', async () => {
+    const listener = mock.fn();
+    const event = captor();
+
+    configure({ eventually: { timeout: 30 } });
+    listener('ready');
+
+    try {
+      await expect(listener).not.toEventuallyHaveBeenCalledWith(event);
+      throw new Error('should not pass');
+    } catch (error) {
+      expect(stripAnsi(error.message)).toStrictEqual(
+        expect.stringContaining('Still satisfied after 30ms, checked')
+      );
+    }
+    expect(event.values).toStrictEqual(['ready']);
+  });
+
+  it('toEventuallyHaveBeenCalledWith - should report the last observed state on timeout', async () => {
+    const listener = mock.fn();
+
+    listener('starting');
+
+    try {
+      await expect(listener).toEventuallyHaveBeenCalledWith('ready');
+      throw new Error('should not pass');
+    } catch (error) {
+      const message = stripAnsi(error.message);
+
+      expect(message).toStrictEqual(
+        expect.stringContaining(
+          'expect(mock.fn()).toEventuallyHaveBeenCalledWith(...expected)'
+        )
+      );
+      expect(message).toStrictEqual(
+        expect.stringContaining('Timed out after 1000ms')
+      );
+      expect(message).toStrictEqual(
+        expect.stringContaining('Last observed state:')
+      );
+      expect(message).toStrictEqual(
+        expect.stringContaining('Received\n\t0: "starting"')
+      );
+    }
+  });
+
+  it('toEventuallyHaveBeenCalledTimes - should report mocked time on timeout', async t => {
+    t.mock.timers.enable();
+
+    const retry = mock.fn();
+
+    try {
+      await expect(retry).toEventuallyHaveBeenCalledTimes(1, {
+        timers: t.mock.timers,
+        timeout: 500,
+        interval: 100,
+      });
+      throw new Error('should not pass');
+    } catch (error) {
+      expect(stripAnsi(error.message)).toStrictEqual(
+        expect.stringContaining(
+          'Timed out after 500ms of mocked time, checked 6 time(s)'
+        )
+      );
+    }
+  });
+});
@@ -0,0 +1,203 @@
+import { execFileSync } from 'node:child_process';
+import { afterEach, describe, it, mock } from 'node:test';
+
+import { equals } from '@jest/expect-utils';
+import { expect } from 'expect';
+import stripAnsi from 'strip-ansi';
+
+import { configure, extendExpect, resetConfig } from '../extend.mjs';
+
+/**
+ * Helper function to create a minimal expect-compatible instance,
+ * which runs the matchers with the given equality and utils
+ * @param {Object} [context={}] - The matcher context
+ * @returns {Function} - The expect instance
+ */
+function createCustomExpect(context = {}) {
+  const matchers = {};
+  const customTesters = [];
+  const check = result => {
+    if (!result.pass) {
+      throw new Error(result.message());
+    }
+  };
+  const customExpect = received =>
+    Object.fromEntries(
+      Object.entries(matchers).map(([name, matcher]) => [
+        name,
+        (...expected) => {
+          const result = matcher.call(
+            { isNot: false, promise: '', equals, customTesters, ...context },
+            received,
+            ...expected
+          );
+
+          return result instanceof Promise ? result.then(check) : check(result);
+        },
+      ])
+    );
+
+  customExpect.extend = newMatchers => Object.assign(matchers, newMatchers);
+  customExpect.addEqualityTesters = testers => customTesters.push(...testers);
+
+  return customExpect;
+}
+
+describe('extendExpect', () => {
+  afterEach(() => {
+    resetConfig();
+  });
+
+  it('should not register the matchers when imported', () => {
+    expect(expect(mock.fn()).toHaveBeenCalledOn).toBeUndefined();
+    expect(expect(mock.fn()).toHaveMethodCalled).toBeUndefined();
+  });
+
+  it('should not change node:test or pretty-format when imported', () => {
+    const script = `
+      import { mock } from 'node:test';
+      import { plugins } from 'pretty-format';
+
+      const { method } = Object.getPrototypeOf(mock);
+      const { serialize, test } = plugins.AsymmetricMatcher;
+
+      await import(${JSON.stringify(new URL('../extend.mjs', import.meta.url).href)});
+
+      process.stdout.write(JSON.stringify([
+        Object.getPrototypeOf(mock).method === method,
+        plugins.AsymmetricMatcher.serialize === serialize,
+        plugins.AsymmetricMatcher.test === test,
+      ]));
+    `;
+    const unchanged = execFileSync(
+      process.execPath,
+      ['--input-type=module', '--eval', script],
+      { cwd: new URL('.', import.meta.url), encoding: 'utf8' }
+    );
+
+    expect(JSON.parse(unchanged)).toEqual([true, true, true]);
+  });
+
+  it('should register the matchers on the given instance and return it', () => {
+    const customExpect = createCustomExpect();
+    const add = mock.fn((a, b) => a + b);
+
+    add(1, 2);
+
+    expect(extendExpect(customExpect)).toBe(customExpect);
+    customExpect(add).toHaveBeenCalledWith(1, 2);
+    customExpect(add).toHaveBeenCalledOn(undefined);
+    expect(() => customExpect(add).toHaveReturnedWith(4)).toThrow(
+      'toHaveReturnedWith'
+    );
+    expect(expect(add).toHaveBeenCalledOn).toBeUndefined();
+  });
+
+  it('should compare values with this.equals of the instance', () => {
+    const compared = [];
+    const customExpect = extendExpect(
+      createCustomExpect({
+        equals: (a, b, ...rest) => {
+          compared.push([a, b]);
+          return equals(a, b, ...rest);
+        },
+      })
+    );
+    const send = mock.fn();
+
+    send('event');
+
+    customExpect(send).toHaveBeenCalledWith('event');
+    expect(compared).toContainEqual(['event', 'event']);
+  });
+
+  it('should print the messages with this.utils of the instance', () => {
+    const customExpect = extendExpect(
+      createCustomExpect({
+        utils: {
+          matcherHint: name => `custom hint of ${name}`,
+          EXPECTED_COLOR: text => `<${text}>`,
+        },
+      })
+    );
+    const add = mock.fn();
+
+    add(1);
+
+    try {
+      customExpect(add).toHaveBeenCalledTimes(2);
+      throw new Error('should not pass');
+    } catch (error) {
+      expect(stripAnsi(error.message)).toEqual(
+        expect.stringContaining(
+          'custom hint of toHaveBeenCalledTimes\n\nExpected number of calls: <2>'
+        )
+      );
+    }
+  });
+
+  it('should run the async matchers on the instance', async () => {
+    const customExpect = extendExpect(
+      createCustomExpect({ utils: { matcherHint: () => 'custom hint' } })
+    );
+    const load = mock.fn(async id => ({ id }));
+
+    await load(1);
+
+    await customExpect(load).toHaveResolvedWith({ id: 1 });
+    await expect(
+      customExpect(load).toHaveResolvedWith({ id: 2 })
+    ).rejects.toThrow('custom hint');
+  });
+
+  it('should configure the matchers with the options', () => {
+    const customExpect = extendExpect(createCustomExpect(), {
+      equality: 'strict',
+    });
+    const save = mock.fn();
+
+    save({ id: 1, name: undefined });
+
+    customExpect(save).toHaveBeenCalledWith({ id: 1, name: undefined });
+    expect(() => customExpect(save).toHaveBeenCalledWith({ id: 1 })).toThrow(
+      'Equality: toStrictEqual'
+    );
+  });
+
+  it('should keep the options to the instance', async () => {
+    const strictExpect = extendExpect(createCustomExpect(), {
+      equality: 'strict',
+    });
+    const defaultExpect = extendExpect(createCustomExpect());
+    const load = mock.fn(async () => ({ id: 1, name: undefined }));
+
+    await load();
+
+    await defaultExpect(load).toHaveResolvedWith({ id: 1 });
+    await expect(
+      strictExpect(load).toHaveResolvedWith({ id: 1 })
+    ).rejects.toThrow('Equality: toStrictEqual');
+    expect(configure().equality).toBe('equal');
+  });
+
+  it('should merge the options into the configuration', () => {
+    const customExpect = extendExpect(createCustomExpect(), {
+      callSites: false,
+    });
+    const save = mock.fn();
+
+    configure({ equality: 'strict' });
+    save({ id: 1, name: undefined });
+
+    expect(() => customExpect(save).toHaveBeenCalledWith({ id: 1 })).toThrow(
+      'Equality: toStrictEqual'
+    );
+  });
+
+  it('should throw a TypeError when the instance cannot be extended', () => {
+    expect(() => extendExpect({})).toThrow(TypeError);
+    expect(() => extendExpect(undefined)).toThrow(
+      'extendExpect() expects an expect instance with an extend() method'
+    );
+  });
+});
@@ -327,4 +327,509 @@ describe('mockMethodMatchers', () => {
 
     expect(method).not.toHaveNthReturnedWith(1, 'foo');
   });
+
+  it('toHaveThrown - should fail to test when method is not node mock', () => {
+    const method = () => {};
+
+    method();
+
+    try {
+      expect(method).toHaveThrown();
+    } catch (error) {
+      expect(stripAnsi(error.message)).toEqual(
+        expect.stringContaining(
+          'Matcher error: received value must be a node mock function'
+        )
+      );
+    }
+  });
+
+  it('toHaveThrown - should test pass and not pass', () => {
+    const method = mock.fn(() => {
+      throw new Error('boom');
+    });
+    const notThrowingMethod = mock.fn();
+
+    expect(() => {
+      method();
+    }).toThrow();
+    notThrowingMethod();
+
+    expect(method).toHaveThrown();
+    expect(notThrowingMethod).not.toHaveThrown();
+  });
+
+  it('toHaveThrownTimes - should test pass and not pass', () => {
+    const method = mock.fn(arg => {
+      if (arg) {
+        throw new Error('boom');
+      }
+    });
+
+    expect(() => {
+      method(true);
+    }).toThrow();
+    method(false);
+    expect(() => {
+      method(true);
+    }).toThrow();
+
+    expect(method).toHaveThrownTimes(2);
+    expect(method).not.toHaveThrownTimes(3);
+  });
+
+  it('toHaveThrownWith - should match error class, substring, pattern and asymmetric matcher', () => {
+    const method = mock.fn(() => {
+      throw new TypeError('invalid config value');
+    });
+
+    expect(() => {
+      method();
+    }).toThrow();
+
+    expect(method).toHaveThrownWith(TypeError);
+    expect(method).toHaveThrownWith(Error);
+    expect(method).not.toHaveThrownWith(RangeError);
+    expect(method).toHaveThrownWith('config');
+    expect(method).not.toHaveThrownWith('timeout');
+    expect(method).toHaveThrownWith(/^invalid/);
+    expect(method).toHaveThrownWith(new Error('invalid config value'));
+    expect(method).toHaveThrownWith(
+      expect.objectContaining({ message: 'invalid config value' })
+    );
+  });
+
+  it('toHaveThrownWith - should not pass when mock method returns', () => {
+    const method = mock.fn(() => 'invalid config value');
+
+    method();
+
+    expect(method).not.toHaveThrownWith('config');
+  });
+
+  it('toHaveLastThrownWith - should test pass and not pass', () => {
+    const method = mock.fn(arg => {
+      throw new Error(arg);
+    });
+
+    expect(() => {
+      method('foo');
+    }).toThrow();
+    expect(() => {
+      method('bar');
+    }).toThrow();
+
+    expect(method).toHaveLastThrownWith('bar');
+    expect(method).not.toHaveLastThrownWith('foo');
+  });
+
+  it('toHaveNthThrownWith - should test pass and not pass', () => {
+    const method = mock.fn(arg => {
+      if (arg) {
+        throw new RangeError(arg);
+      }
+    });
+
+    method();
+    expect(() => {
+      method('out of range');
+    }).toThrow();
+
+    expect(method).toHaveNthThrownWith(2, RangeError);
+    expect(method).not.toHaveNthThrownWith(1, RangeError);
+    expect(method).not.toHaveNthThrownWith(3, RangeError);
+  });
+
+  it('toHaveResolved - should fail to test when method is not node mock', async () => {
+    const method = async () => {};
+
+    await method();
+
+    await expect(expect(method).toHaveResolved()).rejects.toThrow(
+      'received value must be a node mock function'
+    );
+  });
+
+  it('toHaveResolved - should test pass and not pass', async () => {
+    const method = mock.fn(async () => 'foo');
+    const rejectingMethod = mock.fn(async () => {
+      throw new Error('boom');
+    });
+
+    method();
+    await expect(rejectingMethod()).rejects.toThrow();
+
+    await expect(method).toHaveResolved();
+    await expect(rejectingMethod).not.toHaveResolved();
+  });
+
+  it('toHaveResolved - should not pass when promise is still pending', async () => {
+    const method = mock.fn(() => new Promise(() => {}));
+
+    method();
+
+    await expect(method).not.toHaveResolved();
+  });
+
+  it('toHaveResolvedWith - should test pass and not pass', async () => {
+    const method = mock.fn(async arg => ({ value: arg }));
+
+    method('foo');
+    method('bar');
+
+    await expect(method).toHaveResolvedWith({ value: 'bar' });
+    await expect(method).not.toHaveResolvedWith({ value: 'baz' });
+  });
+
+  it('toHaveResolvedWith - should not match returned promise itself', async () => {
+    const method = mock.fn(async () => 'foo');
+
+    method();
+
+    await expect(method).not.toHaveResolvedWith(expect.any(Promise));
+    expect(method).toHaveReturnedWith(expect.any(Promise));
+  });
+
+  it('toHaveLastResolvedWith - should test pass and not pass', async () => {
+    const method = mock.fn(async arg => arg);
+
+    method('foo');
+    method('bar');
+
+    await expect(method).toHaveLastResolvedWith('bar');
+    await expect(method).not.toHaveLastResolvedWith('foo');
+  });
+
+  it('toHaveNthResolvedWith - should test pass and not pass', async () => {
+    const method = mock.fn(async arg => arg);
+
+    method('foo');
+    method('bar');
+
+    await expect(method).toHaveNthResolvedWith(1, 'foo');
+    await expect(method).toHaveNthResolvedWith(2, 'bar');
+    await expect(method).not.toHaveNthResolvedWith(1, 'bar');
+    await expect(method).not.toHaveNthResolvedWith(3, 'bar');
+  });
+
+  it('toHaveRejectedWith - should test pass and not pass', async () => {
+    const method = mock.fn(async arg => {
+      if (arg) {
+        throw new TypeError(arg);
+      }
+    });
+
+    await method();
+    await expect(method('invalid input')).rejects.toThrow();
+
+    await expect(method).toHaveRejectedWith(TypeError);
+    await expect(method).toHaveRejectedWith('invalid');
+    await expect(method).not.toHaveRejectedWith(RangeError);
+  });
+
+  it('toHaveBeenCalledOn - should fail to test when method is not node mock', () => {
+    const method = () => {};
+
+    method();
+
+    try {
+      expect(method).toHaveBeenCalledOn({});
+    } catch (error) {
+      expect(stripAnsi(error.message)).toEqual(
+        expect.stringContaining(
+          'Matcher error: received value must be a node mock function'
+        )
+      );
+    }
+  });
+
+  it('toHaveBeenCalledOn - should compare receivers by identity', () => {
+    class Model {
+      constructor(id) {
+        this.id = id;
+      }
+
+      save() {}
+    }
+    const first = new Model(1);
+    const second = new Model(1);
+    const save = mock.method(Model.prototype, 'save');
+
+    first.save();
+
+    expect(save).toHaveBeenCalledOn(first);
+    expect(save).not.toHaveBeenCalledOn(second);
+    expect(save).toHaveBeenCalledOn(expect.objectContaining({ id: 1 }));
+
+    save.mock.restore();
+  });
+
+  it('toHaveBeenCalledOn - should compare receivers with deep equality', () => {
+    const method = mock.fn();
+
+    method.call({ id: 1 });
+
+    expect(method).toHaveBeenCalledOn({ id: 1 }, { equality: 'deep' });
+    expect(method).not.toHaveBeenCalledOn({ id: 1 });
+    expect(method).not.toHaveBeenCalledOn({ id: 2 }, { equality: 'deep' });
+  });
+
+  it('toHaveBeenLastCalledOn - should test pass and not pass', () => {
+    const first = {};
+    const second = {};
+    const method = mock.fn();
+
+    method.call(first);
+    method.call(second);
+
+    expect(method).toHaveBeenLastCalledOn(second);
+    expect(method).not.toHaveBeenLastCalledOn(first);
+  });
+
+  it('toHaveBeenNthCalledOn - should test pass and not pass', () => {
+    const first = {};
+    const second = {};
+    const method = mock.fn();
+
+    method.call(first);
+    method.call(second);
+
+    expect(method).toHaveBeenNthCalledOn(1, first);
+    expect(method).toHaveBeenNthCalledOn(2, second);
+    expect(method).not.toHaveBeenNthCalledOn(1, second);
+    expect(method).not.toHaveBeenNthCalledOn(3, second);
+  });
+
+  it('toHaveBeenConstructed - should fail to test when method is not node mock', () => {
+    const method = () => {};
+
+    method();
+
+    try {
+      expect(method).toHaveBeenConstructed();
+    } catch (error) {
+      expect(stripAnsi(error.message)).toEqual(
+        expect.stringContaining(
+          'Matcher error: received value must be a node mock function'
+        )
+      );
+    }
+  });
+
+  it('toHaveBeenConstructed - should test pass and not pass', () => {
+    const Constructed = mock.fn();
+    const called = mock.fn();
+
+    new Constructed();
+    called();
+
+    expect(Constructed).toHaveBeenConstructed();
+    expect(called).not.toHaveBeenConstructed();
+  });
+
+  it('toHaveBeenConstructedTimes - should count only construct calls', () => {
+    const Model = mock.fn();
+
+    new Model();
+    Model();
+    new Model();
+
+    expect(Model).toHaveBeenConstructedTimes(2);
+    expect(Model).not.toHaveBeenConstructedTimes(3);
+  });
+
+  it('toHaveBeenConstructedWith - should tell construct calls and plain calls apart', () => {
+    const Model = mock.fn();
+
+    new Model('foo');
+    Model('bar');
+
+    expect(Model).toHaveBeenConstructedWith('foo');
+    expect(Model).not.toHaveBeenConstructedWith('bar');
+    expect(Model).toHaveBeenCalledWith('bar');
+  });
+
+  it('toHaveBeenCalledWithoutNew - should test pass and not pass', () => {
+    const Model = mock.fn();
+    const OnlyConstructed = mock.fn();
+
+    Model();
+    new OnlyConstructed();
+
+    expect(Model).toHaveBeenCalledWithoutNew();
+    expect(OnlyConstructed).not.toHaveBeenCalledWithoutNew();
+  });
+
+  it('toHaveReturnedWith - should compare the instance produced by a construct call', () => {
+    class Point {
+      constructor(x, y) {
+        this.x = x;
+        this.y = y;
+      }
+    }
+    const PointMock = mock.fn(Point);
+
+    const point = new PointMock(1, 2);
+
+    expect(PointMock).toHaveReturnedWith(point);
+    expect(PointMock).toHaveReturnedWith(expect.any(Point));
+    expect(PointMock).toHaveLastReturnedWith({ x: 1, y: 2 });
+    expect(PointMock).not.toHaveReturnedWith({ x: 2, y: 1 });
+  });
+
+  it('toHaveBeenCalledStrictlyWith - should test pass and not pass', () => {
+    class Options {
+      constructor(retries) {
+        this.retries = retries;
+      }
+    }
+    const method = mock.fn();
+
+    method({ retries: 1, timeout: undefined }, new Options(2));
+
+    expect(method).toHaveBeenCalledWith({ retries: 1 }, { retries: 2 });
+    expect(method).toHaveBeenCalledStrictlyWith(
+      { retries: 1, timeout: undefined },
+      new Options(2)
+    );
+    expect(method).not.toHaveBeenCalledStrictlyWith(
+      { retries: 1 },
+      new Options(2)
+    );
+    expect(method).not.toHaveBeenCalledStrictlyWith(
+      { retries: 1, timeout: undefined },
+      { retries: 2 }
+    );
+  });
+
+  it('toHaveReturnedStrictlyWith - should test pass and not pass', () => {
+    const method = mock.fn(() => ({ id: 1, name: undefined }));
+
+    method();
+
+    expect(method).toHaveReturnedWith({ id: 1 });
+    expect(method).toHaveReturnedStrictlyWith({ id: 1, name: undefined });
+    expect(method).not.toHaveReturnedStrictlyWith({ id: 1 });
+  });
+
+  it('toHaveBeenCalledAtLeast - should test pass and not pass', () => {
+    const method = mock.fn();
+
+    method();
+    method();
+    method();
+
+    expect(method).toHaveBeenCalledAtLeast(3);
+    expect(method).toHaveBeenCalledAtLeast(0);
+    expect(method).not.toHaveBeenCalledAtLeast(4);
+  });
+
+  it('toHaveBeenCalledAtMost - should test pass and not pass', () => {
+    const method = mock.fn();
+
+    method();
+    method();
+
+    expect(method).toHaveBeenCalledAtMost(2);
+    expect(mock.fn()).toHaveBeenCalledAtMost(0);
+    expect(method).not.toHaveBeenCalledAtMost(1);
+  });
+
+  it('toHaveBeenCalledBetween - should test pass and not pass', () => {
+    const method = mock.fn();
+
+    method();
+    method();
+
+    expect(method).toHaveBeenCalledBetween(2, 2);
+    expect(method).toHaveBeenCalledBetween(1, 5);
+    expect(method).not.toHaveBeenCalledBetween(3, 5);
+    expect(method).not.toHaveBeenCalledBetween(0, 1);
+  });
+
+  it('toHaveBeenCalledBetween - should fail to test when the bounds are invalid', () => {
+    const method = mock.fn();
+
+    expect(() => expect(method).toHaveBeenCalledBetween(3, 1)).toThrow(
+      'value must not be greater than'
+    );
+    expect(() => expect(method).toHaveBeenCalledBetween(1)).toThrow(
+      'value must be a non-negative integer'
+    );
+    expect(() => expect(method).toHaveBeenCalledAtLeast(-1)).toThrow(
+      'value must be a non-negative integer'
+    );
+    expect(() => expect(method).toHaveReturnedAtMost(1.5)).toThrow(
+      'value must be a non-negative integer'
+    );
+  });
+
+  it('toHaveReturnedAtLeast - should count only successful returns', () => {
+    const method = mock.fn(shouldThrow => {
+      if (shouldThrow) {
+        throw new Error('Failed');
+      }
+    });
+
+    method(false);
+    expect(() => {
+      method(true);
+    }).toThrow();
+    method(false);
+
+    expect(method).toHaveBeenCalledAtLeast(3);
+    expect(method).toHaveReturnedAtLeast(2);
+    expect(method).not.toHaveReturnedAtLeast(3);
+  });
+
+  it('toHaveReturnedAtMost - should count only successful returns', () => {
+    const method = mock.fn(() => {
+      throw new Error('Failed');
+    });
+
+    expect(() => {
+      method();
+    }).toThrow();
+
+    expect(method).toHaveReturnedAtMost(0);
+    expect(method).not.toHaveBeenCalledAtMost(0);
+  });
+
+  it('toHaveReturnedBetween - should test pass and not pass', () => {
+    const method = mock.fn();
+
+    method();
+
+    expect(method).toHaveReturnedBetween(1, 3);
+    expect(method).not.toHaveReturnedBetween(2, 3);
+  });
+
+  it('toHaveBeenCalledExactlyOnceWith - should test pass and not pass', () => {
+    const method = mock.fn();
+    const calledTwice = mock.fn();
+
+    method('a', { id: 1 });
+    calledTwice('a');
+    calledTwice('a');
+
+    expect(method).toHaveBeenCalledExactlyOnceWith('a', { id: 1 });
+    expect(method).not.toHaveBeenCalledExactlyOnceWith('a');
+    expect(calledTwice).not.toHaveBeenCalledExactlyOnceWith('a');
+    expect(mock.fn()).not.toHaveBeenCalledExactlyOnceWith();
+  });
+
+  it('toHaveOnlyBeenCalledWith - should test pass and not pass', () => {
+    const method = mock.fn();
+    const mixed = mock.fn();
+
+    method('a');
+    method('a');
+    mixed('a');
+    mixed('b');
+
+    expect(method).toHaveOnlyBeenCalledWith('a');
+    expect(method).toHaveOnlyBeenCalledWith(expect.any(String));
+    expect(mixed).not.toHaveOnlyBeenCalledWith('a');
+    expect(mock.fn()).not.toHaveOnlyBeenCalledWith();
+  });
 });
@@ -0,0 +1,90 @@
+import { describe, it, mock } from 'node:test';
+
+import { expect } from 'expect';
+import { printReceived } from 'jest-matcher-utils';
+import { format, plugins } from 'pretty-format';
+import stripAnsi from 'strip-ansi';
+
+import { checkpoint, mockSerializer, since } from '../index.mjs';
+
+describe('mockSerializer', () => {
+  it('should print a mock without calls with its name', () => {
+    expect(format(mock.fn(), { plugins: [mockSerializer] })).toBe(
+      '[MockFunction]'
+    );
+    expect(
+      format(
+        mock.fn(function onClick() {}),
+        { plugins: [mockSerializer] }
+      )
+    ).toBe('[MockFunction onClick]');
+  });
+
+  it('should print the calls and results of a mock', () => {
+    const double = mock.fn(function double(value) {
+      if (value < 0) {
+        throw new RangeError('negative');
+      }
+      return value * 2;
+    });
+
+    double(2);
+    expect(() => {
+      double(-1);
+    }).toThrow();
+
+    expect(format(double, { plugins: [mockSerializer], min: true })).toBe(
+      '[MockFunction double] {"calls": [[2], [-1]], "results": [{"type": "return", "value": 4}, {"type": "throw", "value": [RangeError: negative]}]}'
+    );
+  });
+
+  it('should print only the name beyond the maximum depth', () => {
+    const handler = mock.fn(function handler() {});
+
+    handler('event');
+
+    expect(
+      format({ handler }, { plugins: [mockSerializer], maxDepth: 0 })
+    ).toBe('[Object]');
+    expect(
+      format({ handler }, { plugins: [mockSerializer], maxDepth: 1, min: true })
+    ).toBe('{"handler": [MockFunction handler]}');
+  });
+
+  it('should print the mocks in the failure messages of the matchers', () => {
+    const onSave = mock.fn(function onSave() {});
+    const register = mock.fn();
+
+    onSave('draft');
+    register({ onSave });
+
+    try {
+      expect(register).toHaveBeenCalledWith({ onSave: mock.fn() });
+      throw new Error('should not pass');
+    } catch (error) {
+      expect(stripAnsi(error.message)).toEqual(
+        expect.stringContaining(
+          'Received: {"onSave": [MockFunction onSave] {"calls": [["draft"]]'
+        )
+      );
+    }
+  });
+
+  it('should not change the plugins of pretty-format', () => {
+    const onSave = mock.fn(function onSave() {});
+
+    expect(plugins.AsymmetricMatcher.test(onSave)).toBe(false);
+    expect(printReceived({ onSave })).toEqual(
+      expect.stringContaining('{"onSave": [Function onSave]}')
+    );
+  });
+
+  it('mockEquality - should compare mocks by identity, views included', () => {
+    const onSave = mock.fn();
+    const view = since(checkpoint(onSave));
+
+    expect({ onSave: view }).toEqual({ onSave });
+    expect({ onSave }).not.toEqual({ onSave: mock.fn() });
+    expect({ onSave }).not.toEqual({ onSave: () => {} });
+  });
+});
@@ -0,0 +1,207 @@
+import { afterEach, describe, it, mock } from 'node:test';
+
+import { expect } from 'expect';
+import stripAnsi from 'strip-ansi';
+
+import '../index.mjs';
+
+/**
+ * Helper function to create a service object with methods to spy on
+ * @returns {Object} - The service
+ */
+function createService() {
+  return {
+    find(id) {
+      return { id };
+    },
+    save(record) {
+      return record.id;
+    },
+  };
+}
+
+describe('objectMatchers', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('toBeMocked - should pass when the method is mocked', () => {
+    const service = createService();
+
+    expect(service).not.toBeMocked('find');
+
+    mock.method(service, 'find');
+
+    expect(service).toBeMocked('find');
+    expect(service).not.toBeMocked('save');
+  });
+
+  it('toBeMocked - should report a restored method as not mocked', () => {
+    const service = createService();
+
+    mock.method(service, 'find').mock.restore();
+
+    try {
+      expect(service).toBeMocked('find');
+      throw new Error('should not pass');
+    } catch (error) {
+      expect(stripAnsi(error.message)).toEqual(
+        expect.stringContaining(
+          'Expected: method find to be mocked\nReceived: not mocked'
+        )
+      );
+    }
+  });
+
+  it('toBeMocked - should find a method mocked on the prototype', () => {
+    class Repository {
+      load() {}
+    }
+    const repository = new Repository();
+
+    mock.method(Repository.prototype, 'load');
+
+    expect(repository).toBeMocked('load');
+  });
+
+  it('toHaveMethodCalledWith - should check the calls of the mocked method', () => {
+    const service = createService();
+
+    mock.method(service, 'find');
+    mock.method(service, 'save');
+
+    service.find(1);
+    service.save({ id: 2 });
+
+    expect(service).toHaveMethodCalled('find');
+    expect(service).toHaveMethodCalledTimes('save', 1);
+    expect(service).toHaveMethodCalledWith('find', 1);
+    expect(service).toHaveMethodLastCalledWith('save', { id: 2 });
+    expect(service).toHaveMethodNthCalledWith('find', 1, 1);
+    expect(service).not.toHaveMethodCalledWith('find', 2);
+  });
+
+  it('toHaveMethodReturnedWith - should check the results of the mocked method', () => {
+    const service = createService();
+
+    mock.method(service, 'find');
+
+    service.find(1);
+    service.find(2);
+
+    expect(service).toHaveMethodReturned('find');
+    expect(service).toHaveMethodReturnedTimes('find', 2);
+    expect(service).toHaveMethodReturnedWith('find', { id: 1 });
+    expect(service).toHaveMethodLastReturnedWith('find', { id: 2 });
+    expect(service).toHaveMethodNthReturnedWith('find', 1, { id: 1 });
+  });
+
+  it('toHaveMethodCalledWith - should print the method and the message of the mock matcher', () => {
+    const service = createService();
+
+    mock.method(service, 'find');
+
+    service.find(1);
+
+    try {
+      expect(service).toHaveMethodCalledWith('find', 2);
+      throw new Error('should not pass');
+    } catch (error) {
+      const message = stripAnsi(error.message);
+
+      expect(message).toEqual(
+        expect.stringContaining(
+          'expect(object).toHaveMethodCalledWith(methodName, ...expected) // toHaveMethodCalledWith of Node.js mock.method()'
+        )
+      );
+      expect(message).toEqual(expect.stringContaining('Method: find'));
+      expect(message).toEqual(expect.stringContaining('Expected: 2'));
+    }
+  });
+
+  it('toHaveMethodNthCalledWith - should print the hint of the object matcher only', () => {
+    const service = createService();
+
+    mock.method(service, 'find');
+
+    service.find(1);
+
+    for (const assert of [
+      () => expect(service).toHaveMethodLastCalledWith('find', 2),
+      () => expect(service).toHaveMethodNthCalledWith('find', 1, 2),
+    ]) {
+      try {
+        assert();
+        throw new Error('should not pass');
+      } catch (error) {
+        const message = stripAnsi(error.message);
+
+        expect(message.match(/expect\(/g)).toHaveLength(1);
+        expect(message).toEqual(
+          expect.stringMatching(
+            /^\nexpect\(object\).*\n\nMethod: find\n\n(n: 1\n)?Expected: 2\n/
+          )
+        );
+      }
+    }
+  });
+
+  it('toHaveMethodCalled - should throw when the method is not mocked', () => {
+    expect(() => {
+      expect(createService()).toHaveMethodCalled('find');
+    }).toThrow('method find of the received object is not mocked');
+  });
+
+  it('toHaveMethodCalled - should throw when the mock was restored', () => {
+    const service = createService();
+
+    mock.method(service, 'find');
+    service.find(1);
+
+    expect(service).toHaveMethodCalled('find');
+
+    mock.restoreAll();
+
+    expect(() => {
+      expect(service).toHaveMethodCalled('find');
+    }).toThrow(
+      'method find of the received object is not mocked anymore, its mock was restored'
+    );
+  });
+
+  it('should throw for a received value that is not an object', () => {
+    expect(() => {
+      expect(1).toHaveMethodCalled('find');
+    }).toThrow('value must be an object or a function');
+    expect(() => {
+      expect(createService()).toBeMocked(1);
+    }).toThrow('methodName must be a string or a symbol');
+  });
+
+  it('toBeMocked - should detect an accessor mocked with mock.getter()', () => {
+    const settings = {
+      get theme() {
+        return 'light';
+      },
+    };
+
+    expect(settings).not.toBeMocked('theme');
+
+    const getter = mock.getter(settings, 'theme');
+
+    expect(settings).toBeMocked('theme');
+
+    getter.mock.restore();
+
+    expect(settings).not.toBeMocked('theme');
+
+    try {
+      expect(settings).toBeMocked('theme');
+      throw new Error('should not pass');
+    } catch (error) {
+      expect(stripAnsi(error.message)).toEqual(
+        expect.stringContaining('Received: restored')
+      );
+    }
+  });
+});
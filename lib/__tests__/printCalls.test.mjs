@@ -0,0 +1,138 @@
+import { afterEach, describe, it, mock } from 'node:test';
+
+import { expect } from 'expect';
+import stripAnsi from 'strip-ansi';
+
+import { configure, resetConfig } from '../index.mjs';
+import {
+  findClosestCall,
+  formatArgumentsDiff,
+  formatCallArgs,
+  formatCallSite,
+  formatClosestCallDiff,
+  formatReceivedCalls,
+} from '../printCalls.mjs';
+
+const isEqual = (received, expected) => received === expected;
+const toCalls = argsList => argsList.map(args => ({ arguments: args }));
+
+describe('printCalls', () => {
+  afterEach(() => {
+    resetConfig();
+  });
+
+  it('findClosestCall - should prefer the call with most matching positions', () => {
+    const calls = toCalls([['a'], ['a', 'x', 'c'], ['a', 'b', 'x']]);
+
+    expect(findClosestCall(calls, ['a', 'b', 'c'], isEqual)).toBe(1);
+    expect(findClosestCall([], ['a'], isEqual)).toBe(-1);
+  });
+
+  it('findClosestCall - should prefer the call with the same number of arguments on a tie', () => {
+    const calls = toCalls([
+      ['a', 'x', 'y'],
+      ['a', 'x'],
+    ]);
+
+    expect(findClosestCall(calls, ['a', 'b'], isEqual)).toBe(1);
+  });
+
+  it('formatCallArgs - should print all arguments', () => {
+    expect(stripAnsi(formatCallArgs(['a', 'x'], ['a', 'b'], isEqual))).toBe(
+      '"a", "x"'
+    );
+    expect(formatCallArgs([], ['a'], isEqual)).toBe('called with 0 arguments');
+  });
+
+  it('formatReceivedCalls - should cap the number of printed calls', () => {
+    const calls = toCalls([['a'], ['b'], ['c'], ['d'], ['e']]);
+
+    const message = stripAnsi(formatReceivedCalls(calls, ['z'], isEqual));
+
+    expect(message).toBe(
+      'Received\n\t0: "a"\n\t1: "b"\n\t2: "c"\n\t…and 2 more calls'
+    );
+  });
+
+  it('formatReceivedCalls - should print only the selected calls', () => {
+    const calls = toCalls([['a'], ['b'], ['c']]);
+
+    const message = stripAnsi(
+      formatReceivedCalls(calls, ['b'], isEqual, { indexes: [1] })
+    );
+
+    expect(message).toBe('Received\n\t1: "b"');
+  });
+
+  it('formatArgumentsDiff - should describe missing and unexpected arguments', () => {
+    expect(stripAnsi(formatArgumentsDiff(['a'], ['a', 'b'], isEqual))).toBe(
+      'Argument 2: missing, expected "b"'
+    );
+    expect(stripAnsi(formatArgumentsDiff(['a', 'b'], ['a'], isEqual))).toBe(
+      'Argument 2: unexpected, received "b"'
+    );
+    expect(formatArgumentsDiff(['a'], ['a'], isEqual)).toBe('');
+  });
+
+  it('formatClosestCallDiff - should compare only the selected calls', () => {
+    const calls = toCalls([
+      ['a', 'b'],
+      ['a', 'x'],
+      ['y', 'x'],
+    ]);
+
+    const message = stripAnsi(
+      formatClosestCallDiff(calls, ['a', 'b'], isEqual, { indexes: [2, 1] })
+    );
+
+    expect(message).toStrictEqual(
+      expect.stringContaining('Difference with the closest call (1)')
+    );
+    expect(formatClosestCallDiff(calls, ['a'], isEqual, { indexes: [] })).toBe(
+      ''
+    );
+  });
+
+  it('formatCallSite - should print nothing unless enabled', () => {
+    const method = mock.fn();
+
+    method();
+
+    expect(formatCallSite(method.mock.calls[0])).toBe('');
+  });
+
+  it('formatCallSite - should print the first frame outside of Node.js and dependencies', () => {
+    configure({ callSites: true });
+
+    const stack = [
+      'Error',
+      '    at Object.apply (node:internal/test_runner/mock/mock:597:20)',
+      '    at emit (/app/node_modules/events-lib/index.js:10:5)',
+      '    at save (/app/src/store.mjs:12:7)',
+      '    at /app/src/main.mjs:3:1',
+    ].join('\n');
+
+    expect(stripAnsi(formatCallSite({ stack: { stack } }))).toBe(
+      ' at /app/src/store.mjs:12:7'
+    );
+    expect(formatCallSite({ stack: { stack: 'Error' } })).toBe('');
+  });
+
+  it('formatCallSite - should print where every received call was made', () => {
+    configure({ callSites: true });
+
+    const save = mock.fn();
+    const fromList = () => save('list');
+
+    fromList();
+
+    try {
+      expect(save).toHaveBeenCalledWith('detail');
+      throw new Error('should not pass');
+    } catch (error) {
+      expect(stripAnsi(error.message)).toMatch(
+        /\t0: "list" at lib\/__tests__\/printCalls\.test\.mjs:\d+:\d+\n/
+      );
+    }
+  });
+});
@@ -5,10 +5,20 @@ import stripAnsi from 'strip-ansi';
 
 import {
   toHaveBeenCalled,
+  toHaveBeenCalledAtLeast,
+  toHaveBeenCalledExactlyOnceWith,
+  toHaveBeenCalledOn,
+  toHaveBeenCalledStrictlyWith,
   toHaveBeenCalledTimes,
   toHaveBeenCalledWith,
+  toHaveBeenConstructedWith,
   toHaveBeenLastCalledWith,
   toHaveBeenNthCalledWith,
+  toHaveLastThrownWith,
+  toHaveOnlyBeenCalledWith,
+  toHaveResolvedWith,
+  toHaveReturnedBetween,
+  toHaveThrownWith,
 } from '../mockMethodMatchers.mjs';
 
 describe('mockMethodMatchers return snapshots', () => {
@@ -262,4 +272,559 @@ describe('mockMethodMatchers return snapshots', () => {
       );
     });
   });
+
+  describe('toHaveThrownWith', () => {
+    it('fail', () => {
+      const options = {
+        isNot: false,
+        promise: false,
+        toHaveThrownWith,
+      };
+
+      const method = mock.fn(arg => {
+        if (arg) {
+          throw new Error(arg);
+        }
+        return 'ok';
+      });
+
+      method();
+      expect(() => method('boom')).toThrow();
+
+      const result = options.toHaveThrownWith(method, TypeError);
+      const message = stripAnsi(result.message());
+
+      expect(result).toEqual({ message: expect.any(Function), pass: false });
+      expect(message).toStrictEqual(
+        expect.stringContaining(
+          'expect(mock.fn()).false.toHaveThrownWith(expected)'
+        )
+      );
+      expect(message).toStrictEqual(
+        expect.stringContaining('Expected: constructor TypeError')
+      );
+      expect(message).toStrictEqual(
+        expect.stringContaining('0: returned "ok"\n\t1: threw [Error: boom]')
+      );
+      expect(message).toStrictEqual(
+        expect.stringContaining('Number of calls: 2')
+      );
+    });
+
+    it('not pass', () => {
+      const options = {
+        isNot: true,
+        promise: false,
+        toHaveThrownWith,
+      };
+      const method = mock.fn();
+
+      const result = options.toHaveThrownWith(method, 'boom');
+      const message = stripAnsi(result.message());
+
+      expect(result).toEqual({ message: expect.any(Function), pass: false });
+      expect(message).toStrictEqual(
+        expect.stringContaining(
+          'expect(mock.fn()).false.not.toHaveThrownWith(expected)'
+        )
+      );
+      expect(message).toStrictEqual(
+        expect.stringContaining('Expected: substring "boom"')
+      );
+      expect(message).toStrictEqual(
+        expect.stringContaining('But the function was not called')
+      );
+    });
+  });
+
+  describe('toHaveLastThrownWith', () => {
+    it('fail', () => {
+      const options = {
+        isNot: false,
+        promise: false,
+        toHaveLastThrownWith,
+      };
+
+      const method = mock.fn(() => 'ok');
+
+      method();
+
+      const result = options.toHaveLastThrownWith(method, /boom/);
+      const message = stripAnsi(result.message());
+
+      expect(result).toEqual({ message: expect.any(Function), pass: false });
+      expect(message).toStrictEqual(
+        expect.stringContaining('Expected: pattern /boom/')
+      );
+      expect(message).toStrictEqual(
+        expect.stringContaining('Received: returned "ok"')
+      );
+    });
+  });
+
+  describe('toHaveResolvedWith', () => {
+    it('fail', async () => {
+      const options = {
+        isNot: false,
+        promise: false,
+        toHaveResolvedWith,
+      };
+
+      const method = mock.fn(arg => {
+        if (arg === 'pending') {
+          return new Promise(() => {});
+        }
+        if (arg === 'sync') {
+          return arg;
+        }
+        return Promise.reject(new Error(arg));
+      });
+
+      method('pending');
+      method('sync');
+      await expect(method('boom')).rejects.toThrow();
+
+      const result = await options.toHaveResolvedWith(method, 'foo');
+      const message = stripAnsi(result.message());
+
+      expect(result).toEqual({ message: expect.any(Function), pass: false });
+      expect(message).toStrictEqual(
+        expect.stringContaining(
+          'expect(mock.fn()).false.toHaveResolvedWith(expected)'
+        )
+      );
+      expect(message).toStrictEqual(expect.stringContaining('Expected: "foo"'));
+      expect(message).toStrictEqual(
+        expect.stringContaining(
+          '0: pending (the promise has not settled yet)\n' +
+            '\t1: returned "sync" (not a promise)\n' +
+            '\t2: rejected [Error: boom]'
+        )
+      );
+      expect(message).toStrictEqual(
+        expect.stringContaining(
+          '1 call(s) returned a promise that is still pending'
+        )
+      );
+    });
+
+    it('not pass', async () => {
+      const options = {
+        isNot: true,
+        promise: false,
+        toHaveResolvedWith,
+      };
+      const method = mock.fn(async () => 'foo');
+
+      method();
+
+      const result = await options.toHaveResolvedWith(method, 'foo');
+      const message = stripAnsi(result.message());
+
+      expect(result).toEqual({ message: expect.any(Function), pass: true });
+      expect(message).toStrictEqual(
+        expect.stringContaining('Expected: not "foo"')
+      );
+      expect(message).toStrictEqual(
+        expect.stringContaining('0: resolved "foo"')
+      );
+    });
+  });
+
+  describe('toHaveBeenCalledOn', () => {
+    it('fail', () => {
+      const options = {
+        isNot: false,
+        promise: false,
+        toHaveBeenCalledOn,
+      };
+
+      const method = mock.fn();
+
+      method.call({ id: 1 }, 'foo');
+      method();
+
+      const result = options.toHaveBeenCalledOn(method, { id: 2 });
+      const message = stripAnsi(result.message());
+
+      expect(result).toEqual({ message: expect.any(Function), pass: false });
+      expect(message).toStrictEqual(
+        expect.stringContaining(
+          'expect(mock.fn()).false.toHaveBeenCalledOn(expected)'
+        )
+      );
+      expect(message).toStrictEqual(
+        expect.stringContaining('Expected receiver: {"id": 2} (identity)')
+      );
+      expect(message).toStrictEqual(
+        expect.stringContaining(
+          '0: this: {"id": 1}, arguments: "foo"\n' +
+            '\t1: this: undefined, arguments: called with 0 arguments'
+        )
+      );
+    });
+  });
+
+  describe('toHaveBeenConstructedWith', () => {
+    it('fail', () => {
+      const options = {
+        isNot: false,
+        promise: false,
+        toHaveBeenConstructedWith,
+      };
+
+      const method = mock.fn();
+
+      new method('foo');
+      method('bar');
+
+      const result = options.toHaveBeenConstructedWith(method, 'bar');
+      const message = stripAnsi(result.message());
+
+      expect(result).toEqual({ message: expect.any(Function), pass: false });
+      expect(message).toStrictEqual(
+        expect.stringContaining(
+          'expect(mock.fn()).false.toHaveBeenConstructedWith(...expected)'
+        )
+      );
+      expect(message).toStrictEqual(
+        expect.stringContaining('Expected: new: "bar"')
+      );
+      expect(message).toStrictEqual(
+        expect.stringContaining('0: new: "foo"\n\t1: without new: "bar"')
+      );
+    });
+  });
+
+  describe('toHaveBeenCalledWith diff', () => {
+    it('fail', () => {
+      const options = {
+        isNot: false,
+        promise: false,
+        toHaveBeenCalledWith,
+      };
+
+      const method = mock.fn();
+
+      for (let port = 1; port <= 5; port += 1) {
+        method('db', { host: 'localhost', port });
+      }
+
+      const result = options.toHaveBeenCalledWith(method, 'db', {
+        host: 'localhost',
+        port: 3000,
+      });
+      const message = stripAnsi(result.message());
+
+      expect(result).toEqual({ message: expect.any(Function), pass: false });
+      expect(message).toStrictEqual(
+        expect.stringContaining(
+          '\t2: "db", {"host": "localhost", "port": 3}\n\t…and 2 more calls'
+        )
+      );
+      expect(message).toStrictEqual(
+        expect.stringContaining('Difference with the closest call (0):')
+      );
+      expect(message).toStrictEqual(
+        expect.stringContaining('Argument 2:\n- Expected  - 1\n+ Received  + 1')
+      );
+      expect(message).toStrictEqual(
+        expect.stringContaining('-   "port": 3000,')
+      );
+      expect(message).toStrictEqual(expect.stringContaining('+   "port": 1,'));
+      expect(message).not.toEqual(expect.stringContaining('Argument 1:'));
+    });
+  });
+
+  describe('toHaveBeenNthCalledWith diff', () => {
+    it('fail', () => {
+      const options = {
+        isNot: false,
+        promise: false,
+        toHaveBeenNthCalledWith,
+      };
+
+      const method = mock.fn();
+
+      method('db', { retries: 1 });
+
+      const result = options.toHaveBeenNthCalledWith(method, 1, 'db');
+      const message = stripAnsi(result.message());
+
+      expect(message).toStrictEqual(
+        expect.stringContaining('Received: "db", {"retries": 1}')
+      );
+      expect(message).toStrictEqual(
+        expect.stringContaining(
+          'Argument 2: unexpected, received {"retries": 1}'
+        )
+      );
+    });
+  });
+
+  describe('toHaveBeenCalledStrictlyWith', () => {
+    it('fail', () => {
+      const options = {
+        isNot: false,
+        promise: false,
+        toHaveBeenCalledStrictlyWith,
+      };
+
+      const method = mock.fn();
+
+      method({ id: 1, name: undefined });
+
+      const result = options.toHaveBeenCalledStrictlyWith(method, { id: 1 });
+      const message = stripAnsi(result.message());
+
+      expect(result).toEqual({ message: expect.any(Function), pass: false });
+      expect(message).toStrictEqual(
+        expect.stringContaining(
+          'expect(mock.fn()).false.toHaveBeenCalledStrictlyWith(...expected)'
+        )
+      );
+      expect(message).toStrictEqual(
+        expect.stringContaining('Equality: toStrictEqual')
+      );
+    });
+
+    it('toHaveBeenCalledWith says toEqual', () => {
+      const options = {
+        isNot: false,
+        promise: false,
+        toHaveBeenCalledWith,
+      };
+
+      const result = options.toHaveBeenCalledWith(mock.fn(), 1);
+
+      expect(stripAnsi(result.message())).toStrictEqual(
+        expect.stringContaining('Equality: toEqual')
+      );
+    });
+  });
+
+  describe('toHaveBeenCalledAtLeast', () => {
+    it('fail', () => {
+      const options = {
+        isNot: false,
+        promise: false,
+        toHaveBeenCalledAtLeast,
+      };
+
+      const method = mock.fn();
+
+      method();
+
+      const result = options.toHaveBeenCalledAtLeast(method, 3);
+      const message = stripAnsi(result.message());
+
+      expect(result).toEqual({ message: expect.any(Function), pass: false });
+      expect(message).toStrictEqual(
+        expect.stringContaining(
+          'expect(mock.fn()).false.toHaveBeenCalledAtLeast(min)'
+        )
+      );
+      expect(message).toStrictEqual(
+        expect.stringContaining('Expected number of calls: >= 3')
+      );
+      expect(message).toStrictEqual(
+        expect.stringContaining('Received number of calls:    1')
+      );
+    });
+
+    it('not pass', () => {
+      const options = {
+        isNot: true,
+        promise: false,
+        toHaveBeenCalledAtLeast,
+      };
+
+      const method = mock.fn();
+
+      method();
+      method();
+
+      const result = options.toHaveBeenCalledAtLeast(method, 1);
+      const message = stripAnsi(result.message());
+
+      expect(result).toEqual({ message: expect.any(Function), pass: true });
+      expect(message).toStrictEqual(
+        expect.stringContaining('Expected number of calls: < 1')
+      );
+      expect(message).toStrictEqual(
+        expect.stringContaining('Received number of calls:   2')
+      );
+    });
+  });
+
+  describe('toHaveReturnedBetween', () => {
+    it('fail', () => {
+      const options = {
+        isNot: false,
+        promise: false,
+        toHaveReturnedBetween,
+      };
+
+      const method = mock.fn();
+
+      const result = options.toHaveReturnedBetween(method, 2, 5);
+      const message = stripAnsi(result.message());
+
+      expect(result).toEqual({ message: expect.any(Function), pass: false });
+      expect(message).toStrictEqual(
+        expect.stringContaining(
+          'expect(mock.fn()).false.toHaveReturnedBetween(min, max)'
+        )
+      );
+      expect(message).toStrictEqual(
+        expect.stringContaining('Expected number of returns: >= 2 and <= 5')
+      );
+      expect(message).toStrictEqual(
+        expect.stringContaining('Received number of returns:    0')
+      );
+    });
+
+    it('not pass', () => {
+      const options = {
+        isNot: true,
+        promise: false,
+        toHaveReturnedBetween,
+      };
+
+      const method = mock.fn();
+
+      method();
+
+      const result = options.toHaveReturnedBetween(method, 0, 1);
+
+      expect(stripAnsi(result.message())).toStrictEqual(
+        expect.stringContaining('Expected number of returns: < 0 or > 1')
+      );
+    });
+  });
+
+  describe('toHaveBeenCalledExactlyOnceWith', () => {
+    it('fail on the number of calls', () => {
+      const options = {
+        isNot: false,
+        promise: false,
+        toHaveBeenCalledExactlyOnceWith,
+      };
+
+      const method = mock.fn();
+
+      method('a');
+      method('a');
+
+      const result = options.toHaveBeenCalledExactlyOnceWith(method, 'a');
+      const message = stripAnsi(result.message());
+
+      expect(result).toEqual({ message: expect.any(Function), pass: false });
+      expect(message).toStrictEqual(
+        expect.stringContaining(
+          'expect(mock.fn()).false.toHaveBeenCalledExactlyOnceWith(...expected)'
+        )
+      );
+      expect(message).toStrictEqual(
+        expect.stringContaining(
+          'Expected: called exactly once with "a"\nFailed condition: number of calls\n\nReceived\n\t0: "a"\n\t1: "a"'
+        )
+      );
+      expect(message).not.toStrictEqual(
+        expect.stringContaining('Difference with the closest call')
+      );
+    });
+
+    it('fail on the arguments', () => {
+      const options = {
+        isNot: false,
+        promise: false,
+        toHaveBeenCalledExactlyOnceWith,
+      };
+
+      const method = mock.fn();
+
+      method('b');
+
+      const result = options.toHaveBeenCalledExactlyOnceWith(method, 'a');
+      const message = stripAnsi(result.message());
+
+      expect(message).toStrictEqual(
+        expect.stringContaining(
+          'Failed condition: arguments\n\nReceived\n\t0: "b"'
+        )
+      );
+      expect(message).toStrictEqual(
+        expect.stringContaining('Difference with the closest call (0)')
+      );
+    });
+
+    it('fail on both conditions', () => {
+      const options = {
+        isNot: false,
+        promise: false,
+        toHaveBeenCalledExactlyOnceWith,
+      };
+
+      const method = mock.fn();
+
+      method('b');
+      method('c');
+
+      const result = options.toHaveBeenCalledExactlyOnceWith(method, 'a');
+
+      expect(stripAnsi(result.message())).toStrictEqual(
+        expect.stringContaining('Failed conditions: number of calls, arguments')
+      );
+    });
+  });
+
+  describe('toHaveOnlyBeenCalledWith', () => {
+    it('fail', () => {
+      const options = {
+        isNot: false,
+        promise: false,
+        toHaveOnlyBeenCalledWith,
+      };
+
+      const method = mock.fn();
+
+      method('a');
+      method('b');
+      method('a');
+      method('c');
+
+      const result = options.toHaveOnlyBeenCalledWith(method, 'a');
+      const message = stripAnsi(result.message());
+
+      expect(result).toEqual({ message: expect.any(Function), pass: false });
+      expect(message).toStrictEqual(
+        expect.stringContaining(
+          'Expected: only called with "a"\nFailed condition: arguments\n\nReceived\n\t1: "b"\n\t3: "c"'
+        )
+      );
+      expect(message).toStrictEqual(
+        expect.stringContaining('Difference with the closest call (1)')
+      );
+      expect(message).toStrictEqual(
+        expect.stringContaining('Number of calls with other arguments: 2')
+      );
+    });
+
+    it('fail when not called', () => {
+      const options = {
+        isNot: false,
+        promise: false,
+        toHaveOnlyBeenCalledWith,
+      };
+
+      const result = options.toHaveOnlyBeenCalledWith(mock.fn(), 'a');
+
+      expect(stripAnsi(result.message())).toStrictEqual(
+        expect.stringContaining(
+          'Failed condition: number of calls\n\nBut the function was not called'
+        )
+      );
+    });
+  });
 });
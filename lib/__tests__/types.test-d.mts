@@ -0,0 +1,197 @@
+import { type Mock, mock } from 'node:test';
+
+import {
+  assertCalledWith,
+  assertResolvedWith,
+  assertReturnedStrictlyWith,
+} from '../assert.mjs';
+import { extendExpect } from '../extend.mjs';
+import {
+  type Captor,
+  type Config,
+  captor,
+  checkpoint,
+  configure,
+  expect,
+  since,
+  toHaveBeenCalledWith,
+  toHaveMethodCalledWith,
+  toHaveReturnedWith,
+  trackCallOrder,
+} from '../index.mjs';
+
+const add = mock.fn((a: number, b: number) => a + b);
+const load = mock.fn(async (id: number) => ({ id, name: 'Ada' }));
+const untyped = mock.fn();
+
+// Call matchers check the expected arguments against Parameters<F>
+expect(add).toHaveBeenCalledWith(1, 2);
+expect(add).toHaveBeenLastCalledWith(1, expect.any(Number));
+expect(add).toHaveBeenNthCalledWith(1, 1, 2);
+expect(add).toHaveBeenCalledStrictlyWith(1, 2);
+expect(add).toHaveBeenCalledExactlyOnceWith(1, 2);
+expect(add).toHaveOnlyBeenCalledWith(expect.anything(), 2);
+expect(untyped).toHaveBeenCalledWith('anything', { at: 'all' });
+// @ts-expect-error
+expect(add).toHaveBeenCalledWith('1', 2);
+// @ts-expect-error
+expect(add).toHaveBeenCalledStrictlyWith(1);
+// @ts-expect-error
+expect(add).toHaveBeenCalledExactlyOnceWith(1, '2');
+// @ts-expect-error
+expect(add).toHaveOnlyBeenCalledWith(1, 2, 3);
+// @ts-expect-error
+expect(add).toHaveBeenCalledTimes('2');
+// @ts-expect-error
+expect(add).toHaveBeenCalledBetween(1);
+
+// Nested values may be replaced with asymmetric matchers and captors
+const save = mock.fn((record: { id: number; tags: string[] }) => record.id);
+const tags: Captor<string[]> = captor<string[]>();
+
+expect(save).toHaveBeenCalledWith({ id: expect.any(Number), tags });
+expect(save).toHaveBeenCalledWith({ id: 1, tags: [expect.any(String)] });
+// @ts-expect-error
+expect(save).toHaveBeenCalledWith({ id: '1', tags: [] });
+
+// Return matchers check the expected value against ReturnType<F>
+expect(add).toHaveReturnedStrictlyWith(3);
+// @ts-expect-error
+expect(add).toHaveReturnedStrictlyWith('3');
+
+// Async matchers always return a promise and check the resolved value
+const resolved: Promise<void> = expect(load).toHaveResolvedWith({
+  id: 1,
+  name: expect.any(String),
+});
+expect(load).toHaveLastResolvedWith({ id: 1, name: 'Ada' });
+// @ts-expect-error
+expect(load).toHaveResolvedWith({ id: '1', name: 'Ada' });
+expect(add).toEventuallyHaveBeenCalledWith(1, 2);
+expect(add).toEventuallyHaveBeenCalledTimes(1, { timeout: 100 });
+// @ts-expect-error
+expect(add).toEventuallyHaveReturnedWith('3');
+// @ts-expect-error
+expect(add).toEventuallyHaveBeenCalled({ timeout: '1s' });
+
+// Constructed mocks use the parameters of the constructor
+class Connection {
+  constructor(readonly url: string) {}
+}
+const connect = mock.fn(Connection);
+
+expect(connect).toHaveBeenConstructedWith('db://local');
+// @ts-expect-error
+expect(connect).toHaveBeenConstructedWith(5432);
+
+// Predicates receive the recorded call of the mock
+expect(add).toHaveBeenCalledWithMatching(
+  call => call.arguments[0] > 0 && call.result === 3
+);
+// @ts-expect-error
+expect(add).toHaveBeenCalledWithMatching(call => call.arguments[0].length);
+
+expect(add).toHaveBeenCalledInSequence([
+  [1, 2],
+  [expect.any(Number), 3],
+]);
+// @ts-expect-error
+expect(add).toHaveBeenCalledInSequence([['1', 2]]);
+
+expect(add).toMatchCallSnapshot({
+  t: { name: 'adds' },
+  propertyMatchers: { returned: 3 },
+});
+// @ts-expect-error
+expect(add).toMatchCallSnapshot({ propertyMatchers: { returned: 3 } });
+expect(add).toMatchInlineCallSnapshot();
+expect(add).toMatchInlineCallSnapshot({ propertyMatchers: [] }, '[]');
+
+// Accessor matchers check the written value against the property
+const settings = {
+  theme: 'light',
+  get mode() {
+    return this.theme;
+  },
+  set mode(value: string) {
+    this.theme = value;
+  },
+};
+const setter = mock.setter(settings, 'mode');
+
+expect(setter).toHaveBeenAssignedWith('dark');
+expect(setter).toHaveBeenNthAssignedWith(1, expect.stringContaining('d'));
+// @ts-expect-error
+expect(setter).toHaveBeenAssignedWith(1);
+
+// Object matchers check the method name and its arguments
+const service = {
+  find(id: number) {
+    return { id };
+  },
+  name: 'users',
+};
+
+mock.method(service, 'find');
+
+expect(service).toBeMocked('find');
+expect(service).toHaveMethodCalledWith('find', 1);
+expect(service).toHaveMethodReturnedWith('find', { id: expect.any(Number) });
+// @ts-expect-error
+expect(service).toBeMocked('remove');
+// @ts-expect-error
+expect(service).toHaveMethodCalled('name');
+// @ts-expect-error
+expect(service).toHaveMethodCalledWith('find', '1');
+// @ts-expect-error
+expect(service).toHaveMethodLastReturnedWith('find', { id: '1' });
+
+// Tracked mocks keep their type, spied methods are checked by name
+const tracked: Mock<(a: number, b: number) => number> = trackCallOrder(add);
+const trackedMethod = trackCallOrder(service, 'find');
+
+trackedMethod(1);
+// @ts-expect-error
+trackedMethod('1');
+// @ts-expect-error
+trackCallOrder(service, 'name');
+
+// Checkpoint views keep the type of the mock
+const view = since(checkpoint(add));
+
+expect(view).toHaveBeenCalledWith(1, 2);
+// @ts-expect-error
+expect(view).toHaveBeenCalledWith('1', 2);
+
+// The configuration is typed
+const config: Config = configure({ equality: 'strict', callSites: true });
+// @ts-expect-error
+configure({ equality: 'loose' });
+
+// The exported matchers can be passed to expect.extend
+expect.extend({
+  toHaveBeenCalledWith,
+  toHaveMethodCalledWith,
+  toHaveReturnedWith,
+});
+
+// extendExpect() returns the extended instance and checks the options
+const extended: typeof expect = extendExpect(expect, { equality: 'strict' });
+// @ts-expect-error
+extendExpect({});
+// @ts-expect-error
+extendExpect(expect, { equality: 'loose' });
+
+// Assertions check their arguments like the matchers
+assertCalledWith(add, 1, 2);
+// @ts-expect-error
+assertCalledWith(add, '1', 2);
+// @ts-expect-error
+assertReturnedStrictlyWith(add, '3');
+
+const asserted: Promise<void> = assertResolvedWith(load, {
+  id: 1,
+  name: 'Ada',
+});
+
+export { asserted, config, extended, resolved, tracked };
@@ -0,0 +1,125 @@
+import { describe, it, mock } from 'node:test';
+
+import { expect } from 'expect';
+import stripAnsi from 'strip-ansi';
+
+import '../index.mjs';
+
+describe('verification', () => {
+  it('toHaveNoUnverifiedCalls - should fail to test when method is not node mock', () => {
+    expect(() => expect(() => {}).toHaveNoUnverifiedCalls()).toThrow(
+      'received value must be a node mock function'
+    );
+  });
+
+  it('toHaveNoUnverifiedCalls - should test pass and not pass', () => {
+    const logger = mock.fn();
+
+    expect(logger).toHaveNoUnverifiedCalls();
+
+    logger('start');
+    logger('work', 1);
+    logger('stop');
+
+    expect(logger).toHaveBeenCalledWith('start');
+    expect(logger).toHaveBeenLastCalledWith('stop');
+    expect(logger).not.toHaveNoUnverifiedCalls();
+
+    expect(logger).toHaveBeenNthCalledWith(2, 'work', 1);
+    expect(logger).toHaveNoUnverifiedCalls();
+  });
+
+  it('toHaveBeenCalledWith - should verify every matching call when the assertion passes', () => {
+    const logger = mock.fn();
+    const expected = { level: 'info' };
+
+    logger({ level: 'info' });
+    logger({ level: 'debug' });
+    logger({ level: 'info' });
+
+    expect(logger).toHaveBeenCalledWith(expected);
+
+    expected.level = 'debug';
+
+    expect(logger).not.toHaveNoUnverifiedCalls();
+    expect(logger).toHaveBeenNthCalledWith(2, { level: 'debug' });
+    expect(logger).toHaveNoUnverifiedCalls();
+  });
+
+  it('toHaveNoUnverifiedCalls - should not count failed or count-only assertions', () => {
+    const logger = mock.fn();
+
+    logger('start');
+
+    expect(logger).toHaveBeenCalledTimes(1);
+    expect(logger).not.toHaveBeenCalledWith('stop');
+    expect(() => expect(logger).toHaveBeenLastCalledWith('stop')).toThrow();
+    expect(logger).not.toHaveNoUnverifiedCalls();
+  });
+
+  it('toHaveNoUnverifiedCalls - should count every call matched by toHaveBeenCalledWith', () => {
+    const logger = mock.fn();
+
+    logger('tick');
+    logger('tick');
+
+    expect(logger).toHaveBeenCalledWith('tick');
+    expect(logger).toHaveNoUnverifiedCalls();
+  });
+
+  it('toHaveNoUnverifiedCalls - should count sequence and predicate matchers', () => {
+    const driver = mock.fn();
+
+    driver('open');
+    driver('write', 1);
+    driver('close');
+
+    expect(driver).toHaveBeenCalledInSequence([['open'], ['close']], {
+      mode: 'subsequence',
+    });
+    expect(driver).toHaveBeenCalledWithMatching(
+      ({ arguments: [name] }) => name === 'write'
+    );
+    expect(driver).toHaveNoUnverifiedCalls();
+  });
+
+  it('toHaveNoUnverifiedCalls - should forget verified calls after resetCalls', () => {
+    const logger = mock.fn();
+
+    logger('start');
+    expect(logger).toHaveBeenCalledWith('start');
+
+    logger.mock.resetCalls();
+    logger('start');
+
+    expect(logger).not.toHaveNoUnverifiedCalls();
+  });
+
+  it('toHaveNoUnverifiedCalls - should list every unverified call', () => {
+    const logger = mock.fn();
+
+    logger('start');
+    logger('a');
+    logger('b');
+    logger('c');
+    logger('d');
+
+    expect(logger).toHaveBeenCalledWith('start');
+
+    try {
+      expect(logger).toHaveNoUnverifiedCalls();
+      throw new Error('should not pass');
+    } catch (error) {
+      const message = stripAnsi(error.message);
+
+      expect(message).toStrictEqual(
+        expect.stringContaining(
+          'Expected: no unverified calls\n\nUnverified calls\n\t1: "a"\n\t2: "b"\n\t3: "c"\n\t4: "d"\n'
+        )
+      );
+      expect(message).toStrictEqual(
+        expect.stringContaining('Number of verified calls: 1')
+      );
+    }
+  });
+});
@@ -0,0 +1,383 @@
+import { getMockTarget } from './checkpoint.mjs';
+import {
+  createEquality,
+  formatEquality,
+  isStrictEquality,
+} from './equality.mjs';
+import {
+  matcherErrorMessage,
+  matcherHint,
+  printExpected,
+  printReceived,
+} from './matcherUtils.mjs';
+import { formatCountPadding, formatCountRange } from './mockMethodMatchers.mjs';
+import { formatCallSite, formatLimitedList } from './printCalls.mjs';
+import { EXPECTED_COLOR, RECEIVED_COLOR, matcherFactory } from './utils.mjs';
+
+/**
+ * How the accessor matchers describe the received spy
+ */
+const PROPERTY_SUBJECT = Object.freeze({
+  receivedText: 'property',
+  description: 'Node.js property spy',
+});
+
+/**
+ * Helper function to create the matcher name, options and received text of an accessor matcher
+ * @param {string} name - The name of the matcher
+ * @param {Object} context - The matcher context
+ * @param {any} received - The received spy
+ * @returns {Object} - An object containing matcherName, options, and receivedText
+ */
+function accessorMatcherFactory(name, context, received) {
+  return matcherFactory(name, context, received, PROPERTY_SUBJECT);
+}
+
+/**
+ * Helper function to check if a value was created by mock.property(), which records accesses
+ * instead of calls
+ * @param {any} received - The value to check
+ * @returns {boolean} - Whether the value is a property mock
+ */
+function isPropertyMock(received) {
+  return Array.isArray(received?.mock?.accesses);
+}
+
+/**
+ * Helper function to find which accessor of an object, or of its prototype chain, a spy is installed as
+ * @param {Object} object - The object the spy was called on
+ * @param {Function} spy - The spy
+ * @returns {'get'|'set'|undefined} - The type of the accessor, undefined when the spy is not installed as one
+ */
+function findInstalledAccessor(object, spy) {
+  for (
+    let owner = Object(object);
+    owner !== null;
+    owner = Object.getPrototypeOf(owner)
+  ) {
+    for (const key of Reflect.ownKeys(owner)) {
+      const { get, set } = Object.getOwnPropertyDescriptor(owner, key);
+
+      if (get === spy) {
+        return 'get';
+      }
+      if (set === spy) {
+        return 'set';
+      }
+    }
+  }
+
+  return undefined;
+}
+
+/**
+ * Helper function to get which accessor a spy created by mock.getter() or mock.setter() replaces.
+ * Node.js does not flag these spies, so once the spy was called the accessor is looked up
+ * in the property descriptors of the object it was called on. A spy without calls is
+ * recognized by the name Node.js gives it after the accessor it replaces,
+ * `get theme` for a getter of an object literal or a class, `get` for one passed to defineProperty().
+ * @param {any} received - The value to check
+ * @returns {'get'|'set'|undefined} - The type of the accessor, undefined for other values
+ */
+function getAccessorType(received) {
+  if (typeof received !== 'function' || typeof received.mock !== 'object') {
+    return undefined;
+  }
+
+  const spy = getMockTarget(received);
+  const [firstCall] = spy.mock.calls;
+
+  if (firstCall !== undefined) {
+    return firstCall.this == null
+      ? undefined
+      : findInstalledAccessor(firstCall.this, spy);
+  }
+
+  const [prefix] = spy.name.split(' ', 1);
+
+  return prefix === 'get' || prefix === 'set' ? prefix : undefined;
+}
+
+/**
+ * Function to ensure that the received value is a spy of a property
+ * @param {any} received - The value to check
+ * @param {string} matcherName - The name of the matcher being used
+ * @param {Object} [options={}] - Optional configuration for error messages
+ * @returns {boolean} - Returns true if validation passes
+ * @throws {TypeError} - Throws if received is not created by mock.getter(), mock.setter() or mock.property()
+ */
+function ensureReceivedIsPropertySpy(received, matcherName, options = {}) {
+  if (isPropertyMock(received) || getAccessorType(received) !== undefined) {
+    return true;
+  }
+
+  throw new TypeError(
+    matcherErrorMessage(
+      matcherHint(matcherName, PROPERTY_SUBJECT.receivedText, '', options),
+      `${RECEIVED_COLOR('received')} value must be a spy created by mock.getter(), mock.setter() or mock.property()`,
+      typeof received === 'function' && typeof received.mock === 'object'
+        ? 'Spies created by mock.fn() or mock.method() record calls, check them with the call matchers. Getter and setter spies are recognized while they are installed'
+        : undefined
+    )
+  );
+}
+
+/**
+ * Helper function to get the reads and writes recorded by a property spy.
+ * mock.property() records them itself, every call of a getter spy is a read
+ * and every call of a setter spy a write of its argument.
+ * @param {any} received - The property spy
+ * @returns {Array<{type: 'get'|'set', value: any, stack: Error}>} - The accesses in order
+ */
+function getAccesses(received) {
+  if (isPropertyMock(received)) {
+    return received.mock.accesses;
+  }
+
+  const type = getAccessorType(received);
+
+  return received.mock.calls.map(call => ({
+    type,
+    value: type === 'get' ? call.result : call.arguments[0],
+    stack: call.stack,
+  }));
+}
+
+/**
+ * Helper function to get the accesses of one type
+ * @param {any} received - The property spy
+ * @param {'get'|'set'} type - Reads or writes
+ * @returns {Array<Object>} - The accesses of the type in order
+ */
+function getAccessesOfType(received, type) {
+  return getAccesses(received).filter(access => access.type === type);
+}
+
+/**
+ * Helper function to format the written values, limited to PRINT_LIMIT writes
+ * @param {Array<Object>} writes - The writes of the property
+ * @param {Array<number>} [indexes] - Indexes of the writes to print, all writes by default
+ * @returns {string} - Formatted message
+ */
+function formatWrites(writes, indexes = writes.map((_, index) => index)) {
+  if (writes.length === 0) {
+    return 'But the property was not written';
+  }
+
+  const printed = formatLimitedList(
+    indexes,
+    index =>
+      `\t${index}: ${printReceived(writes[index].value)}${formatCallSite(writes[index])}`,
+    'write'
+  );
+
+  return `Received\n${printed}`;
+}
+
+/**
+ * Shared implementation of toHaveBeenAccessed and toHaveBeenAssigned
+ * @param {string} name - The name of the matcher
+ * @param {'get'|'set'} type - Reads or writes
+ * @param {any} received - The property spy
+ * @returns {Object} - An object with pass and message properties
+ */
+function accessed(name, type, received) {
+  const { matcherName, options, receivedText } = accessorMatcherFactory(
+    name,
+    this,
+    received
+  );
+
+  ensureReceivedIsPropertySpy(received, matcherName, options);
+
+  const noun = type === 'get' ? 'reads' : 'writes';
+  const count = getAccessesOfType(received, type).length;
+  const pass = count > 0;
+  const bounds = { min: 1 };
+
+  return {
+    pass,
+    message: () =>
+      `\n${matcherHint(matcherName, receivedText, '', options)}\n\n` +
+      `Expected number of ${noun}: ${pass ? EXPECTED_COLOR('0') : formatCountRange(bounds, false)}\n` +
+      `Received number of ${noun}: ${pass ? '' : formatCountPadding(bounds, false)}${RECEIVED_COLOR(count)}\n`,
+  };
+}
+
+/**
+ * Matcher to verify that a property was read at least once
+ * @param {any} received - The spy created by mock.getter() or mock.property()
+ * @returns {Object} - An object with pass and message properties
+ */
+function toHaveBeenAccessed(received) {
+  return accessed.call(this, 'toHaveBeenAccessed', 'get', received);
+}
+
+/**
+ * Matcher to verify that a property was read an exact number of times
+ * @param {any} received - The spy created by mock.getter() or mock.property()
+ * @param {number} expected - The expected number of reads
+ * @returns {Object} - An object with pass and message properties
+ */
+function toHaveBeenAccessedTimes(received, expected) {
+  const { matcherName, options, receivedText } = accessorMatcherFactory(
+    'toHaveBeenAccessedTimes',
+    this,
+    received
+  );
+
+  ensureReceivedIsPropertySpy(received, matcherName, options);
+
+  const count = getAccessesOfType(received, 'get').length;
+  const pass = count === expected;
+
+  const formatCounts = () =>
+    pass
+      ? `Expected number of reads: not ${EXPECTED_COLOR(expected)}\n`
+      : `Expected number of reads: ${EXPECTED_COLOR(expected)}\n` +
+        `Received number of reads: ${RECEIVED_COLOR(count)}\n`;
+
+  return {
+    pass,
+    message: () =>
+      `\n${matcherHint(matcherName, receivedText, 'expected', options)}\n\n${formatCounts()}`,
+  };
+}
+
+/**
+ * Matcher to verify that a property was written at least once,
+ * use `.not.toHaveBeenAssigned()` to verify that it was never written
+ * @param {any} received - The spy created by mock.setter() or mock.property()
+ * @returns {Object} - An object with pass and message properties
+ */
+function toHaveBeenAssigned(received) {
+  return accessed.call(this, 'toHaveBeenAssigned', 'set', received);
+}
+
+/**
+ * Matcher to verify that a property was written with a specific value at least once
+ * @param {any} received - The spy created by mock.setter() or mock.property()
+ * @param {any} expected - The expected value
+ * @returns {Object} - An object with pass and message properties
+ */
+function toHaveBeenAssignedWith(received, expected) {
+  const { matcherName, options, receivedText } = accessorMatcherFactory(
+    'toHaveBeenAssignedWith',
+    this,
+    received
+  );
+
+  ensureReceivedIsPropertySpy(received, matcherName, options);
+
+  const writes = getAccessesOfType(received, 'set');
+  const strict = isStrictEquality();
+  const isEqual = createEquality(this, strict);
+  const matchedIndexes = writes
+    .map((_, index) => index)
+    .filter(index => isEqual(writes[index].value, expected));
+  const pass = matchedIndexes.length > 0;
+
+  return {
+    pass,
+    message: () =>
+      `\n${matcherHint(matcherName, receivedText, 'expected', options)}\n\n` +
+      `Expected: ${pass ? 'not ' : ''}written ${printExpected(expected)}\n` +
+      `${formatWrites(writes, pass ? matchedIndexes : undefined)}\n\n` +
+      `${formatEquality(strict)}\n` +
+      `Number of writes: ${RECEIVED_COLOR(writes.length)}\n`,
+  };
+}
+
+/**
+ * Matcher to verify that the last value written to a property matches the expected value
+ * @param {any} received - The spy created by mock.setter() or mock.property()
+ * @param {any} expected - The expected value
+ * @returns {Object} - An object with pass and message properties
+ */
+function toHaveBeenLastAssignedWith(received, expected) {
+  const { matcherName, options, receivedText } = accessorMatcherFactory(
+    'toHaveBeenLastAssignedWith',
+    this,
+    received
+  );
+
+  ensureReceivedIsPropertySpy(received, matcherName, options);
+
+  const writes = getAccessesOfType(received, 'set');
+  const hint = `\n${matcherHint(matcherName, receivedText, 'expected', options)}\n\n`;
+
+  if (writes.length === 0) {
+    return {
+      pass: false,
+      message: () =>
+        `${hint}Expected: written ${printExpected(expected)}\nBut the property was not written\n`,
+    };
+  }
+
+  const lastWrite = writes[writes.length - 1];
+  const strict = isStrictEquality();
+  const pass = createEquality(this, strict)(lastWrite.value, expected);
+
+  return {
+    pass,
+    message: () =>
+      `${hint}Expected: ${pass ? 'not ' : ''}written ${printExpected(expected)}\n` +
+      `Received: ${printReceived(lastWrite.value)}${formatCallSite(lastWrite)}\n\n` +
+      `${formatEquality(strict)}\n` +
+      `Number of writes: ${RECEIVED_COLOR(writes.length)}\n`,
+  };
+}
+
+/**
+ * Matcher to verify that the nth value written to a property matches the expected value
+ * @param {any} received - The spy created by mock.setter() or mock.property()
+ * @param {number} nthWrite - The write to check (1-indexed)
+ * @param {any} expected - The expected value
+ * @returns {Object} - An object with pass and message properties
+ */
+function toHaveBeenNthAssignedWith(received, nthWrite, expected) {
+  const { matcherName, options, receivedText } = accessorMatcherFactory(
+    'toHaveBeenNthAssignedWith',
+    this,
+    received
+  );
+
+  ensureReceivedIsPropertySpy(received, matcherName, options);
+
+  const writes = getAccessesOfType(received, 'set');
+  const hint = `\n${matcherHint(matcherName, receivedText, 'n, expected', options)}\n\n`;
+
+  if (nthWrite < 1 || nthWrite > writes.length) {
+    return {
+      pass: false,
+      message: () =>
+        `${hint}n: ${nthWrite}\n` +
+        `Expected: written ${printExpected(expected)}\n` +
+        `But the property was ${writes.length === 0 ? 'not written' : `only written ${writes.length} time(s)`}\n\n` +
+        `Number of writes: ${RECEIVED_COLOR(writes.length)}\n`,
+    };
+  }
+
+  const write = writes[nthWrite - 1];
+  const strict = isStrictEquality();
+  const pass = createEquality(this, strict)(write.value, expected);
+
+  return {
+    pass,
+    message: () =>
+      `${hint}n: ${nthWrite}\n` +
+      `Expected: ${pass ? 'not ' : ''}written ${printExpected(expected)}\n` +
+      `Received: ${printReceived(write.value)}${formatCallSite(write)}\n\n` +
+      `${formatEquality(strict)}\n` +
+      `Number of writes: ${RECEIVED_COLOR(writes.length)}\n`,
+  };
+}
+
+export {
+  toHaveBeenAccessed,
+  toHaveBeenAccessedTimes,
+  toHaveBeenAssigned,
+  toHaveBeenAssignedWith,
+  toHaveBeenLastAssignedWith,
+  toHaveBeenNthAssignedWith,
+};
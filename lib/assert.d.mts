@@ -0,0 +1,127 @@
+import type {
+  ExpectedArguments,
+  ExpectedError,
+  ExpectedResolvedValue,
+  ExpectedReturnValue,
+  ReceiverMatchOptions,
+} from './types.mjs';
+
+export declare function assertCalled<T>(mockFn: T): void;
+export declare function assertCalledTimes<T>(mockFn: T, expected: number): void;
+export declare function assertCalledWith<T>(
+  mockFn: T,
+  ...args: ExpectedArguments<T>
+): void;
+export declare function assertCalledStrictlyWith<T>(
+  mockFn: T,
+  ...args: ExpectedArguments<T>
+): void;
+export declare function assertLastCalledWith<T>(
+  mockFn: T,
+  ...args: ExpectedArguments<T>
+): void;
+export declare function assertNthCalledWith<T>(
+  mockFn: T,
+  nthCallIndex: number,
+  ...args: ExpectedArguments<T>
+): void;
+export declare function assertCalledExactlyOnceWith<T>(
+  mockFn: T,
+  ...args: ExpectedArguments<T>
+): void;
+export declare function assertOnlyCalledWith<T>(
+  mockFn: T,
+  ...args: ExpectedArguments<T>
+): void;
+export declare function assertCalledAtLeast<T>(mockFn: T, min: number): void;
+export declare function assertCalledAtMost<T>(mockFn: T, max: number): void;
+export declare function assertCalledBetween<T>(
+  mockFn: T,
+  min: number,
+  max: number
+): void;
+export declare function assertReturned<T>(mockFn: T): void;
+export declare function assertReturnedTimes<T>(mockFn: T, times: number): void;
+export declare function assertReturnedWith<T>(
+  mockFn: T,
+  expected: ExpectedReturnValue<T>
+): void;
+export declare function assertReturnedStrictlyWith<T>(
+  mockFn: T,
+  expected: ExpectedReturnValue<T>
+): void;
+export declare function assertLastReturnedWith<T>(
+  mockFn: T,
+  expected: ExpectedReturnValue<T>
+): void;
+export declare function assertNthReturnedWith<T>(
+  mockFn: T,
+  nthCall: number,
+  expected: ExpectedReturnValue<T>
+): void;
+export declare function assertReturnedAtLeast<T>(mockFn: T, min: number): void;
+export declare function assertReturnedAtMost<T>(mockFn: T, max: number): void;
+export declare function assertReturnedBetween<T>(
+  mockFn: T,
+  min: number,
+  max: number
+): void;
+export declare function assertThrown<T>(mockFn: T): void;
+export declare function assertThrownTimes<T>(mockFn: T, times: number): void;
+export declare function assertThrownWith<T>(
+  mockFn: T,
+  expected: ExpectedError
+): void;
+export declare function assertLastThrownWith<T>(
+  mockFn: T,
+  expected: ExpectedError
+): void;
+export declare function assertNthThrownWith<T>(
+  mockFn: T,
+  nthCall: number,
+  expected: ExpectedError
+): void;
+export declare function assertResolved<T>(mockFn: T): Promise<void>;
+export declare function assertResolvedWith<T>(
+  mockFn: T,
+  expected: ExpectedResolvedValue<T>
+): Promise<void>;
+export declare function assertLastResolvedWith<T>(
+  mockFn: T,
+  expected: ExpectedResolvedValue<T>
+): Promise<void>;
+export declare function assertNthResolvedWith<T>(
+  mockFn: T,
+  nthCall: number,
+  expected: ExpectedResolvedValue<T>
+): Promise<void>;
+export declare function assertRejectedWith<T>(
+  mockFn: T,
+  expected: ExpectedError
+): Promise<void>;
+export declare function assertCalledOn<T>(
+  mockFn: T,
+  expected: unknown,
+  options?: ReceiverMatchOptions
+): void;
+export declare function assertLastCalledOn<T>(
+  mockFn: T,
+  expected: unknown,
+  options?: ReceiverMatchOptions
+): void;
+export declare function assertNthCalledOn<T>(
+  mockFn: T,
+  nthCall: number,
+  expected: unknown,
+  options?: ReceiverMatchOptions
+): void;
+export declare function assertConstructed<T>(mockFn: T): void;
+export declare function assertConstructedTimes<T>(
+  mockFn: T,
+  times: number
+): void;
+export declare function assertConstructedWith<T>(
+  mockFn: T,
+  ...args: ExpectedArguments<T>
+): void;
+export declare function assertCalledWithoutNew<T>(mockFn: T): void;
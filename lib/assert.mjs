@@ -0,0 +1,159 @@
+import { AssertionError } from 'node:assert';
+
+import {
+  toHaveBeenCalled,
+  toHaveBeenCalledAtLeast,
+  toHaveBeenCalledAtMost,
+  toHaveBeenCalledBetween,
+  toHaveBeenCalledExactlyOnceWith,
+  toHaveBeenCalledOn,
+  toHaveBeenCalledStrictlyWith,
+  toHaveBeenCalledTimes,
+  toHaveBeenCalledWith,
+  toHaveBeenCalledWithoutNew,
+  toHaveBeenConstructed,
+  toHaveBeenConstructedTimes,
+  toHaveBeenConstructedWith,
+  toHaveBeenLastCalledOn,
+  toHaveBeenLastCalledWith,
+  toHaveBeenNthCalledOn,
+  toHaveBeenNthCalledWith,
+  toHaveLastResolvedWith,
+  toHaveLastReturnedWith,
+  toHaveLastThrownWith,
+  toHaveNthResolvedWith,
+  toHaveNthReturnedWith,
+  toHaveNthThrownWith,
+  toHaveOnlyBeenCalledWith,
+  toHaveRejectedWith,
+  toHaveResolved,
+  toHaveResolvedWith,
+  toHaveReturned,
+  toHaveReturnedAtLeast,
+  toHaveReturnedAtMost,
+  toHaveReturnedBetween,
+  toHaveReturnedStrictlyWith,
+  toHaveReturnedTimes,
+  toHaveReturnedWith,
+  toHaveThrown,
+  toHaveThrownTimes,
+  toHaveThrownWith,
+} from './mockMethodMatchers.mjs';
+
+/**
+ * Context the matchers run with outside of expect
+ */
+const ASSERT_CONTEXT = Object.freeze({ isNot: false, promise: '' });
+
+/**
+ * Create an assertion function from a matcher.
+ * The assertion throws an AssertionError with the failure message of the matcher,
+ * and returns a promise for the async matchers.
+ * @param {Function} matcher - The matcher to run
+ * @returns {Function} - The assertion function
+ */
+function createAssertion(matcher) {
+  const check = (result, stackStartFn) => {
+    if (!result.pass) {
+      throw new AssertionError({
+        message: result.message(),
+        operator: matcher.name,
+        stackStartFn,
+      });
+    }
+  };
+  const assertion = (mockFn, ...args) => {
+    const result = matcher.call(ASSERT_CONTEXT, mockFn, ...args);
+
+    return result instanceof Promise
+      ? result.then(settled => check(settled, assertion))
+      : check(result, assertion);
+  };
+
+  return assertion;
+}
+
+const assertCalled = createAssertion(toHaveBeenCalled);
+const assertCalledTimes = createAssertion(toHaveBeenCalledTimes);
+const assertCalledWith = createAssertion(toHaveBeenCalledWith);
+const assertCalledStrictlyWith = createAssertion(toHaveBeenCalledStrictlyWith);
+const assertLastCalledWith = createAssertion(toHaveBeenLastCalledWith);
+const assertNthCalledWith = createAssertion(toHaveBeenNthCalledWith);
+const assertCalledExactlyOnceWith = createAssertion(
+  toHaveBeenCalledExactlyOnceWith
+);
+const assertOnlyCalledWith = createAssertion(toHaveOnlyBeenCalledWith);
+const assertCalledAtLeast = createAssertion(toHaveBeenCalledAtLeast);
+const assertCalledAtMost = createAssertion(toHaveBeenCalledAtMost);
+const assertCalledBetween = createAssertion(toHaveBeenCalledBetween);
+
+const assertReturned = createAssertion(toHaveReturned);
+const assertReturnedTimes = createAssertion(toHaveReturnedTimes);
+const assertReturnedWith = createAssertion(toHaveReturnedWith);
+const assertReturnedStrictlyWith = createAssertion(toHaveReturnedStrictlyWith);
+const assertLastReturnedWith = createAssertion(toHaveLastReturnedWith);
+const assertNthReturnedWith = createAssertion(toHaveNthReturnedWith);
+const assertReturnedAtLeast = createAssertion(toHaveReturnedAtLeast);
+const assertReturnedAtMost = createAssertion(toHaveReturnedAtMost);
+const assertReturnedBetween = createAssertion(toHaveReturnedBetween);
+
+const assertThrown = createAssertion(toHaveThrown);
+const assertThrownTimes = createAssertion(toHaveThrownTimes);
+const assertThrownWith = createAssertion(toHaveThrownWith);
+const assertLastThrownWith = createAssertion(toHaveLastThrownWith);
+const assertNthThrownWith = createAssertion(toHaveNthThrownWith);
+
+const assertResolved = createAssertion(toHaveResolved);
+const assertResolvedWith = createAssertion(toHaveResolvedWith);
+const assertLastResolvedWith = createAssertion(toHaveLastResolvedWith);
+const assertNthResolvedWith = createAssertion(toHaveNthResolvedWith);
+const assertRejectedWith = createAssertion(toHaveRejectedWith);
+
+const assertCalledOn = createAssertion(toHaveBeenCalledOn);
+const assertLastCalledOn = createAssertion(toHaveBeenLastCalledOn);
+const assertNthCalledOn = createAssertion(toHaveBeenNthCalledOn);
+
+const assertConstructed = createAssertion(toHaveBeenConstructed);
+const assertConstructedTimes = createAssertion(toHaveBeenConstructedTimes);
+const assertConstructedWith = createAssertion(toHaveBeenConstructedWith);
+const assertCalledWithoutNew = createAssertion(toHaveBeenCalledWithoutNew);
+
+export {
+  assertCalled,
+  assertCalledAtLeast,
+  assertCalledAtMost,
+  assertCalledBetween,
+  assertCalledExactlyOnceWith,
+  assertCalledOn,
+  assertCalledStrictlyWith,
+  assertCalledTimes,
+  assertCalledWith,
+  assertCalledWithoutNew,
+  assertConstructed,
+  assertConstructedTimes,
+  assertConstructedWith,
+  assertLastCalledOn,
+  assertLastCalledWith,
+  assertLastResolvedWith,
+  assertLastReturnedWith,
+  assertLastThrownWith,
+  assertNthCalledOn,
+  assertNthCalledWith,
+  assertNthResolvedWith,
+  assertNthReturnedWith,
+  assertNthThrownWith,
+  assertOnlyCalledWith,
+  assertRejectedWith,
+  assertResolved,
+  assertResolvedWith,
+  assertReturned,
+  assertReturnedAtLeast,
+  assertReturnedAtMost,
+  assertReturnedBetween,
+  assertReturnedStrictlyWith,
+  assertReturnedTimes,
+  assertReturnedWith,
+  assertThrown,
+  assertThrownTimes,
+  assertThrownWith,
+};
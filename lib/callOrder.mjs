@@ -0,0 +1,309 @@
+import { getMockTarget } from './checkpoint.mjs';
+import {
+  matcherErrorMessage,
+  matcherHint,
+  printExpected,
+  printReceived,
+} from './matcherUtils.mjs';
+import { isNodeMock } from './mockSerializer.mjs';
+import { formatArgs } from './printCalls.mjs';
+import {
+  EXPECTED_COLOR,
+  RECEIVED_COLOR,
+  ensureReceivedIsNodeMock,
+  matcherFactory,
+} from './utils.mjs';
+
+/**
+ * Bookkeeping of tracked mocks, keyed by the mock context of the tracked mock.
+ * `sequences` maps a recorded call to its sequence id, `pending` maps the index
+ * a call was recorded at to its sequence id until the call is looked up.
+ * `tracker` is the function recording the order of the calls of the mock.
+ * @type {WeakMap<Object, {sequences: WeakMap<Object, number>, pending: Map<number, number>, tracker: Function}>}
+ */
+const trackedCalls = new WeakMap();
+
+let lastSequenceId = 0;
+
+/**
+ * Helper function to get the mock function installed by `mock.method()`
+ * @param {Object|Function} object - The object the method was spied on
+ * @param {string|symbol} methodName - The name of the method
+ * @returns {{mockFn: Function, descriptor: Object}} - The spy and the property descriptor holding it
+ * @throws {TypeError} - Throws if the method is not spied on
+ */
+function getSpiedMethod(object, methodName) {
+  const descriptor = Object.getOwnPropertyDescriptor(object, methodName);
+  const mockFn = descriptor?.value;
+
+  if (!isNodeMock(mockFn)) {
+    throw new TypeError(
+      `trackCallOrder() expects method ${String(methodName)} to be spied on with mock.method()`
+    );
+  }
+
+  return { mockFn, descriptor };
+}
+
+/**
+ * Helper function to attach the sequence ids of finished calls to their recorded calls
+ * @param {Object} context - The mock context of the tracked mock
+ * @returns {WeakMap<Object, number>} - Sequence ids keyed by the recorded call
+ */
+function settleSequences(context) {
+  const { sequences, pending } = trackedCalls.get(context);
+
+  if (pending.size > 0) {
+    const calls = context.calls;
+
+    for (const [index, sequence] of pending) {
+      if (index < calls.length) {
+        sequences.set(calls[index], sequence);
+      }
+    }
+    pending.clear();
+  }
+
+  return sequences;
+}
+
+/**
+ * Start tracking the global order of calls of a mock function.
+ * Node does not expose the implementation of a mock, so instead of replacing it the
+ * tracker is a proxy of the mock which gives every call a sequence id and forwards it
+ * to the mock. The mock keeps running its implementation, including the ones installed
+ * later with `mockImplementation()` or `mockImplementationOnce()`. Only the calls made
+ * through the returned function are tracked, a method spied on with `mock.method()`
+ * is tracked with `trackCallOrder(object, methodName)`, which installs the tracker in place of the spy.
+ * @param {Function|Object} mockFn - The node mock function to track, or the object of a spied method
+ * @param {string|symbol} [methodName] - The name of the spied method
+ * @returns {Function} - The tracked mock function
+ * @throws {TypeError} - Throws if mockFn is not a node mock function or the method is not spied on
+ */
+function trackCallOrder(mockFn, methodName) {
+  if (methodName !== undefined) {
+    const spied = getSpiedMethod(mockFn, methodName);
+    const tracker = trackCallOrder(spied.mockFn);
+
+    Object.defineProperty(mockFn, methodName, {
+      ...spied.descriptor,
+      value: tracker,
+    });
+
+    return tracker;
+  }
+
+  ensureReceivedIsNodeMock(mockFn, 'trackCallOrder');
+
+  if (getMockTarget(mockFn) !== mockFn) {
+    throw new TypeError(
+      'trackCallOrder() expects a node mock function, views created by since() or between() cannot be tracked'
+    );
+  }
+
+  const context = mockFn.mock;
+
+  if (trackedCalls.has(context)) {
+    return trackedCalls.get(context).tracker;
+  }
+
+  const pending = new Map();
+  const record = run => {
+    lastSequenceId += 1;
+
+    const sequence = lastSequenceId;
+
+    try {
+      return run();
+    } finally {
+      // Node records the call when it returns, after the calls it made
+      pending.set(context.callCount() - 1, sequence);
+    }
+  };
+  const tracker = new Proxy(mockFn, {
+    apply: (target, thisArg, args) =>
+      record(() => Reflect.apply(target, thisArg, args)),
+    construct: (target, args, newTarget) =>
+      record(() =>
+        Reflect.construct(
+          target,
+          args,
+          newTarget === tracker ? target : newTarget
+        )
+      ),
+  });
+
+  trackedCalls.set(context, { sequences: new WeakMap(), pending, tracker });
+
+  return tracker;
+}
+
+/**
+ * Helper function to get the tracked calls of a mock in the order they were made.
+ * A nested call is recorded before the call which made it, so the order differs from the recorded one.
+ * @param {Function} mockFn - The tracked node mock function or a view of it
+ * @returns {Array<{sequence: number, index: number, call: Object}>} - Tracked calls
+ */
+function getTrackedCalls(mockFn) {
+  // A view shares the recorded calls of its mock, and only lists those in its scope
+  const sequences = settleSequences(getMockTarget(mockFn).mock);
+
+  return mockFn.mock.calls
+    .map((call, index) => ({ sequence: sequences.get(call), index, call }))
+    .filter(({ sequence }) => sequence !== undefined)
+    .sort((a, b) => a.sequence - b.sequence);
+}
+
+/**
+ * Function to ensure that both mocks of an ordering matcher are tracked, or are views of tracked mocks
+ * @param {Function} received - The received mock function or a view of it
+ * @param {Function} expected - The expected mock function or a view of it
+ * @param {string} matcherName - The name of the matcher being used
+ * @param {Object} options - Configuration for error messages
+ * @throws {TypeError} - Throws if one of the values is not a tracked node mock function
+ */
+function ensureMocksAreTracked(received, expected, matcherName, options) {
+  ensureReceivedIsNodeMock(received, matcherName, options);
+
+  if (typeof expected !== 'function' || typeof expected.mock !== 'object') {
+    throw new TypeError(
+      matcherErrorMessage(
+        matcherHint(matcherName, 'mock.fn()', 'expected', options),
+        `${EXPECTED_COLOR('expected')} value must be a node mock function`
+      )
+    );
+  }
+
+  if (!trackedCalls.has(getMockTarget(received).mock)) {
+    throw new TypeError(
+      matcherErrorMessage(
+        matcherHint(matcherName, 'mock.fn()', 'expected', options),
+        `${RECEIVED_COLOR('received')} value must be tracked with trackCallOrder()`
+      )
+    );
+  }
+
+  if (!trackedCalls.has(getMockTarget(expected).mock)) {
+    throw new TypeError(
+      matcherErrorMessage(
+        matcherHint(matcherName, 'mock.fn()', 'expected', options),
+        `${EXPECTED_COLOR('expected')} value must be tracked with trackCallOrder()`
+      )
+    );
+  }
+}
+
+/**
+ * Helper function to format the interleaved timeline of both mocks' calls
+ * @param {Array} receivedCalls - Tracked calls of the received mock
+ * @param {Array} expectedCalls - Tracked calls of the expected mock
+ * @returns {string} - Formatted message
+ */
+function formatTimeline(receivedCalls, expectedCalls) {
+  const entries = [
+    ...receivedCalls.map(entry => ({ ...entry, isReceived: true })),
+    ...expectedCalls.map(entry => ({ ...entry, isReceived: false })),
+  ].sort((a, b) => a.sequence - b.sequence);
+
+  if (entries.length === 0) {
+    return 'Call order: neither function was called';
+  }
+
+  return `Call order:\n${entries
+    .map(({ sequence, index, call, isReceived }) => {
+      const label = isReceived
+        ? RECEIVED_COLOR('received')
+        : EXPECTED_COLOR('expected');
+      const args = formatArgs(
+        call.arguments,
+        isReceived ? printReceived : printExpected
+      );
+
+      return `\t#${sequence} ${label} call ${index + 1}: ${args}`;
+    })
+    .join('\n')}`;
+}
+
+/**
+ * Helper function to create the ordering matchers
+ * @param {string} name - The name of the matcher
+ * @param {boolean} isBefore - Whether the received mock is expected to be called first
+ * @returns {Function} - The matcher
+ */
+function createOrderMatcher(name, isBefore) {
+  return function (receivedMethod, expectedMethod, { anyCall = false } = {}) {
+    const { matcherName, options, receivedText } = matcherFactory(
+      name,
+      this,
+      receivedMethod
+    );
+
+    ensureMocksAreTracked(receivedMethod, expectedMethod, matcherName, options);
+
+    const receivedCalls = getTrackedCalls(receivedMethod);
+    const expectedCalls = getTrackedCalls(expectedMethod);
+    const hint = `\n${matcherHint(matcherName, receivedText, 'expected', options)}\n\n`;
+    const timeline = formatTimeline(receivedCalls, expectedCalls);
+
+    if (receivedCalls.length === 0 || expectedCalls.length === 0) {
+      const notCalled = receivedCalls.length === 0 ? 'received' : 'expected';
+
+      return {
+        pass: false,
+        message: () =>
+          `${hint}But the ${notCalled} function was not called\n\n${timeline}\n`,
+      };
+    }
+
+    const receivedSequences = receivedCalls.map(({ sequence }) => sequence);
+    const expectedSequences = expectedCalls.map(({ sequence }) => sequence);
+    const which = anyCall ? 'any call' : 'first call';
+    let pass;
+
+    if (isBefore) {
+      pass = anyCall
+        ? receivedSequences[0] < expectedSequences.at(-1)
+        : receivedSequences[0] < expectedSequences[0];
+    } else {
+      pass = anyCall
+        ? receivedSequences.at(-1) > expectedSequences[0]
+        : receivedSequences[0] > expectedSequences[0];
+    }
+
+    return {
+      pass,
+      message: () =>
+        `${hint}Expected: ${pass ? 'not ' : ''}${which} of ${RECEIVED_COLOR('received')} ` +
+        `${isBefore ? 'before' : 'after'} ${which} of ${EXPECTED_COLOR('expected')}\n\n` +
+        `${timeline}\n`,
+    };
+  };
+}
+
+/**
+ * Matcher to verify that a tracked mock function was called before another tracked mock function
+ * @param {Function} receivedMethod - The tracked mock function to check
+ * @param {Function} expectedMethod - The tracked mock function which should be called later
+ * @param {Object} [options={}] - Optional configuration
+ * @param {boolean} [options.anyCall=false] - Compare any calls instead of the first calls
+ * @returns {Object} - An object with pass and message properties
+ */
+const toHaveBeenCalledBefore = createOrderMatcher(
+  'toHaveBeenCalledBefore',
+  true
+);
+
+/**
+ * Matcher to verify that a tracked mock function was called after another tracked mock function
+ * @param {Function} receivedMethod - The tracked mock function to check
+ * @param {Function} expectedMethod - The tracked mock function which should be called earlier
+ * @param {Object} [options={}] - Optional configuration
+ * @param {boolean} [options.anyCall=false] - Compare any calls instead of the first calls
+ * @returns {Object} - An object with pass and message properties
+ */
+const toHaveBeenCalledAfter = createOrderMatcher(
+  'toHaveBeenCalledAfter',
+  false
+);
+
+export { trackCallOrder, toHaveBeenCalledBefore, toHaveBeenCalledAfter };
@@ -0,0 +1,283 @@
+import {
+  matcherErrorMessage,
+  matcherHint,
+  printExpected,
+  printReceived,
+  printWithType,
+} from './matcherUtils.mjs';
+import { isPromiseLike } from './mockMethodMatchers.mjs';
+import {
+  formatArgs,
+  formatCallSite,
+  formatLimitedList,
+} from './printCalls.mjs';
+import {
+  DIM_COLOR,
+  EXPECTED_COLOR,
+  RECEIVED_COLOR,
+  ensureReceivedIsNodeMock,
+  matcherFactory,
+} from './utils.mjs';
+import { markVerified } from './verification.mjs';
+
+/**
+ * Function to ensure that the predicate of a predicate matcher is a function
+ * @param {Function} predicate - The predicate to check
+ * @param {string} matcherName - The name of the matcher being used
+ * @param {string} expectedText - The expected arguments printed in the matcher hint
+ * @param {Object} options - Configuration for error messages
+ * @throws {TypeError} - Throws if predicate is not a function
+ */
+function ensurePredicate(predicate, matcherName, expectedText, options) {
+  if (typeof predicate !== 'function') {
+    throw new TypeError(
+      matcherErrorMessage(
+        matcherHint(matcherName, 'mock.fn()', expectedText, options),
+        `${EXPECTED_COLOR('predicate')} value must be a function`,
+        printWithType('Predicate', predicate, printExpected)
+      )
+    );
+  }
+
+  if (Object.prototype.toString.call(predicate) === '[object AsyncFunction]') {
+    throwAsyncPredicate(matcherName, expectedText, options);
+  }
+}
+
+/**
+ * Helper function to reject a predicate returning a promise, which would always be truthy
+ * @param {string} matcherName - The name of the matcher being used
+ * @param {string} expectedText - The expected arguments printed in the matcher hint
+ * @param {Object} options - Configuration for error messages
+ * @throws {TypeError} - Always throws
+ */
+function throwAsyncPredicate(matcherName, expectedText, options) {
+  throw new TypeError(
+    matcherErrorMessage(
+      matcherHint(matcherName, 'mock.fn()', expectedText, options),
+      `${EXPECTED_COLOR('predicate')} must be synchronous`,
+      'It returned a promise, await the values in the test and check them in the predicate'
+    )
+  );
+}
+
+/**
+ * Helper function to run the predicate against a recorded call.
+ * A truthy return value satisfies the predicate, a falsy one or a thrown
+ * error does not. A returned promise is reported with `isAsync`, its
+ * rejection is ignored.
+ * @param {Function} predicate - The predicate receiving the call record
+ * @param {Object} call - The recorded call
+ * @returns {{satisfied: boolean, reason: string, isAsync?: boolean}} - Outcome and why the call failed
+ */
+function testCall(predicate, call) {
+  let result;
+
+  try {
+    result = predicate(call);
+  } catch (error) {
+    return { satisfied: false, reason: `threw ${printReceived(error)}` };
+  }
+
+  if (isPromiseLike(result)) {
+    Promise.resolve(result).catch(() => {});
+
+    return { satisfied: false, reason: 'returned a promise', isAsync: true };
+  }
+
+  return result
+    ? { satisfied: true, reason: 'satisfied' }
+    : { satisfied: false, reason: `returned ${printReceived(result)}` };
+}
+
+/**
+ * Helper function to format the tested calls with the outcome of the predicate, limited to PRINT_LIMIT calls
+ * @param {Array} calls - The recorded calls of a node mock function
+ * @param {Array<{index: number, outcome: Object}>} tested - The tested calls to print
+ * @returns {string} - Formatted message
+ */
+function formatTestedCalls(calls, tested) {
+  const printed = formatLimitedList(
+    tested,
+    ({ index, outcome }) =>
+      `\t${index}: ${formatArgs(calls[index].arguments)} ${DIM_COLOR('→')} ${outcome.reason}${formatCallSite(calls[index])}`,
+    'call'
+  );
+
+  return `Tested calls\n${printed}`;
+}
+
+/**
+ * Helper function to describe a predicate by its name
+ * @param {Function} predicate - The predicate
+ * @returns {string} - Formatted message
+ */
+function formatPredicate(predicate) {
+  return `predicate ${EXPECTED_COLOR(predicate.name || 'anonymous')}`;
+}
+
+/**
+ * Shared implementation of the predicate matchers
+ * @param {string} name - The name of the matcher
+ * @param {Function} receivedMethod - The mock function to check
+ * @param {Function} predicate - The predicate receiving the call record
+ * @param {Object} selection - Which calls are tested and how their outcomes combine
+ * @param {string} selection.description - Description of the tested calls, used in the message
+ * @param {Function} selection.indexes - Function returning the indexes of the tested calls
+ * @param {boolean} [selection.every=false] - Require every tested call to satisfy the predicate
+ * @param {string} [selection.note=''] - Extra line printed before the tested calls
+ * @param {string} [selection.expectedText='predicate'] - The expected arguments printed in the matcher hint
+ * @returns {Object} - An object with pass and message properties
+ */
+function matchCalls(
+  name,
+  receivedMethod,
+  predicate,
+  { description, indexes, every = false, note = '', expectedText = 'predicate' }
+) {
+  const { matcherName, options, receivedText } = matcherFactory(
+    name,
+    this,
+    receivedMethod
+  );
+
+  ensureReceivedIsNodeMock(receivedMethod, matcherName, options);
+  ensurePredicate(predicate, matcherName, expectedText, options);
+
+  const calls = receivedMethod.mock.calls;
+  const tested = indexes(calls).map(index => ({
+    index,
+    outcome: testCall(predicate, calls[index]),
+  }));
+
+  if (tested.some(({ outcome }) => outcome.isAsync)) {
+    throwAsyncPredicate(matcherName, expectedText, options);
+  }
+  const satisfied = tested.filter(({ outcome }) => outcome.satisfied);
+  const pass =
+    tested.length > 0 &&
+    (every ? satisfied.length === tested.length : satisfied.length > 0);
+
+  if (pass) {
+    markVerified(satisfied.map(({ index }) => calls[index]));
+  }
+
+  const formatReceived = () => {
+    if (tested.length === 0) {
+      return calls.length === 0
+        ? 'But the function was not called'
+        : `But the function was only called ${calls.length} time(s)`;
+    }
+    // Print the calls which decided the outcome
+    return formatTestedCalls(
+      calls,
+      tested.filter(({ outcome }) => outcome.satisfied === pass)
+    );
+  };
+
+  return {
+    pass,
+    message: () =>
+      `\n${matcherHint(matcherName, receivedText, expectedText, options)}\n\n` +
+      `Expected: ${pass ? 'not ' : ''}${description} to satisfy ${formatPredicate(predicate)}\n` +
+      `${note}${formatReceived()}\n\n` +
+      `Number of calls: ${RECEIVED_COLOR(calls.length)}\n`,
+  };
+}
+
+/**
+ * Helper function to get the indexes of all calls
+ * @param {Array} calls - The recorded calls of a node mock function
+ * @returns {Array<number>} - Indexes of the calls
+ */
+function allIndexes(calls) {
+  return calls.map((_, index) => index);
+}
+
+/**
+ * Matcher to verify that at least one call of a mock function satisfies a predicate.
+ * The predicate receives the call record with `arguments`, `result`, `error`, `this` and `target`.
+ * @param {Function} receivedMethod - The mock function to check
+ * @param {Function} predicate - The predicate receiving the call record
+ * @returns {Object} - An object with pass and message properties
+ */
+function toHaveBeenCalledWithMatching(receivedMethod, predicate) {
+  return matchCalls.call(
+    this,
+    'toHaveBeenCalledWithMatching',
+    receivedMethod,
+    predicate,
+    { description: 'some call', indexes: allIndexes }
+  );
+}
+
+/**
+ * Matcher to verify that a mock function was called and every call satisfies a predicate
+ * @param {Function} receivedMethod - The mock function to check
+ * @param {Function} predicate - The predicate receiving the call record
+ * @returns {Object} - An object with pass and message properties
+ */
+function toHaveOnlyBeenCalledWithMatching(receivedMethod, predicate) {
+  return matchCalls.call(
+    this,
+    'toHaveOnlyBeenCalledWithMatching',
+    receivedMethod,
+    predicate,
+    { description: 'every call', indexes: allIndexes, every: true }
+  );
+}
+
+/**
+ * Matcher to verify that the last call of a mock function satisfies a predicate
+ * @param {Function} receivedMethod - The mock function to check
+ * @param {Function} predicate - The predicate receiving the call record
+ * @returns {Object} - An object with pass and message properties
+ */
+function toHaveBeenLastCalledWithMatching(receivedMethod, predicate) {
+  return matchCalls.call(
+    this,
+    'toHaveBeenLastCalledWithMatching',
+    receivedMethod,
+    predicate,
+    {
+      description: 'last call',
+      indexes: calls => (calls.length === 0 ? [] : [calls.length - 1]),
+    }
+  );
+}
+
+/**
+ * Matcher to verify that the nth call of a mock function satisfies a predicate
+ * @param {Function} receivedMethod - The mock function to check
+ * @param {number} nthCallIndex - The 1-based index of the call
+ * @param {Function} predicate - The predicate receiving the call record
+ * @returns {Object} - An object with pass and message properties
+ */
+function toHaveBeenNthCalledWithMatching(
+  receivedMethod,
+  nthCallIndex,
+  predicate
+) {
+  return matchCalls.call(
+    this,
+    'toHaveBeenNthCalledWithMatching',
+    receivedMethod,
+    predicate,
+    {
+      description: 'nth call',
+      indexes: calls =>
+        nthCallIndex >= 1 && nthCallIndex <= calls.length
+          ? [nthCallIndex - 1]
+          : [],
+      note: `n: ${nthCallIndex}\n`,
+      expectedText: 'n, predicate',
+    }
+  );
+}
+
+export {
+  toHaveBeenCalledWithMatching,
+  toHaveOnlyBeenCalledWithMatching,
+  toHaveBeenLastCalledWithMatching,
+  toHaveBeenNthCalledWithMatching,
+};
@@ -0,0 +1,310 @@
+import {
+  argumentsMatch,
+  createEquality,
+  formatEquality,
+  isStrictEquality,
+} from './equality.mjs';
+import {
+  matcherErrorMessage,
+  matcherHint,
+  printExpected,
+  printWithType,
+  stringify,
+} from './matcherUtils.mjs';
+import { formatArgs, formatCallArgs } from './printCalls.mjs';
+import {
+  DIM_COLOR,
+  EXPECTED_COLOR,
+  RECEIVED_COLOR,
+  ensureReceivedIsNodeMock,
+  matcherFactory,
+} from './utils.mjs';
+import { markVerified } from './verification.mjs';
+
+/**
+ * Supported modes of toHaveBeenCalledInSequence
+ */
+const SEQUENCE_MODES = ['exact', 'subsequence'];
+
+/**
+ * Function to ensure that the expected calls and the mode of a sequence matcher are valid
+ * @param {Array<Array>} expectedCalls - The expected argument lists
+ * @param {string} mode - The comparison mode
+ * @param {string} matcherName - The name of the matcher being used
+ * @param {Object} options - Configuration for error messages
+ * @throws {TypeError} - Throws if expectedCalls is not an array of arrays or mode is unknown
+ */
+function ensureValidSequence(expectedCalls, mode, matcherName, options) {
+  const hint = matcherHint(matcherName, 'mock.fn()', 'expected', options);
+
+  if (!Array.isArray(expectedCalls) || !expectedCalls.every(Array.isArray)) {
+    throw new TypeError(
+      matcherErrorMessage(
+        hint,
+        `${EXPECTED_COLOR('expected')} value must be an array of argument arrays`,
+        printWithType('Expected', expectedCalls, printExpected)
+      )
+    );
+  }
+
+  if (!SEQUENCE_MODES.includes(mode)) {
+    throw new TypeError(
+      matcherErrorMessage(
+        hint,
+        `${EXPECTED_COLOR('mode')} must be one of ${SEQUENCE_MODES.map(name => `'${name}'`).join(', ')}`,
+        printWithType('Mode', mode, printExpected)
+      )
+    );
+  }
+}
+
+/**
+ * Helper function to find the earliest received calls matching the expected calls in order
+ * @param {Array} calls - The recorded calls of a node mock function
+ * @param {Array<Array>} expectedCalls - The expected argument lists
+ * @param {Function} isEqual - Equality created by createEquality
+ * @returns {Array} - The matched calls, as many as the expected calls when they are a subsequence
+ */
+function findSubsequence(calls, expectedCalls, isEqual) {
+  const matched = [];
+
+  for (const call of calls) {
+    if (
+      matched.length < expectedCalls.length &&
+      argumentsMatch(call.arguments, expectedCalls[matched.length], isEqual)
+    ) {
+      matched.push(call);
+    }
+  }
+
+  return matched;
+}
+
+/**
+ * Helper function to align the received calls with the expected calls.
+ * The longest common subsequence of matching calls is kept aligned, the
+ * calls in between are reported as gaps.
+ * @param {Array} calls - The recorded calls of a node mock function
+ * @param {Array<Array>} expectedCalls - The expected argument lists
+ * @param {Function} isEqual - Equality created by createEquality
+ * @returns {Array<Object>} - Matched pairs `{received, expected}` and gaps `{gap: {received, expected}}` in order
+ */
+function alignSequence(calls, expectedCalls, isEqual) {
+  const lengths = Array.from({ length: calls.length + 1 }, () =>
+    new Array(expectedCalls.length + 1).fill(0)
+  );
+  const matches = calls.map(() => []);
+
+  for (let i = calls.length - 1; i >= 0; i -= 1) {
+    for (let j = expectedCalls.length - 1; j >= 0; j -= 1) {
+      matches[i][j] = argumentsMatch(
+        calls[i].arguments,
+        expectedCalls[j],
+        isEqual,
+        { capture: false }
+      );
+      lengths[i][j] = matches[i][j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const aligned = [];
+  let gap = { received: [], expected: [] };
+  let i = 0;
+  let j = 0;
+
+  const closeGap = () => {
+    if (gap.received.length > 0 || gap.expected.length > 0) {
+      aligned.push({ gap });
+      gap = { received: [], expected: [] };
+    }
+  };
+
+  while (i < calls.length || j < expectedCalls.length) {
+    if (i < calls.length && j < expectedCalls.length && matches[i][j]) {
+      closeGap();
+      aligned.push({ received: i, expected: j });
+      i += 1;
+      j += 1;
+    } else if (
+      j === expectedCalls.length ||
+      (i < calls.length && lengths[i + 1][j] >= lengths[i][j + 1])
+    ) {
+      gap.received.push(i);
+      i += 1;
+    } else {
+      gap.expected.push(j);
+      j += 1;
+    }
+  }
+  closeGap();
+
+  return aligned;
+}
+
+/**
+ * Helper function to format the aligned sequence of received and expected calls.
+ * In exact mode the calls of a gap are paired as mismatched calls, the rest
+ * are missing or extra calls. In subsequence mode received calls in a gap are
+ * allowed and printed as skipped.
+ * @param {Array} calls - The recorded calls of a node mock function
+ * @param {Array<Array>} expectedCalls - The expected argument lists
+ * @param {Function} isEqual - Equality created by createEquality
+ * @param {string} mode - The comparison mode
+ * @returns {{diff: string, counts: Object}} - Formatted rows and the number of mismatched, missing and extra calls
+ */
+function formatSequenceDiff(calls, expectedCalls, isEqual, mode) {
+  const rows = [];
+  const counts = { mismatched: 0, missing: 0, extra: 0 };
+  const expectedRow = (j, note) =>
+    EXPECTED_COLOR(
+      `- ${j}: ${formatArgs(expectedCalls[j], stringify)}  (${note})`
+    );
+  const receivedRow = (i, note) =>
+    `${RECEIVED_COLOR(`+ ${i}:`)} ${formatCallArgs(calls[i].arguments, [], isEqual)}  ${RECEIVED_COLOR(`(${note})`)}`;
+
+  for (const entry of alignSequence(calls, expectedCalls, isEqual)) {
+    if (!entry.gap) {
+      rows.push(
+        DIM_COLOR(
+          `  ${entry.received}: ${formatArgs(calls[entry.received].arguments, stringify)}`
+        )
+      );
+      continue;
+    }
+
+    const { received, expected } = entry.gap;
+
+    if (mode === 'subsequence') {
+      for (const i of received) {
+        rows.push(
+          DIM_COLOR(
+            `  ${i}: ${formatArgs(calls[i].arguments, stringify)}  (skipped)`
+          )
+        );
+      }
+      for (const j of expected) {
+        rows.push(expectedRow(j, 'missing'));
+        counts.missing += 1;
+      }
+      continue;
+    }
+
+    const paired = Math.min(received.length, expected.length);
+
+    for (let k = 0; k < paired; k += 1) {
+      rows.push(expectedRow(expected[k], 'mismatched'));
+      rows.push(
+        `${RECEIVED_COLOR(`+ ${received[k]}:`)} ${formatCallArgs(
+          calls[received[k]].arguments,
+          expectedCalls[expected[k]],
+          isEqual
+        )}  ${RECEIVED_COLOR('(mismatched)')}`
+      );
+      counts.mismatched += 1;
+    }
+    for (const j of expected.slice(paired)) {
+      rows.push(expectedRow(j, 'missing'));
+      counts.missing += 1;
+    }
+    for (const i of received.slice(paired)) {
+      rows.push(receivedRow(i, 'extra'));
+      counts.extra += 1;
+    }
+  }
+
+  return { diff: rows.join('\n'), counts };
+}
+
+/**
+ * Helper function to format the number of calls which broke the sequence
+ * @param {Object} counts - The number of mismatched, missing and extra calls
+ * @returns {string} - Formatted message, empty when the sequence matched
+ */
+function formatSequenceCounts(counts) {
+  const parts = Object.entries(counts)
+    .filter(([, count]) => count > 0)
+    .map(([name, count]) => `${name} calls: ${RECEIVED_COLOR(count)}`);
+
+  if (parts.length === 0) {
+    return '';
+  }
+
+  const summary = parts.join(', ');
+
+  return `\n${summary[0].toUpperCase()}${summary.slice(1)}`;
+}
+
+/**
+ * Matcher to verify the complete ordered list of calls of a mock function
+ * @param {Function} receivedMethod - The mock function to check
+ * @param {Array<Array>} expectedCalls - The expected argument list of every call, in order
+ * @param {Object} [options={}] - Optional configuration
+ * @param {string} [options.mode='exact'] - 'exact' to compare all calls, 'subsequence' to allow other calls in between
+ * @returns {Object} - An object with pass and message properties
+ */
+function toHaveBeenCalledInSequence(
+  receivedMethod,
+  expectedCalls,
+  { mode = 'exact' } = {}
+) {
+  const { matcherName, options, receivedText } = matcherFactory(
+    'toHaveBeenCalledInSequence',
+    this,
+    receivedMethod
+  );
+
+  ensureReceivedIsNodeMock(receivedMethod, matcherName, options);
+  ensureValidSequence(expectedCalls, mode, matcherName, options);
+
+  const calls = receivedMethod.mock.calls;
+  const strict = isStrictEquality();
+  const isEqual = createEquality(this, strict);
+  let matchedCalls = calls;
+  let pass;
+
+  if (mode === 'exact') {
+    pass =
+      calls.length === expectedCalls.length &&
+      calls.every((call, index) =>
+        argumentsMatch(call.arguments, expectedCalls[index], isEqual)
+      );
+  } else {
+    matchedCalls = findSubsequence(calls, expectedCalls, isEqual);
+    pass = matchedCalls.length === expectedCalls.length;
+  }
+
+  if (pass) {
+    markVerified(matchedCalls);
+  }
+
+  const formatReceived = () => {
+    if (calls.length === 0 && expectedCalls.length === 0) {
+      return '\n\nBut the function was not called';
+    }
+
+    const { diff, counts } = formatSequenceDiff(
+      calls,
+      expectedCalls,
+      isEqual,
+      mode
+    );
+
+    return (
+      `${formatSequenceCounts(counts)}\n\n` +
+      `${EXPECTED_COLOR('- Expected calls')}\n${RECEIVED_COLOR('+ Received calls')}\n\n${diff}`
+    );
+  };
+
+  return {
+    pass,
+    message: () =>
+      `\n${matcherHint(matcherName, receivedText, 'expected', options)}\n\n` +
+      `Expected: ${pass ? 'not ' : ''}called in sequence (${mode} mode)${formatReceived()}\n\n` +
+      `${formatEquality(strict)}\n` +
+      `Number of calls: ${RECEIVED_COLOR(calls.length)}\n`,
+  };
+}
+
+export { toHaveBeenCalledInSequence };
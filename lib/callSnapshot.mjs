@@ -0,0 +1,565 @@
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'node:fs';
+import { basename, dirname, join } from 'node:path';
+import { format, plugins } from 'pretty-format';
+
+import { getConfig } from './config.mjs';
+import { createEquality } from './equality.mjs';
+import {
+  matcherErrorMessage,
+  matcherHint,
+  printDiffOrStringify,
+  printExpected,
+  printReceived,
+} from './matcherUtils.mjs';
+import { mockSerializer } from './mockSerializer.mjs';
+import { findUserFrame } from './stack.mjs';
+import {
+  EXPECTED_COLOR,
+  RECEIVED_COLOR,
+  ensureReceivedIsNodeMock,
+  matcherFactory,
+} from './utils.mjs';
+
+/**
+ * Header of the snapshot files written next to the tests
+ */
+const SNAPSHOT_HEADER = '// expect-matcher-node-mock call snapshots';
+
+/**
+ * Loaded snapshot files, keyed by their path
+ * @type {Map<string, Object>}
+ */
+const snapshotFiles = new Map();
+
+/**
+ * Number of snapshots taken so far under every snapshot name, keyed by file and name
+ * @type {Map<string, number>}
+ */
+const snapshotCounters = new Map();
+
+/**
+ * Entry of a snapshot file, see writeSnapshotFile()
+ */
+const SNAPSHOT_ENTRY =
+  /^exports\[`((?:[^`\\]|\\[\s\S])*)`\] = `((?:[^`\\]|\\[\s\S])*)`;$/gm;
+
+/**
+ * Helper function to convert a recorded call into the record stored in a snapshot
+ * @param {Object} call - The recorded call
+ * @returns {Object} - The arguments, the receiver when there is one, and the outcome of the call
+ */
+function toCallRecord(call) {
+  const record = { arguments: call.arguments };
+  const constructed = call.target !== undefined;
+
+  if (!constructed && call.this !== undefined) {
+    record.this = call.this;
+  }
+  if (call.error !== undefined) {
+    record.threw = call.error;
+  } else if (constructed) {
+    record.constructed = call.result;
+  } else {
+    record.returned = call.result;
+  }
+
+  return record;
+}
+
+/**
+ * Serialize call records in the format of Jest snapshots
+ * @param {Array<Object>} records - The call records
+ * @returns {string} - The serialized records
+ */
+function serializeCalls(records) {
+  return format(records, {
+    escapeRegex: true,
+    escapeString: false,
+    indent: 2,
+    plugins: [mockSerializer, plugins.AsymmetricMatcher],
+    printBasicPrototype: false,
+    printFunctionName: false,
+  });
+}
+
+/**
+ * Helper function to check if property matchers describe the properties of a value
+ * instead of being compared with the value itself
+ * @param {any} matchers - The property matchers
+ * @returns {boolean} - Whether the property matchers are a plain object or an array
+ */
+function isMatcherTree(matchers) {
+  if (matchers === null || typeof matchers !== 'object') {
+    return false;
+  }
+  if (typeof matchers.asymmetricMatch === 'function') {
+    return false;
+  }
+
+  const prototype = Object.getPrototypeOf(matchers);
+
+  return (
+    Array.isArray(matchers) ||
+    prototype === Object.prototype ||
+    prototype === null
+  );
+}
+
+/**
+ * Check a value against property matchers and replace the matched properties with the matchers,
+ * so that unstable values are stored as their matcher
+ * @param {any} value - The value to check
+ * @param {any} matchers - The property matchers of the value
+ * @param {Function} isEqual - The equality function
+ * @param {string} path - The path of the value, printed on a mismatch
+ * @param {Array<Object>} mismatches - Collects the properties which did not match
+ * @returns {any} - The value with the matched properties replaced
+ */
+function applyPropertyMatchers(value, matchers, isEqual, path, mismatches) {
+  if (!isMatcherTree(matchers)) {
+    if (!isEqual(value, matchers)) {
+      mismatches.push({ path, expected: matchers, received: value });
+    }
+    return matchers;
+  }
+  if (value === null || typeof value !== 'object') {
+    mismatches.push({ path, expected: matchers, received: value });
+    return value;
+  }
+
+  const copy = Array.isArray(value)
+    ? [...value]
+    : Object.assign(Object.create(Object.getPrototypeOf(value)), value);
+
+  for (const key of Object.keys(matchers)) {
+    if (matchers[key] !== undefined) {
+      copy[key] = applyPropertyMatchers(
+        value[key],
+        matchers[key],
+        isEqual,
+        Array.isArray(matchers) ? `${path}[${key}]` : `${path}.${key}`,
+        mismatches
+      );
+    }
+  }
+
+  return copy;
+}
+
+/**
+ * Apply property matchers to call records.
+ * An object applies to every call, an array holds the property matchers of every call by index.
+ * @param {Array<Object>} records - The call records
+ * @param {Object|Array<Object>} [propertyMatchers] - The property matchers
+ * @param {Function} isEqual - The equality function
+ * @returns {{records: Array<Object>, mismatches: Array<Object>}} - The records to serialize and the properties which did not match
+ */
+function matchCallProperties(records, propertyMatchers, isEqual) {
+  const mismatches = [];
+
+  if (propertyMatchers === undefined) {
+    return { records, mismatches };
+  }
+
+  const matched = records.map((record, index) => {
+    const matchers = Array.isArray(propertyMatchers)
+      ? propertyMatchers[index]
+      : propertyMatchers;
+
+    return matchers === undefined
+      ? record
+      : applyPropertyMatchers(
+          record,
+          matchers,
+          isEqual,
+          `calls[${index}]`,
+          mismatches
+        );
+  });
+
+  return { records: matched, mismatches };
+}
+
+/**
+ * Helper function to resolve which snapshots may be written.
+ * Without configuration, snapshots are updated with `--test-update-snapshots`,
+ * never written on CI and only added otherwise.
+ * @returns {'all'|'new'|'none'} - The snapshot update mode
+ */
+function getUpdateMode() {
+  const { updateSnapshots } = getConfig();
+
+  if (updateSnapshots !== undefined) {
+    return updateSnapshots;
+  }
+  if (process.execArgv.includes('--test-update-snapshots')) {
+    return 'all';
+  }
+  return process.env.CI ? 'none' : 'new';
+}
+
+/**
+ * Escape a string and wrap it in backticks, so that evaluating the result gives the string back
+ * @param {string} value - The string to print
+ * @returns {string} - The template literal
+ */
+function printBacktickString(value) {
+  return `\`${value.replace(/`|\\|\${/g, '\\$&')}\``;
+}
+
+/**
+ * Get the path of the snapshot file of a test file
+ * @param {string} testFile - The path of the test file
+ * @returns {string} - The path of the snapshot file
+ */
+function getSnapshotPath(testFile) {
+  return join(dirname(testFile), '__snapshots__', `${basename(testFile)}.snap`);
+}
+
+/**
+ * Helper function to read back a string printed by printBacktickString()
+ * @param {string} value - The content of the template literal
+ * @returns {string} - The string
+ */
+function unescapeBacktickString(value) {
+  return value.replace(/\\([\s\S])/g, '$1');
+}
+
+/**
+ * Read the snapshots stored in a snapshot file.
+ * The file is parsed, not evaluated, so only files written by writeSnapshotFile() are read.
+ * @param {string} snapshotPath - The path of the snapshot file
+ * @returns {Object} - The snapshots keyed by their name, empty when the file does not exist
+ */
+function readSnapshotFile(snapshotPath) {
+  const data = Object.create(null);
+
+  if (!existsSync(snapshotPath)) {
+    return data;
+  }
+
+  for (const [, key, value] of readFileSync(snapshotPath, 'utf8').matchAll(
+    SNAPSHOT_ENTRY
+  )) {
+    // Every snapshot is stored between line breaks, see writeSnapshotFile()
+    data[unescapeBacktickString(key)] = unescapeBacktickString(value).slice(
+      1,
+      -1
+    );
+  }
+
+  return data;
+}
+
+/**
+ * Write snapshots to a snapshot file, sorted by their name
+ * @param {string} snapshotPath - The path of the snapshot file
+ * @param {Object} data - The snapshots keyed by their name
+ */
+function writeSnapshotFile(snapshotPath, data) {
+  const entries = Object.keys(data)
+    .sort((a, b) => a.localeCompare(b, 'en', { numeric: true }))
+    .map(
+      key =>
+        `exports[${printBacktickString(key)}] = ${printBacktickString(`\n${data[key]}\n`)};`
+    );
+
+  mkdirSync(dirname(snapshotPath), { recursive: true });
+  writeFileSync(
+    snapshotPath,
+    `${SNAPSHOT_HEADER}\n\n${entries.join('\n\n')}\n`,
+    'utf8'
+  );
+}
+
+/**
+ * Helper function to get the snapshots of a snapshot file, read once per run
+ * @param {string} snapshotPath - The path of the snapshot file
+ * @returns {Object} - The snapshots keyed by their name
+ */
+function loadSnapshots(snapshotPath) {
+  if (!snapshotFiles.has(snapshotPath)) {
+    snapshotFiles.set(snapshotPath, readSnapshotFile(snapshotPath));
+  }
+  return snapshotFiles.get(snapshotPath);
+}
+
+/**
+ * Helper function to name the next snapshot of a test, numbered like Jest does
+ * @param {string} scope - The file the snapshot belongs to
+ * @param {string} name - The name of the test, followed by the hint
+ * @returns {string} - The snapshot key
+ */
+function nextSnapshotKey(scope, name) {
+  const counterKey = `${scope}\0${name}`;
+  const count = (snapshotCounters.get(counterKey) ?? 0) + 1;
+
+  snapshotCounters.set(counterKey, count);
+
+  return `${name} ${count}`;
+}
+
+/**
+ * Remove the indentation which an inline snapshot gets from the test source
+ * @param {string} snapshot - The inline snapshot as written in the test
+ * @returns {string} - The snapshot without the surrounding line breaks and indentation
+ */
+function stripIndentation(snapshot) {
+  const lines = snapshot.split('\n');
+
+  if (
+    lines.length < 3 ||
+    lines[0].trim() !== '' ||
+    lines.at(-1).trim() !== ''
+  ) {
+    return snapshot;
+  }
+
+  const indentation = /^[ \t]*/.exec(lines[1])[0];
+
+  return lines
+    .slice(1, -1)
+    .map(line =>
+      line.startsWith(indentation) ? line.slice(indentation.length) : line
+    )
+    .join('\n');
+}
+
+/**
+ * Helper function to format the properties which did not match their property matchers
+ * @param {Array<Object>} mismatches - The properties which did not match
+ * @returns {string} - The formatted properties
+ */
+function formatMismatches(mismatches) {
+  return mismatches
+    .map(
+      ({ path, expected, received }) =>
+        `${path}\nExpected: ${printExpected(expected)}\nReceived: ${printReceived(received)}`
+    )
+    .join('\n\n');
+}
+
+/**
+ * Shared preparation of the snapshot matchers, serializes the calls after applying the property matchers
+ * @param {string} name - The name of the matcher
+ * @param {string} expectedText - The expected arguments printed in the matcher hint
+ * @param {Function} receivedMethod - The mock function to check
+ * @param {Object|Array<Object>} [propertyMatchers] - The property matchers
+ * @returns {Object} - The hint, the serialized calls, or a failed result when a property did not match
+ */
+function prepareSnapshot(name, expectedText, receivedMethod, propertyMatchers) {
+  const { matcherName, options, receivedText } = matcherFactory(
+    name,
+    this,
+    receivedMethod
+  );
+
+  ensureReceivedIsNodeMock(receivedMethod, matcherName, options);
+
+  const hint = () =>
+    matcherHint(matcherName, receivedText, expectedText, options);
+
+  if (this?.isNot) {
+    throw new Error(
+      matcherErrorMessage(
+        hint(),
+        `snapshot matchers cannot be used with ${EXPECTED_COLOR('not')}`
+      )
+    );
+  }
+
+  const { records, mismatches } = matchCallProperties(
+    receivedMethod.mock.calls.map(toCallRecord),
+    propertyMatchers,
+    createEquality(this)
+  );
+
+  if (mismatches.length > 0) {
+    return {
+      hint,
+      failed: {
+        pass: false,
+        message: () =>
+          `\n${hint()}\n\nProperty matchers did not match\n\n${formatMismatches(mismatches)}\n`,
+      },
+    };
+  }
+
+  return { hint, serialized: serializeCalls(records) };
+}
+
+/**
+ * Helper function to build the result of a snapshot comparison
+ * @param {Function} hint - Function returning the matcher hint
+ * @param {string} title - The line describing the snapshot
+ * @param {string} [expected] - The stored snapshot, undefined when it is missing
+ * @param {string} received - The serialized calls
+ * @returns {Object} - An object with pass and message properties
+ */
+function snapshotResult(hint, title, expected, received) {
+  const pass = expected === received;
+  const formatComparison = () =>
+    expected === undefined
+      ? `New snapshot was not written, the update mode is ${printExpected('none')}\n\n` +
+        `Received:\n${RECEIVED_COLOR(received)}`
+      : printDiffOrStringify(expected, received, 'Snapshot', 'Received', true);
+
+  return {
+    pass,
+    message: () => `\n${hint()}\n\n${title}\n\n${formatComparison()}\n`,
+  };
+}
+
+/**
+ * Matcher to compare the whole call history of a mock function with a snapshot.
+ * When the test context `t` supports `t.assert.snapshot`, the snapshot is stored by Node.js,
+ * otherwise in a `__snapshots__` file next to the test, named after the test.
+ * @param {Function} receivedMethod - The mock function to check
+ * @param {Object} snapshotOptions - Snapshot options
+ * @param {Object} snapshotOptions.t - The test context, names the snapshot
+ * @param {Object|Array<Object>} [snapshotOptions.propertyMatchers] - Matchers of unstable properties, for every call or by call index
+ * @param {string} [snapshotOptions.hint] - Added to the snapshot name, or to the first line of a snapshot stored by Node.js
+ * @returns {Object} - An object with pass and message properties
+ */
+function toMatchCallSnapshot(receivedMethod, snapshotOptions = {}) {
+  const { t, propertyMatchers, hint: snapshotHint } = snapshotOptions;
+  const { hint, failed, serialized } = prepareSnapshot.call(
+    this,
+    'toMatchCallSnapshot',
+    'options',
+    receivedMethod,
+    propertyMatchers
+  );
+  const testName = t?.fullName ?? t?.name;
+
+  if (typeof testName !== 'string') {
+    throw new TypeError(
+      matcherErrorMessage(
+        hint(),
+        `${EXPECTED_COLOR('options.t')} must be the test context`,
+        'Pass the context of the test, as in toMatchCallSnapshot({ t }), to name the snapshot'
+      )
+    );
+  }
+
+  if (failed) {
+    return failed;
+  }
+
+  const name = [testName, snapshotHint].filter(Boolean).join(': ');
+
+  if (typeof t.assert?.snapshot === 'function') {
+    // Node.js names the snapshots after the test only, so the hint is stored in the snapshot
+    const value = snapshotHint
+      ? `// ${snapshotHint}\n${serialized}`
+      : serialized;
+
+    try {
+      t.assert.snapshot(value, { serializers: [stored => stored] });
+    } catch (error) {
+      if (typeof error.expected === 'string') {
+        // Node.js stores the snapshot between line breaks
+        return snapshotResult(
+          hint,
+          `Snapshot name: ${printExpected(name)}`,
+          error.expected.slice(1, -1),
+          value
+        );
+      }
+      return {
+        pass: false,
+        message: () => `\n${hint()}\n\n${error.message}\n`,
+      };
+    }
+    return { pass: true, message: () => `\n${hint()}\n` };
+  }
+
+  const frame = findUserFrame();
+
+  if (!frame) {
+    throw new Error(
+      matcherErrorMessage(hint(), 'could not locate the test file')
+    );
+  }
+
+  const snapshotPath = getSnapshotPath(frame.file);
+  const key = nextSnapshotKey(snapshotPath, name);
+  const data = loadSnapshots(snapshotPath);
+  const mode = getUpdateMode();
+  const stored = data[key];
+
+  if (
+    (stored === undefined && mode !== 'none') ||
+    (stored !== serialized && mode === 'all')
+  ) {
+    data[key] = serialized;
+    writeSnapshotFile(snapshotPath, data);
+
+    return snapshotResult(hint, '', serialized, serialized);
+  }
+
+  return snapshotResult(
+    hint,
+    `Snapshot name: ${printExpected(key)}`,
+    stored,
+    serialized
+  );
+}
+
+/**
+ * Matcher to compare the whole call history of a mock function with a snapshot written in the test.
+ * The snapshot is never written into the test, a missing snapshot fails with the one to add.
+ * @param {Function} receivedMethod - The mock function to check
+ * @param {Object|string} [snapshotOptions] - Snapshot options with `propertyMatchers`, or the inline snapshot
+ * @param {string} [inlineSnapshot] - The inline snapshot, when options are given
+ * @returns {Object} - An object with pass and message properties
+ */
+function toMatchInlineCallSnapshot(
+  receivedMethod,
+  snapshotOptions,
+  inlineSnapshot
+) {
+  const [options, snapshot] =
+    typeof snapshotOptions === 'string'
+      ? [{}, snapshotOptions]
+      : [snapshotOptions ?? {}, inlineSnapshot];
+  const { hint, failed, serialized } = prepareSnapshot.call(
+    this,
+    'toMatchInlineCallSnapshot',
+    'snapshot',
+    receivedMethod,
+    options.propertyMatchers
+  );
+
+  if (failed) {
+    return failed;
+  }
+
+  if (snapshot === undefined) {
+    return {
+      pass: false,
+      message: () =>
+        `\n${hint()}\n\nInline snapshot is missing, add it as the last argument:\n\n` +
+        `${RECEIVED_COLOR(printBacktickString(`\n${serialized}\n`))}\n`,
+    };
+  }
+
+  return snapshotResult(
+    hint,
+    'Inline snapshot',
+    stripIndentation(snapshot),
+    serialized
+  );
+}
+
+export {
+  getSnapshotPath,
+  matchCallProperties,
+  readSnapshotFile,
+  serializeCalls,
+  stripIndentation,
+  toCallRecord,
+  toMatchCallSnapshot,
+  toMatchInlineCallSnapshot,
+  writeSnapshotFile,
+};
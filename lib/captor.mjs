@@ -0,0 +1,96 @@
+/**
+ * Values recorded by every captor, keyed by the captor
+ * @type {WeakMap<Captor, Array>}
+ */
+const capturedValues = new WeakMap();
+
+/**
+ * Captures of the argument comparison in progress, null outside of captureArguments()
+ * @type {Array<[Captor, any]>|null}
+ */
+let pendingCaptures = null;
+
+/**
+ * Asymmetric matcher which matches any value and records the values it was compared with.
+ * Values are only recorded for comparisons which succeeded as a whole, see captureArguments().
+ */
+class Captor {
+  $$typeof = Symbol.for('jest.asymmetricMatcher');
+
+  constructor() {
+    capturedValues.set(this, []);
+  }
+
+  /**
+   * Last captured value, undefined when nothing was captured
+   * @type {any}
+   */
+  get value() {
+    return capturedValues.get(this).at(-1);
+  }
+
+  /**
+   * All captured values in the order they were captured
+   * @type {Array}
+   */
+  get values() {
+    return [...capturedValues.get(this)];
+  }
+
+  asymmetricMatch(other) {
+    pendingCaptures?.push([this, other]);
+
+    return true;
+  }
+
+  toString() {
+    return 'Captor';
+  }
+
+  toAsymmetricMatcher() {
+    return 'Captor';
+  }
+
+  getExpectedType() {
+    return 'any';
+  }
+}
+
+/**
+ * Create an argument captor
+ * @returns {Captor} - The captor, use it in place of an expected argument
+ */
+function captor() {
+  return new Captor();
+}
+
+/**
+ * Run a comparison and keep the values captured during it only when it succeeded.
+ * A nested comparison hands its captures to the enclosing one.
+ * @param {Function} compare - Function returning whether the compared values match
+ * @returns {boolean} - The result of the comparison
+ */
+function captureArguments(compare) {
+  const enclosingCaptures = pendingCaptures;
+  const captures = [];
+
+  pendingCaptures = captures;
+
+  try {
+    const matched = compare();
+
+    if (matched && enclosingCaptures) {
+      enclosingCaptures.push(...captures);
+    } else if (matched) {
+      for (const [capturedBy, value] of captures) {
+        capturedValues.get(capturedBy).push(value);
+      }
+    }
+
+    return matched;
+  } finally {
+    pendingCaptures = enclosingCaptures;
+  }
+}
+
+export { Captor, captor, captureArguments };
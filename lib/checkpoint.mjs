@@ -0,0 +1,153 @@
+import { MOCK_SCOPE, ensureReceivedIsNodeMock } from './utils.mjs';
+
+/**
+ * Checkpoints created by checkpoint(), to reject look-alike objects
+ * @type {WeakSet<Object>}
+ */
+const checkpoints = new WeakSet();
+
+/**
+ * Mock functions of the views created by since() and between(), keyed by the view
+ * @type {WeakMap<Function, Function>}
+ */
+const scopedViews = new WeakMap();
+
+/**
+ * Mark the current position in the calls of a mock function
+ * @param {Function} mockFn - The node mock function
+ * @returns {Object} - The checkpoint, pass it to since() or between()
+ * @throws {TypeError} - Throws if mockFn is not a node mock function
+ */
+function checkpoint(mockFn) {
+  ensureReceivedIsNodeMock(mockFn, 'checkpoint');
+
+  const created = Object.freeze({
+    mockFn,
+    callCount: mockFn.mock.callCount(),
+  });
+
+  checkpoints.add(created);
+
+  return created;
+}
+
+/**
+ * Function to ensure that a value is a checkpoint
+ * @param {Object} value - The value to check
+ * @param {string} functionName - The name of the function being used
+ * @throws {TypeError} - Throws if the value was not created by checkpoint()
+ */
+function ensureCheckpoint(value, functionName) {
+  if (!checkpoints.has(value)) {
+    throw new TypeError(
+      `${functionName}() expects a checkpoint created by checkpoint(mockFn)`
+    );
+  }
+}
+
+/**
+ * Helper function to create a view of a mock function limited to a range of its calls.
+ * The view is the mock function with a mock context whose calls are sliced,
+ * every other property is forwarded to the mock function.
+ * @param {Function} mockFn - The node mock function
+ * @param {number} start - Index of the first call in the view
+ * @param {number} [end] - Index after the last call in the view, all later calls by default
+ * @param {string} description - Description of the scope printed in failure messages
+ * @returns {Function} - The scoped view
+ */
+function createScopedView(mockFn, start, end, description) {
+  const context = mockFn.mock;
+  const scopedCalls = () => context.calls.slice(start, end);
+  const scopedContext = new Proxy(context, {
+    get(target, property) {
+      if (property === 'calls') {
+        return scopedCalls();
+      }
+      if (property === 'callCount') {
+        return () => scopedCalls().length;
+      }
+      if (property === MOCK_SCOPE) {
+        const callCount = target.callCount();
+
+        return {
+          description,
+          earlier: Math.min(start, callCount),
+          later: end === undefined ? 0 : Math.max(callCount - end, 0),
+        };
+      }
+
+      // The context keeps its state in private fields, so it must stay the receiver
+      const value = Reflect.get(target, property, target);
+
+      return typeof value === 'function' ? value.bind(target) : value;
+    },
+  });
+
+  const view = new Proxy(mockFn, {
+    get(target, property) {
+      return property === 'mock'
+        ? scopedContext
+        : Reflect.get(target, property, target);
+    },
+  });
+
+  scopedViews.set(view, mockFn);
+
+  return view;
+}
+
+/**
+ * Get the mock function behind a view created by since() or between()
+ * @param {Function} mockFn - The node mock function or a view of it
+ * @returns {Function} - The node mock function
+ */
+function getMockTarget(mockFn) {
+  return scopedViews.get(mockFn) ?? mockFn;
+}
+
+/**
+ * Scope a mock function to the calls made after a checkpoint
+ * @param {Object} from - The checkpoint created by checkpoint()
+ * @returns {Function} - View of the mock function, usable with every matcher
+ * @throws {TypeError} - Throws if from is not a checkpoint
+ */
+function since(from) {
+  ensureCheckpoint(from, 'since');
+
+  return createScopedView(
+    from.mockFn,
+    from.callCount,
+    undefined,
+    'calls since checkpoint'
+  );
+}
+
+/**
+ * Scope a mock function to the calls made between two checkpoints
+ * @param {Object} from - The earlier checkpoint created by checkpoint()
+ * @param {Object} to - The later checkpoint created by checkpoint()
+ * @returns {Function} - View of the mock function, usable with every matcher
+ * @throws {TypeError} - Throws if the checkpoints are invalid, of different mocks or in the wrong order
+ */
+function between(from, to) {
+  ensureCheckpoint(from, 'between');
+  ensureCheckpoint(to, 'between');
+
+  if (from.mockFn !== to.mockFn) {
+    throw new TypeError('between() expects checkpoints of the same mock');
+  }
+  if (from.callCount > to.callCount) {
+    throw new TypeError(
+      'between() expects the earlier checkpoint as first argument'
+    );
+  }
+
+  return createScopedView(
+    from.mockFn,
+    from.callCount,
+    to.callCount,
+    'calls between checkpoints'
+  );
+}
+
+export { between, checkpoint, getMockTarget, since };
@@ -0,0 +1,175 @@
+import { AsyncLocalStorage } from 'node:async_hooks';
+
+/**
+ * Supported equality modes of the call and return matchers
+ */
+const EQUALITY_MODES = ['equal', 'strict'];
+
+/**
+ * Supported snapshot update modes, the same as the ones of Jest
+ */
+const SNAPSHOT_UPDATE_MODES = ['all', 'new', 'none'];
+
+const DEFAULT_CONFIG = Object.freeze({
+  equality: 'equal',
+  callSites: false,
+  updateSnapshots: undefined,
+  eventually: Object.freeze({
+    timeout: 1000,
+    interval: 10,
+    timers: undefined,
+  }),
+});
+
+let config = DEFAULT_CONFIG;
+
+/**
+ * Options of the expect instance running a matcher, merged into the
+ * module-level configuration, see withConfig()
+ * @type {AsyncLocalStorage<Object>}
+ */
+const instanceOptions = new AsyncLocalStorage();
+
+/**
+ * Function to ensure that the polling options of the eventually matchers are valid
+ * @param {Object} [options={}] - Polling options to check
+ * @param {number} [options.timeout] - How long to wait before failing, in milliseconds
+ * @param {number} [options.interval] - How long to wait between two checks, in milliseconds
+ * @param {Object} [options.timers] - MockTimers instance to advance instead of waiting in real time
+ * @returns {Object} - The checked options
+ * @throws {TypeError} - Throws if an option has an unsupported value
+ */
+function ensureEventuallyOptions(options = {}) {
+  const { timeout, interval, timers } = options;
+
+  if (timeout !== undefined && !(Number.isFinite(timeout) && timeout >= 0)) {
+    throw new TypeError(
+      `eventually.timeout must be a non-negative number, received '${timeout}'`
+    );
+  }
+  if (interval !== undefined && !(Number.isFinite(interval) && interval > 0)) {
+    throw new TypeError(
+      `eventually.interval must be a positive number, received '${interval}'`
+    );
+  }
+  if (timers !== undefined && typeof timers?.tick !== 'function') {
+    throw new TypeError(
+      `eventually.timers must be a MockTimers instance such as mock.timers, received '${timers}'`
+    );
+  }
+
+  return options;
+}
+
+/**
+ * Function to ensure that configuration options are valid
+ * @param {Object} [options={}] - Configuration options to check
+ * @param {'equal'|'strict'} [options.equality] - Compare arguments and results with toEqual (`equal`) or toStrictEqual (`strict`)
+ * @param {boolean} [options.callSites] - Print where every received call was made
+ * @param {'all'|'new'|'none'} [options.updateSnapshots] - Which call snapshots may be written, detected from the environment by default
+ * @param {Object} [options.eventually] - Default polling options of the eventually matchers, merged into the current ones
+ * @returns {Object} - The checked options
+ * @throws {TypeError} - Throws if an option has an unsupported value
+ */
+function ensureConfigOptions(options = {}) {
+  if (
+    options.equality !== undefined &&
+    !EQUALITY_MODES.includes(options.equality)
+  ) {
+    throw new TypeError(
+      `equality must be one of ${EQUALITY_MODES.map(mode => `'${mode}'`).join(', ')}, received '${options.equality}'`
+    );
+  }
+
+  if (
+    options.callSites !== undefined &&
+    typeof options.callSites !== 'boolean'
+  ) {
+    throw new TypeError(
+      `callSites must be a boolean, received '${options.callSites}'`
+    );
+  }
+
+  if (
+    options.updateSnapshots !== undefined &&
+    !SNAPSHOT_UPDATE_MODES.includes(options.updateSnapshots)
+  ) {
+    throw new TypeError(
+      `updateSnapshots must be one of ${SNAPSHOT_UPDATE_MODES.map(mode => `'${mode}'`).join(', ')}, received '${options.updateSnapshots}'`
+    );
+  }
+
+  if (options.eventually !== undefined) {
+    ensureEventuallyOptions(options.eventually);
+  }
+
+  return options;
+}
+
+/**
+ * Helper function to merge checked options into a configuration
+ * @param {Object} base - The configuration to merge into
+ * @param {Object} options - The checked options
+ * @returns {Object} - The resulting configuration
+ */
+function mergeConfig(base, options) {
+  const eventually =
+    options.eventually === undefined
+      ? base.eventually
+      : Object.freeze({ ...base.eventually, ...options.eventually });
+
+  return Object.freeze({ ...base, ...options, eventually });
+}
+
+/**
+ * Change the module-level configuration of the matchers
+ * @param {Object} [options={}] - Configuration to merge into the current one, see ensureConfigOptions()
+ * @returns {Object} - The resulting configuration
+ * @throws {TypeError} - Throws if an option has an unsupported value
+ */
+function configure(options = {}) {
+  config = mergeConfig(config, ensureConfigOptions(options));
+
+  return config;
+}
+
+/**
+ * Run a function with options merged into the module-level configuration,
+ * which getConfig() returns until the function and the promises it awaits settle
+ * @param {Object} options - Checked configuration options, see ensureConfigOptions()
+ * @param {Function} run - The function to run
+ * @returns {any} - The result of the function
+ */
+function withConfig(options, run) {
+  return instanceOptions.run(options, run);
+}
+
+/**
+ * Restore the default configuration of the matchers
+ * @returns {Object} - The default configuration
+ */
+function resetConfig() {
+  config = DEFAULT_CONFIG;
+
+  return config;
+}
+
+/**
+ * Get the current configuration of the matchers, with the options of the
+ * expect instance running the matcher when there are some
+ * @returns {Object} - The current configuration
+ */
+function getConfig() {
+  const options = instanceOptions.getStore();
+
+  return options === undefined ? config : mergeConfig(config, options);
+}
+
+export {
+  configure,
+  ensureConfigOptions,
+  ensureEventuallyOptions,
+  getConfig,
+  resetConfig,
+  withConfig,
+};
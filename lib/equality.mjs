@@ -0,0 +1,84 @@
+import {
+  arrayBufferEquality,
+  equals,
+  iterableEquality,
+  sparseArrayEquality,
+  typeEquality,
+} from '@jest/expect-utils';
+
+import { captureArguments } from './captor.mjs';
+import { getConfig } from './config.mjs';
+
+/**
+ * Testers which expect adds on top of the custom testers for toStrictEqual
+ */
+const STRICT_TESTERS = [
+  iterableEquality,
+  typeEquality,
+  sparseArrayEquality,
+  arrayBufferEquality,
+];
+
+/**
+ * Create a non-throwing equality function with the semantics of toEqual or toStrictEqual.
+ * The equality and the custom testers of the matcher context are used when
+ * available, so testers registered with `expect.addEqualityTesters` apply.
+ * @param {Object} [context] - The matcher context (`this` of a matcher)
+ * @param {boolean} [strict=false] - Use toStrictEqual instead of toEqual semantics
+ * @returns {Function} - Function returning whether the received value equals the expected value
+ */
+function createEquality(context, strict = false) {
+  const isEqual =
+    typeof context?.equals === 'function' ? context.equals : equals;
+  const customTesters = context?.customTesters ?? [];
+  const testers = strict
+    ? [...customTesters, ...STRICT_TESTERS]
+    : [...customTesters, iterableEquality];
+
+  return (received, expected) => isEqual(received, expected, testers, strict);
+}
+
+/**
+ * Helper function to check if the configured equality is the strict one
+ * @returns {boolean} - Whether call and return matchers use toStrictEqual
+ */
+function isStrictEquality() {
+  return getConfig().equality === 'strict';
+}
+
+/**
+ * Helper function to format which equality was used to compare values
+ * @param {boolean} strict - Whether toStrictEqual was used
+ * @returns {string} - Formatted message
+ */
+function formatEquality(strict) {
+  return `Equality: ${strict ? 'toStrictEqual' : 'toEqual'}`;
+}
+
+/**
+ * Helper function to check if arguments match, stopping at the first mismatch.
+ * Values compared with a captor are recorded only when all arguments match.
+ * @param {Array} callArgs - The arguments from the actual call
+ * @param {Array} expectedArgs - The expected arguments
+ * @param {Function} isEqual - Equality created by createEquality
+ * @param {Object} [options={}] - Optional configuration
+ * @param {boolean} [options.capture=true] - Record the values compared with captors, disable it when only printing
+ * @returns {boolean} - Whether the arguments match
+ */
+function argumentsMatch(
+  callArgs,
+  expectedArgs,
+  isEqual,
+  { capture = true } = {}
+) {
+  if (callArgs.length !== expectedArgs.length) {
+    return false;
+  }
+
+  const compare = () =>
+    expectedArgs.every((arg, index) => isEqual(callArgs[index], arg));
+
+  return capture ? captureArguments(compare) : compare();
+}
+
+export { argumentsMatch, createEquality, formatEquality, isStrictEquality };
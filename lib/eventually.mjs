@@ -0,0 +1,251 @@
+import { ensureEventuallyOptions, getConfig } from './config.mjs';
+import {
+  argumentsMatch,
+  createEquality,
+  isStrictEquality,
+} from './equality.mjs';
+import { matcherHint } from './matcherUtils.mjs';
+import {
+  toHaveBeenCalled,
+  toHaveBeenCalledTimes,
+  toHaveBeenCalledWith,
+  toHaveReturned,
+  toHaveReturnedTimes,
+  toHaveReturnedWith,
+} from './mockMethodMatchers.mjs';
+import {
+  RECEIVED_COLOR,
+  ensureReceivedIsNodeMock,
+  matcherFactory,
+} from './utils.mjs';
+
+// Captured on load so that polling keeps working in real time when the
+// test enables `mock.timers` for setTimeout, setImmediate and Date
+const realSetTimeout = globalThis.setTimeout;
+const realSetImmediate = globalThis.setImmediate;
+
+/**
+ * Helper function to let pending callbacks and promise reactions run
+ * @param {number} [delay=0] - Real time to wait, in milliseconds
+ * @returns {Promise<void>} - Resolves after the delay, or on the next turn of the event loop
+ */
+function wait(delay = 0) {
+  return new Promise(resolve =>
+    delay > 0 ? realSetTimeout(resolve, delay) : realSetImmediate(resolve)
+  );
+}
+
+/**
+ * Shared implementation of the eventually matchers.
+ * Checks the condition until the assertion holds or the timeout passes, then
+ * runs the wrapped matcher once, so that only the final check marks calls
+ * as verified or records captured values.
+ * With `timers`, every check advances the mocked time by the interval
+ * instead of waiting in real time.
+ * @param {string} name - The name of the matcher
+ * @param {Function} matcher - The synchronous matcher to run once the polling ends
+ * @param {Function} condition - Function returning whether the recorded calls satisfy the matcher, without side effects
+ * @param {string} expectedText - The expected arguments printed in the matcher hint
+ * @param {Function} receivedMethod - The mock function to check
+ * @param {Array} args - The arguments of the wrapped matcher
+ * @param {Object} [waitOptions={}] - Polling options, merged into the configured ones
+ * @returns {Promise<Object>} - An object with pass and message properties
+ */
+async function waitFor(
+  name,
+  matcher,
+  condition,
+  expectedText,
+  receivedMethod,
+  args,
+  waitOptions = {}
+) {
+  const { matcherName, options, receivedText } = matcherFactory(
+    name,
+    this,
+    receivedMethod
+  );
+
+  ensureReceivedIsNodeMock(receivedMethod, matcherName, options);
+
+  const { timeout, interval, timers } = {
+    ...getConfig().eventually,
+    ...ensureEventuallyOptions(waitOptions),
+  };
+  const isNot = Boolean(this?.isNot);
+  const start = performance.now();
+  let elapsed = 0;
+  let checks = 0;
+
+  for (;;) {
+    checks += 1;
+
+    if (condition(receivedMethod.mock.calls) !== isNot || elapsed >= timeout) {
+      break;
+    }
+
+    const step = Math.min(interval, timeout - elapsed);
+
+    if (timers) {
+      timers.tick(step);
+      await wait();
+      elapsed += step;
+    } else {
+      await wait(step);
+      elapsed = performance.now() - start;
+    }
+  }
+
+  const { pass, message: lastMessage } = matcher.call(
+    this,
+    receivedMethod,
+    ...args
+  );
+  const waited = `${RECEIVED_COLOR(`${timeout}ms`)}${timers ? ' of mocked time' : ''}`;
+
+  return {
+    pass,
+    message: () =>
+      `\n${matcherHint(matcherName, receivedText, expectedText, options)}\n\n` +
+      `${isNot ? 'Still satisfied after' : 'Timed out after'} ${waited}, ` +
+      `checked ${RECEIVED_COLOR(checks)} time(s)\n\n` +
+      `Last observed state:\n${lastMessage()}`,
+  };
+}
+
+/**
+ * Matcher to wait until a mock function was called at least once
+ * @param {Function} receivedMethod - The mock function to check
+ * @param {Object} [waitOptions] - Polling options `timeout`, `interval` and `timers`
+ * @returns {Promise<Object>} - An object with pass and message properties
+ */
+function toEventuallyHaveBeenCalled(receivedMethod, waitOptions) {
+  return waitFor.call(
+    this,
+    'toEventuallyHaveBeenCalled',
+    toHaveBeenCalled,
+    calls => calls.length > 0,
+    'options',
+    receivedMethod,
+    [],
+    waitOptions
+  );
+}
+
+/**
+ * Matcher to wait until a mock function was called an exact number of times
+ * @param {Function} receivedMethod - The mock function to check
+ * @param {number} expected - The expected number of calls
+ * @param {Object} [waitOptions] - Polling options `timeout`, `interval` and `timers`
+ * @returns {Promise<Object>} - An object with pass and message properties
+ */
+function toEventuallyHaveBeenCalledTimes(
+  receivedMethod,
+  expected,
+  waitOptions
+) {
+  return waitFor.call(
+    this,
+    'toEventuallyHaveBeenCalledTimes',
+    toHaveBeenCalledTimes,
+    calls => calls.length === expected,
+    'expected, options',
+    receivedMethod,
+    [expected],
+    waitOptions
+  );
+}
+
+/**
+ * Matcher to wait until a mock function was called with specific arguments.
+ * The arguments are variadic, so the polling options come from configure().
+ * @param {Function} receivedMethod - The mock function to check
+ * @param {...any} args - The expected arguments
+ * @returns {Promise<Object>} - An object with pass and message properties
+ */
+function toEventuallyHaveBeenCalledWith(receivedMethod, ...args) {
+  const isEqual = createEquality(this, isStrictEquality());
+
+  return waitFor.call(
+    this,
+    'toEventuallyHaveBeenCalledWith',
+    toHaveBeenCalledWith,
+    calls =>
+      calls.some(call =>
+        argumentsMatch(call.arguments, args, isEqual, { capture: false })
+      ),
+    '...expected',
+    receivedMethod,
+    args
+  );
+}
+
+/**
+ * Matcher to wait until a mock function returned without throwing at least once
+ * @param {Function} receivedMethod - The mock function to check
+ * @param {Object} [waitOptions] - Polling options `timeout`, `interval` and `timers`
+ * @returns {Promise<Object>} - An object with pass and message properties
+ */
+function toEventuallyHaveReturned(receivedMethod, waitOptions) {
+  return waitFor.call(
+    this,
+    'toEventuallyHaveReturned',
+    toHaveReturned,
+    calls => calls.some(call => call.error === undefined),
+    'options',
+    receivedMethod,
+    [],
+    waitOptions
+  );
+}
+
+/**
+ * Matcher to wait until a mock function returned without throwing an exact number of times
+ * @param {Function} receivedMethod - The mock function to check
+ * @param {number} times - The expected number of successful returns
+ * @param {Object} [waitOptions] - Polling options `timeout`, `interval` and `timers`
+ * @returns {Promise<Object>} - An object with pass and message properties
+ */
+function toEventuallyHaveReturnedTimes(receivedMethod, times, waitOptions) {
+  return waitFor.call(
+    this,
+    'toEventuallyHaveReturnedTimes',
+    toHaveReturnedTimes,
+    calls => calls.filter(call => call.error === undefined).length === times,
+    'expected, options',
+    receivedMethod,
+    [times],
+    waitOptions
+  );
+}
+
+/**
+ * Matcher to wait until a mock function returned a specific value
+ * @param {Function} receivedMethod - The mock function to check
+ * @param {any} expected - The expected return value
+ * @param {Object} [waitOptions] - Polling options `timeout`, `interval` and `timers`
+ * @returns {Promise<Object>} - An object with pass and message properties
+ */
+function toEventuallyHaveReturnedWith(receivedMethod, expected, waitOptions) {
+  const isEqual = createEquality(this, isStrictEquality());
+
+  return waitFor.call(
+    this,
+    'toEventuallyHaveReturnedWith',
+    toHaveReturnedWith,
+    calls => calls.some(call => isEqual(call.result, expected)),
+    'expected, options',
+    receivedMethod,
+    [expected],
+    waitOptions
+  );
+}
+
+export {
+  toEventuallyHaveBeenCalled,
+  toEventuallyHaveBeenCalledTimes,
+  toEventuallyHaveBeenCalledWith,
+  toEventuallyHaveReturned,
+  toEventuallyHaveReturnedTimes,
+  toEventuallyHaveReturnedWith,
+};
@@ -0,0 +1,393 @@
+import type { Mock } from 'node:test';
+import type { MatcherFunction } from 'expect';
+import type { Plugin } from 'pretty-format';
+
+import type {
+  CallOrderOptions,
+  CallPredicate,
+  CallSequenceOptions,
+  CallSnapshotOptions,
+  Captor,
+  Config,
+  ConfigOptions,
+  EventuallyOptions,
+  ExpectedArguments,
+  ExpectedAssignedValue,
+  ExpectedError,
+  ExpectedResolvedValue,
+  ExpectedReturnValue,
+  ExtendableExpect,
+  InlineCallSnapshotOptions,
+  MethodName,
+  MethodOf,
+  MockCheckpoint,
+  MockableFunction,
+  ReceiverMatchOptions,
+} from './types.mjs';
+
+declare module 'expect' {
+  interface Matchers<R extends void | Promise<void>, T = unknown> {
+    toHaveBeenCalled(): R;
+    toHaveBeenCalledTimes(expected: number): R;
+    toHaveBeenCalledWith(...args: ExpectedArguments<T>): R;
+    toHaveBeenLastCalledWith(...args: ExpectedArguments<T>): R;
+    toHaveBeenNthCalledWith(
+      nthCallIndex: number,
+      ...args: ExpectedArguments<T>
+    ): R;
+    toHaveBeenCalledStrictlyWith(...args: ExpectedArguments<T>): R;
+    toHaveBeenCalledExactlyOnceWith(...args: ExpectedArguments<T>): R;
+    toHaveOnlyBeenCalledWith(...args: ExpectedArguments<T>): R;
+    toHaveBeenCalledAtLeast(min: number): R;
+    toHaveBeenCalledAtMost(max: number): R;
+    toHaveBeenCalledBetween(min: number, max: number): R;
+
+    toReturn(): R;
+    toHaveReturned(): R;
+    toHaveReturnedTimes(times: number): R;
+    toHaveReturnedWith(expected: ExpectedReturnValue<T>): R;
+    toHaveLastReturnedWith(expected: ExpectedReturnValue<T>): R;
+    toHaveNthReturnedWith(nthCall: number, expected: ExpectedReturnValue<T>): R;
+    toHaveReturnedStrictlyWith(expected: ExpectedReturnValue<T>): R;
+    toHaveReturnedAtLeast(min: number): R;
+    toHaveReturnedAtMost(max: number): R;
+    toHaveReturnedBetween(min: number, max: number): R;
+
+    toHaveThrown(): R;
+    toHaveThrownTimes(times: number): R;
+    toHaveThrownWith(expected: ExpectedError): R;
+    toHaveLastThrownWith(expected: ExpectedError): R;
+    toHaveNthThrownWith(nthCall: number, expected: ExpectedError): R;
+
+    toHaveResolved(): Promise<void>;
+    toHaveResolvedWith(expected: ExpectedResolvedValue<T>): Promise<void>;
+    toHaveLastResolvedWith(expected: ExpectedResolvedValue<T>): Promise<void>;
+    toHaveNthResolvedWith(
+      nthCall: number,
+      expected: ExpectedResolvedValue<T>
+    ): Promise<void>;
+    toHaveRejectedWith(expected: ExpectedError): Promise<void>;
+
+    toHaveBeenCalledOn(expected: unknown, options?: ReceiverMatchOptions): R;
+    toHaveBeenLastCalledOn(
+      expected: unknown,
+      options?: ReceiverMatchOptions
+    ): R;
+    toHaveBeenNthCalledOn(
+      nthCall: number,
+      expected: unknown,
+      options?: ReceiverMatchOptions
+    ): R;
+
+    toHaveBeenConstructed(): R;
+    toHaveBeenConstructedTimes(times: number): R;
+    toHaveBeenConstructedWith(...args: ExpectedArguments<T>): R;
+    toHaveBeenCalledWithoutNew(): R;
+
+    toHaveBeenCalledBefore(expected: Mock<any>, options?: CallOrderOptions): R;
+    toHaveBeenCalledAfter(expected: Mock<any>, options?: CallOrderOptions): R;
+    toHaveBeenCalledInSequence(
+      expectedCalls: ReadonlyArray<ExpectedArguments<T>>,
+      options?: CallSequenceOptions
+    ): R;
+
+    toHaveBeenCalledWithMatching(predicate: CallPredicate<T>): R;
+    toHaveOnlyBeenCalledWithMatching(predicate: CallPredicate<T>): R;
+    toHaveBeenLastCalledWithMatching(predicate: CallPredicate<T>): R;
+    toHaveBeenNthCalledWithMatching(
+      nthCallIndex: number,
+      predicate: CallPredicate<T>
+    ): R;
+
+    toHaveNoUnverifiedCalls(): R;
+
+    toEventuallyHaveBeenCalled(options?: EventuallyOptions): Promise<void>;
+    toEventuallyHaveBeenCalledTimes(
+      expected: number,
+      options?: EventuallyOptions
+    ): Promise<void>;
+    toEventuallyHaveBeenCalledWith(
+      ...args: ExpectedArguments<T>
+    ): Promise<void>;
+    toEventuallyHaveReturned(options?: EventuallyOptions): Promise<void>;
+    toEventuallyHaveReturnedTimes(
+      times: number,
+      options?: EventuallyOptions
+    ): Promise<void>;
+    toEventuallyHaveReturnedWith(
+      expected: ExpectedReturnValue<T>,
+      options?: EventuallyOptions
+    ): Promise<void>;
+
+    toMatchCallSnapshot(options: CallSnapshotOptions): R;
+    toMatchInlineCallSnapshot(snapshot?: string): R;
+    toMatchInlineCallSnapshot(
+      options: InlineCallSnapshotOptions,
+      snapshot?: string
+    ): R;
+
+    toHaveBeenAccessed(): R;
+    toHaveBeenAccessedTimes(expected: number): R;
+    toHaveBeenAssigned(): R;
+    toHaveBeenAssignedWith(expected: ExpectedAssignedValue<T>): R;
+    toHaveBeenLastAssignedWith(expected: ExpectedAssignedValue<T>): R;
+    toHaveBeenNthAssignedWith(
+      nthWrite: number,
+      expected: ExpectedAssignedValue<T>
+    ): R;
+
+    toBeMocked(methodName: MethodName<T>): R;
+    toHaveMethodCalled(methodName: MethodName<T>): R;
+    toHaveMethodCalledTimes(methodName: MethodName<T>, expected: number): R;
+    toHaveMethodCalledWith<K extends MethodName<T>>(
+      methodName: K,
+      ...args: ExpectedArguments<MethodOf<T, K>>
+    ): R;
+    toHaveMethodLastCalledWith<K extends MethodName<T>>(
+      methodName: K,
+      ...args: ExpectedArguments<MethodOf<T, K>>
+    ): R;
+    toHaveMethodNthCalledWith<K extends MethodName<T>>(
+      methodName: K,
+      nthCall: number,
+      ...args: ExpectedArguments<MethodOf<T, K>>
+    ): R;
+    toHaveMethodReturned(methodName: MethodName<T>): R;
+    toHaveMethodReturnedTimes(methodName: MethodName<T>, times: number): R;
+    toHaveMethodReturnedWith<K extends MethodName<T>>(
+      methodName: K,
+      expected: ExpectedReturnValue<MethodOf<T, K>>
+    ): R;
+    toHaveMethodLastReturnedWith<K extends MethodName<T>>(
+      methodName: K,
+      expected: ExpectedReturnValue<MethodOf<T, K>>
+    ): R;
+    toHaveMethodNthReturnedWith<K extends MethodName<T>>(
+      methodName: K,
+      nthCall: number,
+      expected: ExpectedReturnValue<MethodOf<T, K>>
+    ): R;
+  }
+}
+
+/**
+ * Register the matchers on an expect instance, such as the expect of `@jest/globals` or of Vitest
+ */
+export declare function extendExpect<E extends ExtendableExpect>(
+  customExpect: E,
+  options?: ConfigOptions
+): E;
+
+export declare const toHaveBeenCalled: MatcherFunction;
+export declare const toHaveBeenCalledTimes: MatcherFunction<[expected: number]>;
+export declare const toHaveBeenCalledWith: MatcherFunction<unknown[]>;
+export declare const toHaveBeenLastCalledWith: MatcherFunction<unknown[]>;
+export declare const toHaveBeenNthCalledWith: MatcherFunction<
+  [nthCallIndex: number, ...args: unknown[]]
+>;
+export declare const toReturn: MatcherFunction;
+export declare const toHaveReturned: MatcherFunction;
+export declare const toHaveReturnedTimes: MatcherFunction<[times: number]>;
+export declare const toHaveReturnedWith: MatcherFunction<[expected: unknown]>;
+export declare const toHaveLastReturnedWith: MatcherFunction<
+  [expected: unknown]
+>;
+export declare const toHaveNthReturnedWith: MatcherFunction<
+  [nthCall: number, expected: unknown]
+>;
+export declare const toHaveThrown: MatcherFunction;
+export declare const toHaveThrownTimes: MatcherFunction<[times: number]>;
+export declare const toHaveThrownWith: MatcherFunction<[expected: unknown]>;
+export declare const toHaveLastThrownWith: MatcherFunction<[expected: unknown]>;
+export declare const toHaveNthThrownWith: MatcherFunction<
+  [nthCall: number, expected: unknown]
+>;
+export declare const toHaveResolved: MatcherFunction;
+export declare const toHaveResolvedWith: MatcherFunction<[expected: unknown]>;
+export declare const toHaveLastResolvedWith: MatcherFunction<
+  [expected: unknown]
+>;
+export declare const toHaveNthResolvedWith: MatcherFunction<
+  [nthCall: number, expected: unknown]
+>;
+export declare const toHaveRejectedWith: MatcherFunction<[expected: unknown]>;
+export declare const toHaveBeenCalledOn: MatcherFunction<
+  [expected: unknown, options?: ReceiverMatchOptions]
+>;
+export declare const toHaveBeenLastCalledOn: MatcherFunction<
+  [expected: unknown, options?: ReceiverMatchOptions]
+>;
+export declare const toHaveBeenNthCalledOn: MatcherFunction<
+  [nthCall: number, expected: unknown, options?: ReceiverMatchOptions]
+>;
+export declare const toHaveBeenConstructed: MatcherFunction;
+export declare const toHaveBeenConstructedTimes: MatcherFunction<
+  [times: number]
+>;
+export declare const toHaveBeenConstructedWith: MatcherFunction<unknown[]>;
+export declare const toHaveBeenCalledWithoutNew: MatcherFunction;
+export declare const toHaveBeenCalledStrictlyWith: MatcherFunction<unknown[]>;
+export declare const toHaveReturnedStrictlyWith: MatcherFunction<
+  [expected: unknown]
+>;
+export declare const toHaveBeenCalledAtLeast: MatcherFunction<[min: number]>;
+export declare const toHaveBeenCalledAtMost: MatcherFunction<[max: number]>;
+export declare const toHaveBeenCalledBetween: MatcherFunction<
+  [min: number, max: number]
+>;
+export declare const toHaveReturnedAtLeast: MatcherFunction<[min: number]>;
+export declare const toHaveReturnedAtMost: MatcherFunction<[max: number]>;
+export declare const toHaveReturnedBetween: MatcherFunction<
+  [min: number, max: number]
+>;
+export declare const toHaveBeenCalledExactlyOnceWith: MatcherFunction<
+  unknown[]
+>;
+export declare const toHaveOnlyBeenCalledWith: MatcherFunction<unknown[]>;
+export declare const toHaveBeenCalledBefore: MatcherFunction<
+  [expected: Mock<any>, options?: CallOrderOptions]
+>;
+export declare const toHaveBeenCalledAfter: MatcherFunction<
+  [expected: Mock<any>, options?: CallOrderOptions]
+>;
+export declare const toHaveBeenCalledInSequence: MatcherFunction<
+  [expectedCalls: ReadonlyArray<unknown[]>, options?: CallSequenceOptions]
+>;
+export declare const toHaveBeenCalledWithMatching: MatcherFunction<
+  [predicate: CallPredicate<unknown>]
+>;
+export declare const toHaveOnlyBeenCalledWithMatching: MatcherFunction<
+  [predicate: CallPredicate<unknown>]
+>;
+export declare const toHaveBeenLastCalledWithMatching: MatcherFunction<
+  [predicate: CallPredicate<unknown>]
+>;
+export declare const toHaveBeenNthCalledWithMatching: MatcherFunction<
+  [nthCallIndex: number, predicate: CallPredicate<unknown>]
+>;
+export declare const toHaveNoUnverifiedCalls: MatcherFunction;
+export declare const toEventuallyHaveBeenCalled: MatcherFunction<
+  [options?: EventuallyOptions]
+>;
+export declare const toEventuallyHaveBeenCalledTimes: MatcherFunction<
+  [expected: number, options?: EventuallyOptions]
+>;
+export declare const toEventuallyHaveBeenCalledWith: MatcherFunction<unknown[]>;
+export declare const toEventuallyHaveReturned: MatcherFunction<
+  [options?: EventuallyOptions]
+>;
+export declare const toEventuallyHaveReturnedTimes: MatcherFunction<
+  [times: number, options?: EventuallyOptions]
+>;
+export declare const toEventuallyHaveReturnedWith: MatcherFunction<
+  [expected: unknown, options?: EventuallyOptions]
+>;
+export declare const toMatchCallSnapshot: MatcherFunction<
+  [options: CallSnapshotOptions]
+>;
+export declare const toMatchInlineCallSnapshot: MatcherFunction<
+  [snapshot?: string] | [options: InlineCallSnapshotOptions, snapshot?: string]
+>;
+export declare const toHaveBeenAccessed: MatcherFunction;
+export declare const toHaveBeenAccessedTimes: MatcherFunction<
+  [expected: number]
+>;
+export declare const toHaveBeenAssigned: MatcherFunction;
+export declare const toHaveBeenAssignedWith: MatcherFunction<
+  [expected: unknown]
+>;
+export declare const toHaveBeenLastAssignedWith: MatcherFunction<
+  [expected: unknown]
+>;
+export declare const toHaveBeenNthAssignedWith: MatcherFunction<
+  [nthWrite: number, expected: unknown]
+>;
+export declare const toBeMocked: MatcherFunction<[methodName: string | symbol]>;
+export declare const toHaveMethodCalled: MatcherFunction<
+  [methodName: string | symbol]
+>;
+export declare const toHaveMethodCalledTimes: MatcherFunction<
+  [methodName: string | symbol, expected: number]
+>;
+export declare const toHaveMethodCalledWith: MatcherFunction<
+  [methodName: string | symbol, ...args: unknown[]]
+>;
+export declare const toHaveMethodLastCalledWith: MatcherFunction<
+  [methodName: string | symbol, ...args: unknown[]]
+>;
+export declare const toHaveMethodNthCalledWith: MatcherFunction<
+  [methodName: string | symbol, nthCall: number, ...args: unknown[]]
+>;
+export declare const toHaveMethodReturned: MatcherFunction<
+  [methodName: string | symbol]
+>;
+export declare const toHaveMethodReturnedTimes: MatcherFunction<
+  [methodName: string | symbol, times: number]
+>;
+export declare const toHaveMethodReturnedWith: MatcherFunction<
+  [methodName: string | symbol, expected: unknown]
+>;
+export declare const toHaveMethodLastReturnedWith: MatcherFunction<
+  [methodName: string | symbol, expected: unknown]
+>;
+export declare const toHaveMethodNthReturnedWith: MatcherFunction<
+  [methodName: string | symbol, nthCall: number, expected: unknown]
+>;
+
+/**
+ * Wrap a mock function in a function which records the global order of its calls
+ */
+export declare function trackCallOrder<F extends MockableFunction>(
+  mockFn: Mock<F>
+): Mock<F>;
+/**
+ * Record the global order of the calls of a method spied on with `mock.method()`, installing the tracked spy in its place
+ */
+export declare function trackCallOrder<
+  T extends object,
+  K extends MethodName<T>,
+>(object: T, methodName: K): Mock<Extract<MethodOf<T, K>, MockableFunction>>;
+
+/**
+ * Create an argument captor, use it in place of an expected argument
+ */
+export declare function captor<T = unknown>(): Captor<T>;
+
+/**
+ * Mark the current position in the calls of a mock function
+ */
+export declare function checkpoint<F extends MockableFunction>(
+  mockFn: Mock<F>
+): MockCheckpoint<F>;
+
+/**
+ * View of the calls of a mock function made after a checkpoint, usable with every matcher
+ */
+export declare function since<F extends MockableFunction>(
+  from: MockCheckpoint<F>
+): Mock<F>;
+
+/**
+ * View of the calls of a mock function made between two checkpoints, usable with every matcher
+ */
+export declare function between<F extends MockableFunction>(
+  from: MockCheckpoint<F>,
+  to: MockCheckpoint<F>
+): Mock<F>;
+
+/**
+ * pretty-format plugin which prints node mock functions like Jest prints its mocks
+ */
+export declare const mockSerializer: Plugin;
+
+/**
+ * Merge options into the configuration of the matchers
+ */
+export declare function configure(options?: ConfigOptions): Config;
+
+/**
+ * Restore the default configuration of the matchers
+ */
+export declare function resetConfig(): Config;
+
+export type * from './types.mjs';
@@ -0,0 +1,318 @@
+import {
+  toHaveBeenAccessed,
+  toHaveBeenAccessedTimes,
+  toHaveBeenAssigned,
+  toHaveBeenAssignedWith,
+  toHaveBeenLastAssignedWith,
+  toHaveBeenNthAssignedWith,
+} from './accessorMatchers.mjs';
+import {
+  toHaveBeenCalledAfter,
+  toHaveBeenCalledBefore,
+  trackCallOrder,
+} from './callOrder.mjs';
+import {
+  toHaveBeenCalledWithMatching,
+  toHaveBeenLastCalledWithMatching,
+  toHaveBeenNthCalledWithMatching,
+  toHaveOnlyBeenCalledWithMatching,
+} from './callPredicate.mjs';
+import { toHaveBeenCalledInSequence } from './callSequence.mjs';
+import {
+  toMatchCallSnapshot,
+  toMatchInlineCallSnapshot,
+} from './callSnapshot.mjs';
+import { captor } from './captor.mjs';
+import { between, checkpoint, since } from './checkpoint.mjs';
+import {
+  configure,
+  ensureConfigOptions,
+  resetConfig,
+  withConfig,
+} from './config.mjs';
+import {
+  toEventuallyHaveBeenCalled,
+  toEventuallyHaveBeenCalledTimes,
+  toEventuallyHaveBeenCalledWith,
+  toEventuallyHaveReturned,
+  toEventuallyHaveReturnedTimes,
+  toEventuallyHaveReturnedWith,
+} from './eventually.mjs';
+
+import { withMatcherUtils } from './matcherUtils.mjs';
+import {
+  toHaveBeenCalled,
+  toHaveBeenCalledAtLeast,
+  toHaveBeenCalledAtMost,
+  toHaveBeenCalledBetween,
+  toHaveBeenCalledExactlyOnceWith,
+  toHaveBeenCalledOn,
+  toHaveBeenCalledStrictlyWith,
+  toHaveBeenCalledTimes,
+  toHaveBeenCalledWith,
+  toHaveBeenCalledWithoutNew,
+  toHaveBeenConstructed,
+  toHaveBeenConstructedTimes,
+  toHaveBeenConstructedWith,
+  toHaveBeenLastCalledOn,
+  toHaveBeenLastCalledWith,
+  toHaveBeenNthCalledOn,
+  toHaveBeenNthCalledWith,
+  toHaveLastResolvedWith,
+  toHaveLastReturnedWith,
+  toHaveLastThrownWith,
+  toHaveNthResolvedWith,
+  toHaveNthReturnedWith,
+  toHaveNthThrownWith,
+  toHaveOnlyBeenCalledWith,
+  toHaveRejectedWith,
+  toHaveResolved,
+  toHaveResolvedWith,
+  toHaveReturned,
+  toHaveReturnedAtLeast,
+  toHaveReturnedAtMost,
+  toHaveReturnedBetween,
+  toHaveReturnedStrictlyWith,
+  toHaveReturnedTimes,
+  toHaveReturnedWith,
+  toHaveThrown,
+  toHaveThrownTimes,
+  toHaveThrownWith,
+  toReturn,
+} from './mockMethodMatchers.mjs';
+import { mockEquality, mockSerializer } from './mockSerializer.mjs';
+import {
+  toBeMocked,
+  toHaveMethodCalled,
+  toHaveMethodCalledTimes,
+  toHaveMethodCalledWith,
+  toHaveMethodLastCalledWith,
+  toHaveMethodLastReturnedWith,
+  toHaveMethodNthCalledWith,
+  toHaveMethodNthReturnedWith,
+  toHaveMethodReturned,
+  toHaveMethodReturnedTimes,
+  toHaveMethodReturnedWith,
+} from './objectMatchers.mjs';
+import { toHaveNoUnverifiedCalls } from './verification.mjs';
+
+/**
+ * The matchers registered by extendExpect(), keyed by their name
+ */
+const matchers = {
+  toHaveBeenCalled,
+  toHaveBeenCalledTimes,
+  toHaveBeenCalledWith,
+  toHaveBeenLastCalledWith,
+  toHaveBeenNthCalledWith,
+  toReturn,
+  toHaveReturned,
+  toHaveReturnedTimes,
+  toHaveReturnedWith,
+  toHaveLastReturnedWith,
+  toHaveNthReturnedWith,
+  toHaveThrown,
+  toHaveThrownTimes,
+  toHaveThrownWith,
+  toHaveLastThrownWith,
+  toHaveNthThrownWith,
+  toHaveResolved,
+  toHaveResolvedWith,
+  toHaveLastResolvedWith,
+  toHaveNthResolvedWith,
+  toHaveRejectedWith,
+  toHaveBeenCalledOn,
+  toHaveBeenLastCalledOn,
+  toHaveBeenNthCalledOn,
+  toHaveBeenConstructed,
+  toHaveBeenConstructedTimes,
+  toHaveBeenConstructedWith,
+  toHaveBeenCalledWithoutNew,
+  toHaveBeenCalledStrictlyWith,
+  toHaveReturnedStrictlyWith,
+  toHaveBeenCalledAtLeast,
+  toHaveBeenCalledAtMost,
+  toHaveBeenCalledBetween,
+  toHaveReturnedAtLeast,
+  toHaveReturnedAtMost,
+  toHaveReturnedBetween,
+  toHaveBeenCalledExactlyOnceWith,
+  toHaveOnlyBeenCalledWith,
+  toHaveBeenCalledBefore,
+  toHaveBeenCalledAfter,
+  toHaveBeenCalledInSequence,
+  toHaveBeenCalledWithMatching,
+  toHaveOnlyBeenCalledWithMatching,
+  toHaveBeenLastCalledWithMatching,
+  toHaveBeenNthCalledWithMatching,
+  toHaveNoUnverifiedCalls,
+  toEventuallyHaveBeenCalled,
+  toEventuallyHaveBeenCalledTimes,
+  toEventuallyHaveBeenCalledWith,
+  toEventuallyHaveReturned,
+  toEventuallyHaveReturnedTimes,
+  toEventuallyHaveReturnedWith,
+  toMatchCallSnapshot,
+  toMatchInlineCallSnapshot,
+  toHaveBeenAccessed,
+  toHaveBeenAccessedTimes,
+  toHaveBeenAssigned,
+  toHaveBeenAssignedWith,
+  toHaveBeenLastAssignedWith,
+  toHaveBeenNthAssignedWith,
+  toBeMocked,
+  toHaveMethodCalled,
+  toHaveMethodCalledTimes,
+  toHaveMethodCalledWith,
+  toHaveMethodLastCalledWith,
+  toHaveMethodNthCalledWith,
+  toHaveMethodReturned,
+  toHaveMethodReturnedTimes,
+  toHaveMethodReturnedWith,
+  toHaveMethodLastReturnedWith,
+  toHaveMethodNthReturnedWith,
+};
+
+/**
+ * Wrap a matcher, so that it prints its messages with the `utils` of the expect instance running it,
+ * and reads the options of the instance in place of the module-level configuration
+ * @param {Function} matcher - The matcher
+ * @param {Object} options - The checked options of the instance, see configure()
+ * @returns {Function} - The wrapped matcher
+ */
+function bindMatcherUtils(matcher, options) {
+  const bindMessage = (utils, result) => ({
+    ...result,
+    message: () =>
+      withConfig(options, () => withMatcherUtils(utils, result.message)),
+  });
+
+  return {
+    [matcher.name](...args) {
+      const utils = this?.utils;
+      const result = withConfig(options, () =>
+        withMatcherUtils(utils, () => matcher.apply(this, args))
+      );
+
+      return result instanceof Promise
+        ? result.then(settled => bindMessage(utils, settled))
+        : bindMessage(utils, result);
+    },
+  }[matcher.name];
+}
+
+/**
+ * Register the matchers on an expect instance, such as a second copy of expect,
+ * the expect of `@jest/globals` or of Vitest. The matchers compare values with
+ * `this.equals` and print with `this.utils` of the instance running them.
+ * @param {Function} customExpect - The expect instance
+ * @param {Object} [options={}] - Configuration of the matchers on this instance, merged into the one set with configure()
+ * @returns {Function} - The expect instance
+ * @throws {TypeError} - Throws if the instance has no extend() method or an option has an unsupported value
+ */
+function extendExpect(customExpect, options = {}) {
+  if (typeof customExpect?.extend !== 'function') {
+    throw new TypeError(
+      `extendExpect() expects an expect instance with an extend() method, received '${customExpect}'`
+    );
+  }
+
+  const instanceOptions = Object.freeze({ ...ensureConfigOptions(options) });
+
+  // Equality testers were added in expect 29.4, snapshot serializers come with Jest
+  customExpect.addEqualityTesters?.([mockEquality]);
+  customExpect.addSnapshotSerializer?.(mockSerializer);
+  customExpect.extend(
+    Object.fromEntries(
+      Object.entries(matchers).map(([name, matcher]) => [
+        name,
+        bindMatcherUtils(matcher, instanceOptions),
+      ])
+    )
+  );
+
+  return customExpect;
+}
+
+export {
+  extendExpect,
+  toHaveBeenCalled,
+  toHaveBeenCalledTimes,
+  toHaveBeenCalledWith,
+  toHaveBeenLastCalledWith,
+  toHaveBeenNthCalledWith,
+  toReturn,
+  toHaveReturned,
+  toHaveReturnedTimes,
+  toHaveReturnedWith,
+  toHaveLastReturnedWith,
+  toHaveNthReturnedWith,
+  toHaveThrown,
+  toHaveThrownTimes,
+  toHaveThrownWith,
+  toHaveLastThrownWith,
+  toHaveNthThrownWith,
+  toHaveResolved,
+  toHaveResolvedWith,
+  toHaveLastResolvedWith,
+  toHaveNthResolvedWith,
+  toHaveRejectedWith,
+  toHaveBeenCalledOn,
+  toHaveBeenLastCalledOn,
+  toHaveBeenNthCalledOn,
+  toHaveBeenConstructed,
+  toHaveBeenConstructedTimes,
+  toHaveBeenConstructedWith,
+  toHaveBeenCalledWithoutNew,
+  toHaveBeenCalledStrictlyWith,
+  toHaveReturnedStrictlyWith,
+  toHaveBeenCalledAtLeast,
+  toHaveBeenCalledAtMost,
+  toHaveBeenCalledBetween,
+  toHaveReturnedAtLeast,
+  toHaveReturnedAtMost,
+  toHaveReturnedBetween,
+  toHaveBeenCalledExactlyOnceWith,
+  toHaveOnlyBeenCalledWith,
+  toHaveBeenCalledBefore,
+  toHaveBeenCalledAfter,
+  toHaveBeenCalledInSequence,
+  toHaveBeenCalledWithMatching,
+  toHaveOnlyBeenCalledWithMatching,
+  toHaveBeenLastCalledWithMatching,
+  toHaveBeenNthCalledWithMatching,
+  toHaveNoUnverifiedCalls,
+  toEventuallyHaveBeenCalled,
+  toEventuallyHaveBeenCalledTimes,
+  toEventuallyHaveBeenCalledWith,
+  toEventuallyHaveReturned,
+  toEventuallyHaveReturnedTimes,
+  toEventuallyHaveReturnedWith,
+  toMatchCallSnapshot,
+  toMatchInlineCallSnapshot,
+  toHaveBeenAccessed,
+  toHaveBeenAccessedTimes,
+  toHaveBeenAssigned,
+  toHaveBeenAssignedWith,
+  toHaveBeenLastAssignedWith,
+  toHaveBeenNthAssignedWith,
+  toBeMocked,
+  toHaveMethodCalled,
+  toHaveMethodCalledTimes,
+  toHaveMethodCalledWith,
+  toHaveMethodLastCalledWith,
+  toHaveMethodNthCalledWith,
+  toHaveMethodReturned,
+  toHaveMethodReturnedTimes,
+  toHaveMethodReturnedWith,
+  toHaveMethodLastReturnedWith,
+  toHaveMethodNthReturnedWith,
+  trackCallOrder,
+  captor,
+  checkpoint,
+  since,
+  between,
+  mockSerializer,
+  configure,
+  resetConfig,
+};
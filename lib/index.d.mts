@@ -0,0 +1,3 @@
+export { expect } from 'expect';
+
+export * from './extend.mjs';
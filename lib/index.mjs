@@ -1,44 +1,8 @@
 import { expect } from 'expect';
 
-import {
-  toHaveBeenCalled,
-  toHaveBeenCalledTimes,
-  toHaveBeenCalledWith,
-  toHaveBeenLastCalledWith,
-  toHaveBeenNthCalledWith,
-  toHaveLastReturnedWith,
-  toHaveNthReturnedWith,
-  toHaveReturned,
-  toHaveReturnedTimes,
-  toHaveReturnedWith,
-  toReturn,
-} from './mockMethodMatchers.mjs';
+import { extendExpect } from './extend.mjs';
 
-expect.extend({
-  toHaveBeenCalled,
-  toHaveBeenCalledTimes,
-  toHaveBeenCalledWith,
-  toHaveBeenLastCalledWith,
-  toHaveBeenNthCalledWith,
-  toReturn,
-  toHaveReturned,
-  toHaveReturnedTimes,
-  toHaveReturnedWith,
-  toHaveLastReturnedWith,
-  toHaveNthReturnedWith,
-});
+extendExpect(expect);
 
-export {
-  expect,
-  toHaveBeenCalled,
-  toHaveBeenCalledTimes,
-  toHaveBeenCalledWith,
-  toHaveBeenLastCalledWith,
-  toHaveBeenNthCalledWith,
-  toReturn,
-  toHaveReturned,
-  toHaveReturnedTimes,
-  toHaveReturnedWith,
-  toHaveLastReturnedWith,
-  toHaveNthReturnedWith,
-};
+export { expect };
+export * from './extend.mjs';
@@ -0,0 +1,314 @@
+import { createRequire } from 'node:module';
+import { format, plugins } from 'pretty-format';
+
+import { isNodeMock, mockSerializer } from './mockSerializer.mjs';
+
+const require = createRequire(import.meta.url);
+
+/**
+ * Helper function to load an optional peer dependency
+ * @param {string} id - The package name
+ * @returns {Object|null} - The package, null when it is not installed
+ */
+function requireOptional(id) {
+  try {
+    return require(id);
+  } catch (error) {
+    if (
+      error.code === 'MODULE_NOT_FOUND' &&
+      error.message.includes(`'${id}'`)
+    ) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Leaves text uncolored, in place of the chalk colors of jest-matcher-utils
+ * @param {any} text - The text to print
+ * @returns {string} - The text
+ */
+const plain = text => String(text);
+
+/**
+ * Helper function to get the type printed by printWithType
+ * @param {any} value - The value
+ * @returns {string} - The type of the value
+ */
+function getType(value) {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  if (value instanceof RegExp) {
+    return 'regexp';
+  }
+  if (value instanceof Date) {
+    return 'date';
+  }
+  if (value instanceof Map) {
+    return 'map';
+  }
+  if (value instanceof Set) {
+    return 'set';
+  }
+  return typeof value;
+}
+
+/**
+ * Uncolored implementation of the helpers of jest-matcher-utils used by the matchers,
+ * so that the matchers work without expect, jest-matcher-utils and chalk
+ */
+const plainMatcherUtils = {
+  EXPECTED_COLOR: plain,
+  RECEIVED_COLOR: plain,
+  INVERTED_COLOR: plain,
+  BOLD_WEIGHT: plain,
+  DIM_COLOR: plain,
+
+  stringify(object, maxDepth = 10, maxWidth = 10) {
+    return format(object, {
+      maxDepth,
+      maxWidth,
+      min: true,
+      plugins: [mockSerializer, plugins.AsymmetricMatcher],
+    });
+  },
+
+  printExpected(value) {
+    return plainMatcherUtils.stringify(value);
+  },
+
+  printReceived(object) {
+    return plainMatcherUtils.stringify(object);
+  },
+
+  printWithType(name, value, print) {
+    const type = getType(value);
+    const hasType =
+      type !== 'null' && type !== 'undefined'
+        ? `${name} has type:  ${type}\n`
+        : '';
+
+    return `${hasType}${name} has value: ${print(value)}`;
+  },
+
+  printDiffOrStringify(expected, received, expectedLabel, receivedLabel) {
+    const { stringify } = plainMatcherUtils;
+    const width = Math.max(expectedLabel.length, receivedLabel.length);
+    const printLabel = label => `${label}: ${' '.repeat(width - label.length)}`;
+
+    return `${printLabel(expectedLabel)}${stringify(expected)}\n${printLabel(receivedLabel)}${
+      stringify(expected) === stringify(received)
+        ? 'serializes to the same string'
+        : stringify(received)
+    }`;
+  },
+
+  matcherErrorMessage(hint, generic, specific) {
+    return `${hint}\n\nMatcher error: ${generic}${typeof specific === 'string' ? `\n\n${specific}` : ''}`;
+  },
+
+  matcherHint(
+    matcherName,
+    received = 'received',
+    expected = 'expected',
+    options = {}
+  ) {
+    const {
+      comment = '',
+      isDirectExpectCall = false,
+      isNot = false,
+      promise = '',
+      secondArgument = '',
+    } = options;
+    const receivedText =
+      isDirectExpectCall || received === '' ? 'expect' : `expect(${received})`;
+    const expectedText =
+      expected === ''
+        ? ''
+        : `${expected}${secondArgument ? `, ${secondArgument}` : ''}`;
+
+    return (
+      `${receivedText}${promise ? `.${promise}` : ''}${isNot ? '.not' : ''}` +
+      `${matcherName.includes('.') ? '' : '.'}${matcherName}(${expectedText})${comment ? ` // ${comment}` : ''}`
+    );
+  },
+};
+
+/**
+ * Helpers used outside of a matcher context providing its own, see withMatcherUtils()
+ */
+const defaultMatcherUtils =
+  requireOptional('jest-matcher-utils') ?? plainMatcherUtils;
+
+/**
+ * The `utils` of the matcher context in progress, null outside of withMatcherUtils()
+ * @type {Object|null}
+ */
+let contextMatcherUtils = null;
+
+/**
+ * Run a function with the helpers of a matcher context, so that the messages
+ * printed by the matchers look like those of the expect instance running them.
+ * Helpers the context does not provide fall back to the default ones.
+ * @param {Object} [utils] - The matcher utils (`this.utils` of a matcher)
+ * @param {Function} run - The function to run
+ * @returns {any} - The result of the function
+ */
+function withMatcherUtils(utils, run) {
+  const enclosingMatcherUtils = contextMatcherUtils;
+
+  contextMatcherUtils = utils ?? enclosingMatcherUtils;
+
+  try {
+    return run();
+  } finally {
+    contextMatcherUtils = enclosingMatcherUtils;
+  }
+}
+
+/**
+ * Run a function with the helpers of the matcher context in progress, except that
+ * matcherHint() prints nothing, so that a matcher can reuse the message of another one
+ * @param {Function} run - The function to run
+ * @returns {any} - The result of the function
+ */
+function withoutMatcherHint(run) {
+  return withMatcherUtils(
+    { ...contextMatcherUtils, matcherHint: () => '' },
+    run
+  );
+}
+
+/**
+ * Create a helper which calls the one of the matcher context in progress, or the default one
+ * @param {string} name - The name of the helper
+ * @returns {Function} - The helper
+ */
+function useMatcherUtil(name) {
+  return (...args) =>
+    typeof contextMatcherUtils?.[name] === 'function'
+      ? contextMatcherUtils[name](...args)
+      : defaultMatcherUtils[name](...args);
+}
+
+/**
+ * Helper function to check if a value holds a node mock function, which the
+ * printers of jest-matcher-utils print as a plain function
+ * @param {any} value - The value to check
+ * @param {number} [depth=10] - How deep to look, like the default maxDepth of the printers
+ * @param {Set<Object>} [seen=new Set()] - The objects already checked
+ * @returns {boolean} - Whether the value is or holds a node mock function
+ */
+function containsNodeMock(value, depth = 10, seen = new Set()) {
+  if (isNodeMock(value)) {
+    return true;
+  }
+  if (
+    value === null ||
+    typeof value !== 'object' ||
+    ArrayBuffer.isView(value) ||
+    depth === 0 ||
+    seen.has(value)
+  ) {
+    return false;
+  }
+
+  seen.add(value);
+
+  const values =
+    value instanceof Map
+      ? [...value.keys(), ...value.values()]
+      : value instanceof Set
+        ? [...value]
+        : Object.values(value);
+
+  return values.some(item => containsNodeMock(item, depth - 1, seen));
+}
+
+/**
+ * Create a printer which prints values holding node mock functions with the
+ * mock serializer, and other values with the helper of the matcher context
+ * @param {string} name - The name of the helper
+ * @param {Function} color - Colors the printed value
+ * @returns {Function} - The printer
+ */
+function usePrinter(name, color) {
+  const print = useMatcherUtil(name);
+
+  return (value, ...args) =>
+    containsNodeMock(value)
+      ? color(plainMatcherUtils.stringify(value, ...args))
+      : print(value, ...args);
+}
+
+const BOLD_WEIGHT = useMatcherUtil('BOLD_WEIGHT');
+const DIM_COLOR = useMatcherUtil('DIM_COLOR');
+const EXPECTED_COLOR = useMatcherUtil('EXPECTED_COLOR');
+const INVERTED_COLOR = useMatcherUtil('INVERTED_COLOR');
+const RECEIVED_COLOR = useMatcherUtil('RECEIVED_COLOR');
+const matcherErrorMessage = useMatcherUtil('matcherErrorMessage');
+const matcherHint = useMatcherUtil('matcherHint');
+const printContextDiffOrStringify = useMatcherUtil('printDiffOrStringify');
+const printExpected = usePrinter('printExpected', EXPECTED_COLOR);
+const printReceived = usePrinter('printReceived', RECEIVED_COLOR);
+const printWithType = useMatcherUtil('printWithType');
+const stringify = usePrinter('stringify', plain);
+
+/**
+ * Print the difference of two values with the helper of the matcher context,
+ * or both values one below the other when one of them holds a node mock function
+ * @param {any} expected - The expected value
+ * @param {any} received - The received value
+ * @param {string} expectedLabel - The label of the expected value
+ * @param {string} receivedLabel - The label of the received value
+ * @param {boolean} [expand] - Print the whole values in the difference
+ * @returns {string} - The difference or the values
+ */
+function printDiffOrStringify(
+  expected,
+  received,
+  expectedLabel,
+  receivedLabel,
+  expand
+) {
+  if (!containsNodeMock(expected) && !containsNodeMock(received)) {
+    return printContextDiffOrStringify(
+      expected,
+      received,
+      expectedLabel,
+      receivedLabel,
+      expand
+    );
+  }
+
+  const width = Math.max(expectedLabel.length, receivedLabel.length);
+  const printLabel = label => `${label}: ${' '.repeat(width - label.length)}`;
+
+  return (
+    `${printLabel(expectedLabel)}${printExpected(expected)}\n` +
+    `${printLabel(receivedLabel)}${printReceived(received)}`
+  );
+}
+
+export {
+  BOLD_WEIGHT,
+  DIM_COLOR,
+  EXPECTED_COLOR,
+  INVERTED_COLOR,
+  RECEIVED_COLOR,
+  matcherErrorMessage,
+  matcherHint,
+  plainMatcherUtils,
+  printDiffOrStringify,
+  printExpected,
+  printReceived,
+  printWithType,
+  stringify,
+  withMatcherUtils,
+  withoutMatcherHint,
+};
@@ -1,37 +1,43 @@
-import chalk from 'chalk';
-import { expect } from 'expect';
+import {
+  argumentsMatch,
+  createEquality,
+  formatEquality,
+  isStrictEquality,
+} from './equality.mjs';
 import {
   matcherErrorMessage,
   matcherHint,
   printExpected,
   printReceived,
-} from 'jest-matcher-utils';
-
-export const EXPECTED_COLOR = chalk.green;
-export const RECEIVED_COLOR = chalk.red;
-export const INVERTED_COLOR = chalk.inverse;
-export const BOLD_WEIGHT = chalk.bold;
-export const DIM_COLOR = chalk.dim;
-
-/**
- * Helper function to check if arguments match using deep equality
- * @param {Array} callArgs - The arguments from the actual call
- * @param {Array} expectedArgs - The expected arguments
- * @returns {boolean} - Whether the arguments match
- */
-function argumentsMatch(callArgs, expectedArgs) {
-  if (callArgs.length !== expectedArgs.length) {
-    return false;
-  }
-  return expectedArgs.every((arg, index) => {
-    try {
-      expect(callArgs[index]).toEqual(arg);
-      return true;
-    } catch (_) {
-      return false;
-    }
-  });
-}
+  printWithType,
+} from './matcherUtils.mjs';
+import {
+  formatArgs,
+  formatArgumentsDiff,
+  formatCallArgs,
+  formatCallSite,
+  formatClosestCallDiff,
+  formatReceivedCalls,
+} from './printCalls.mjs';
+import {
+  EXPECTED_COLOR,
+  RECEIVED_COLOR,
+  ensureReceivedIsNodeMock,
+  matcherFactory,
+} from './utils.mjs';
+import { markVerified } from './verification.mjs';
+
+export {
+  BOLD_WEIGHT,
+  DIM_COLOR,
+  EXPECTED_COLOR,
+  INVERTED_COLOR,
+  RECEIVED_COLOR,
+} from './utils.mjs';
+
+// Captured on load so that settling promise results keeps working when
+// the test enables `mock.timers` for setImmediate
+const realSetImmediate = globalThis.setImmediate;
 
 /**
  * Helper function to format expected arguments message
@@ -39,59 +45,253 @@ function argumentsMatch(callArgs, expectedArgs) {
  * @returns {string} - Formatted message
  */
 function formatExpectedArgs(args) {
-  return args.length === 0
-    ? 'called with 0 arguments'
-    : args.map(arg => printExpected(arg)).join(', ');
+  return formatArgs(args, printExpected);
 }
 
 /**
- * Function to ensure that the received value is a mock function
- * @param {Function} received - The value to check if it's a mock function
- * @param {string} matcherName - The name of the matcher being used
- * @param {Object} [options={}] - Optional configuration for error messages
- * @returns {boolean} - Returns true if validation passes
- * @throws {TypeError} - Throws if received is not a function or not a mock function
+ * Helper function to check if a thrown error matches the expected value
+ * @param {any} error - The error thrown by the call
+ * @param {Function|string|RegExp|Object} expected - Error class, message substring, message pattern, asymmetric matcher or error object
+ * @param {Function} isEqual - Equality used for asymmetric matchers and other values
+ * @returns {boolean} - Whether the error matches
  */
-function ensureReceivedIsNodeMock(received, matcherName, options = {}) {
-  if (typeof received !== 'function') {
-    throw new TypeError(
-      matcherErrorMessage(
-        matcherHint(matcherName, typeof received, 'function', options),
-        `${RECEIVED_COLOR('received')} value must be a function`
-      )
-    );
+function errorMatches(error, expected, isEqual) {
+  if (typeof expected === 'function') {
+    return error instanceof expected;
   }
 
-  if (typeof received.mock !== 'object') {
-    throw new TypeError(
-      matcherErrorMessage(
-        matcherHint(matcherName, 'mock.fn()', '', options),
-        `${RECEIVED_COLOR('received')} value must be a node mock function`
-      )
+  const message =
+    error !== null && typeof error === 'object' ? error.message : error;
+
+  if (typeof expected === 'string') {
+    return typeof message === 'string' && message.includes(expected);
+  }
+
+  if (expected instanceof RegExp) {
+    return typeof message === 'string' && expected.test(message);
+  }
+
+  if (expected instanceof Error) {
+    return error instanceof Error && message === expected.message;
+  }
+
+  return isEqual(error, expected);
+}
+
+/**
+ * Helper function to format the expected error description
+ * @param {Function|string|RegExp|Object} expected - The expected error
+ * @returns {string} - Formatted message
+ */
+function formatExpectedError(expected) {
+  if (typeof expected === 'function') {
+    return `constructor ${EXPECTED_COLOR(expected.name || 'anonymous')}`;
+  }
+  if (typeof expected === 'string') {
+    return `substring ${printExpected(expected)}`;
+  }
+  if (expected instanceof RegExp) {
+    return `pattern ${printExpected(expected)}`;
+  }
+  if (expected instanceof Error) {
+    return `message ${printExpected(expected.message)}`;
+  }
+  return printExpected(expected);
+}
+
+/**
+ * Helper function to format the outcome of a single call
+ * @param {Object} call - The recorded call of a node mock function
+ * @returns {string} - Formatted message
+ */
+function formatCallResult(call) {
+  if (call.error !== undefined) {
+    return `threw ${printReceived(call.error)}`;
+  }
+  return isConstructCall(call)
+    ? `constructed ${printReceived(call.result)}`
+    : `returned ${printReceived(call.result)}`;
+}
+
+/**
+ * Helper function to format the outcome of every call, thrown errors next to returned values
+ * @param {Array} calls - The recorded calls (or settled outcomes) of a node mock function
+ * @param {Function} [formatResult=formatCallResult] - Formatter of a single entry
+ * @returns {string} - Formatted message
+ */
+function formatCallResults(calls, formatResult = formatCallResult) {
+  if (calls.length === 0) {
+    return 'But the function was not called';
+  }
+  return `Received\n${calls
+    .map(
+      (call, index) =>
+        `\t${index}: ${formatResult(call)}${formatCallSite(call)}`
+    )
+    .join('\n')}`;
+}
+
+/**
+ * Helper function to check if a call was made with the `new` operator
+ * @param {Object} call - The recorded call of a node mock function
+ * @returns {boolean} - Whether the call was a construct call
+ */
+function isConstructCall(call) {
+  return call.target !== undefined;
+}
+
+/**
+ * Helper function to format a call together with the way it was made
+ * @param {Object} call - The recorded call of a node mock function
+ * @returns {string} - Formatted message
+ */
+function formatCallKind(call) {
+  return `${isConstructCall(call) ? 'new' : 'without new'}: ${formatArgs(call.arguments)}`;
+}
+
+/**
+ * Helper function to format every call together with the way it was made
+ * @param {Array} calls - The recorded calls of a node mock function
+ * @returns {string} - Formatted message
+ */
+function formatCallKinds(calls) {
+  if (calls.length === 0) {
+    return 'But the function was not called';
+  }
+  return `Received\n${calls
+    .map(
+      (call, index) =>
+        `\t${index}: ${formatCallKind(call)}${formatCallSite(call)}`
+    )
+    .join('\n')}`;
+}
+
+/**
+ * Helper function to check if the `this` receiver of a call matches the expected receiver
+ * @param {any} receiver - The receiver of the call
+ * @param {any} expected - The expected receiver
+ * @param {'identity'|'deep'} equality - Compare by identity or with deep equality
+ * @param {Function} isEqual - Equality used for the deep comparison
+ * @returns {boolean} - Whether the receiver matches
+ */
+function receiverMatches(receiver, expected, equality, isEqual) {
+  if (equality === 'deep') {
+    return isEqual(receiver, expected);
+  }
+  if (
+    expected !== null &&
+    typeof expected === 'object' &&
+    typeof expected.asymmetricMatch === 'function'
+  ) {
+    return expected.asymmetricMatch(receiver);
+  }
+  return Object.is(receiver, expected);
+}
+
+/**
+ * Helper function to format the expected receiver message
+ * @param {any} expected - The expected receiver
+ * @param {'identity'|'deep'} equality - Compare by identity or with deep equality
+ * @returns {string} - Formatted message
+ */
+function formatExpectedReceiver(expected, equality) {
+  return `${printExpected(expected)} (${equality === 'deep' ? 'deep equality' : 'identity'})`;
+}
+
+/**
+ * Helper function to format the receiver of a call next to its arguments
+ * @param {Object} call - The recorded call of a node mock function
+ * @returns {string} - Formatted message
+ */
+function formatCallReceiver(call) {
+  return `this: ${printReceived(call.this)}, arguments: ${formatArgs(call.arguments)}`;
+}
+
+/**
+ * Helper function to check if a value is a promise or other thenable
+ * @param {any} value - The value to check
+ * @returns {boolean} - Whether the value is thenable
+ */
+function isPromiseLike(value) {
+  return (
+    value !== null &&
+    (typeof value === 'object' || typeof value === 'function') &&
+    typeof value.then === 'function'
+  );
+}
+
+/**
+ * Helper function to settle the promise results of every call.
+ * Promises which are still not settled after the pending microtasks and
+ * one macrotask are reported with the `pending` status.
+ * @param {Array} calls - The recorded calls of a node mock function
+ * @returns {Promise<Array>} - Outcomes with status (`fulfilled`, `rejected`, `pending`, `returned` or `threw`), value and the stack of the call
+ */
+async function settleCallResults(calls) {
+  const outcomes = calls.map(call => {
+    const { stack } = call;
+
+    if (call.error !== undefined) {
+      return { status: 'threw', value: call.error, stack };
+    }
+    if (!isPromiseLike(call.result)) {
+      return { status: 'returned', value: call.result, stack };
+    }
+
+    const outcome = { status: 'pending', value: undefined, stack };
+    Promise.resolve(call.result).then(
+      value => {
+        outcome.status = 'fulfilled';
+        outcome.value = value;
+      },
+      reason => {
+        outcome.status = 'rejected';
+        outcome.value = reason;
+      }
     );
+    return outcome;
+  });
+
+  if (outcomes.some(outcome => outcome.status === 'pending')) {
+    await new Promise(resolve => realSetImmediate(resolve));
   }
 
-  return true;
+  return outcomes;
 }
 
 /**
- * Factory function to create a matcher object
- * @param {string} matcherName - The name of the matcher
- * @param {Object} [options={}] - Optional configuration
- * @param {boolean} [options.isNot] - Whether this is a negated matcher
- * @param {boolean} [options.promise] - Whether this is a promise matcher
- * @returns {Object} - An object containing matcherName, options, and receivedText
+ * Helper function to format a settled outcome of a single call
+ * @param {Object} outcome - The outcome created by settleCallResults
+ * @returns {string} - Formatted message
  */
-function matcherFactory(matcherName, { isNot, promise } = {}) {
-  return {
-    matcherName,
-    options: {
-      comment: `${matcherName} of Node.js mock.fn()`,
-      isNot,
-      promise,
-    },
-    receivedText: 'mock.fn()',
-  };
+function formatSettledResult({ status, value }) {
+  switch (status) {
+    case 'fulfilled':
+      return `resolved ${printReceived(value)}`;
+    case 'rejected':
+      return `rejected ${printReceived(value)}`;
+    case 'pending':
+      return 'pending (the promise has not settled yet)';
+    case 'threw':
+      return `threw ${printReceived(value)}`;
+    default:
+      return `returned ${printReceived(value)} (not a promise)`;
+  }
+}
+
+/**
+ * Helper function to format a note about calls whose promise is still pending
+ * @param {Array} outcomes - The outcomes created by settleCallResults
+ * @returns {string} - Formatted message, empty when no call is pending
+ */
+function formatPendingNote(outcomes) {
+  const pendingCount = outcomes.filter(
+    outcome => outcome.status === 'pending'
+  ).length;
+
+  return pendingCount === 0
+    ? ''
+    : `\n\n${RECEIVED_COLOR(pendingCount)} call(s) returned a promise that is still pending`;
 }
 
 /**
@@ -104,7 +304,8 @@ function matcherFactory(matcherName, { isNot, promise } = {}) {
 function toHaveBeenCalled(receivedMethod, ...args) {
   const { matcherName, options, receivedText } = matcherFactory(
     'toHaveBeenCalled',
-    this
+    this,
+    receivedMethod
   );
 
   ensureReceivedIsNodeMock(receivedMethod, matcherName, options);
@@ -142,7 +343,8 @@ function toHaveBeenCalled(receivedMethod, ...args) {
 function toHaveBeenCalledTimes(receivedMethod, expected) {
   const { matcherName, options, receivedText } = matcherFactory(
     'toHaveBeenCalledTimes',
-    this
+    this,
+    receivedMethod
   );
 
   if (ensureReceivedIsNodeMock(receivedMethod, matcherName, options)) {
@@ -171,47 +373,96 @@ function toHaveBeenCalledTimes(receivedMethod, expected) {
 }
 
 /**
- * Matcher to verify that a mock function was called with specific arguments at least once
+ * Shared implementation of toHaveBeenCalledWith and toHaveBeenCalledStrictlyWith
+ * @param {string} name - The name of the matcher
+ * @param {boolean} strict - Compare with toStrictEqual instead of toEqual
  * @param {Function} receivedMethod - The mock function to check
- * @param {...any} args - The expected arguments
+ * @param {Array} args - The expected arguments
  * @returns {Object} - An object with pass and message properties
- * @see https://jestjs.io/docs/expect#tohavebeencalledwitharg1-arg2-
  */
-function toHaveBeenCalledWith(receivedMethod, ...args) {
+function calledWith(name, strict, receivedMethod, args) {
   const { matcherName, options, receivedText } = matcherFactory(
-    'toHaveBeenCalledWith',
-    this
+    name,
+    this,
+    receivedMethod
   );
 
   ensureReceivedIsNodeMock(receivedMethod, matcherName, options);
 
   const calls = receivedMethod.mock.calls;
-  const pass = calls.some(call => argumentsMatch(call.arguments, args));
-
-  const expectedMsg = `Expected: ${pass ? 'not ' : ''}${formatExpectedArgs(args)}`;
+  const isEqual = createEquality(this, strict);
+  const matches = call =>
+    argumentsMatch(call.arguments, args, isEqual, { capture: false });
+  const firstIndex = calls.findIndex(call =>
+    argumentsMatch(call.arguments, args, isEqual)
+  );
+  const pass = firstIndex !== -1;
 
-  let receivedMsg = '';
-  if (calls.length === 0) {
-    receivedMsg = 'But the function was not called';
-  } else {
-    receivedMsg = `\n\nReceived\n${calls
-      .map((call, index) => {
-        const callArgs = call.arguments;
-        return callArgs.length === 0
-          ? `\t${index}: called with 0 arguments`
-          : `\t${index}: ${callArgs.map(arg => printReceived(arg)).join(', ')}`;
-      })
-      .join('\n')}`;
+  if (pass) {
+    markVerified([
+      calls[firstIndex],
+      ...calls.slice(firstIndex + 1).filter(matches),
+    ]);
   }
 
+  const formatReceived = () => {
+    if (calls.length === 0) {
+      return '\nBut the function was not called';
+    }
+    if (pass) {
+      const indexes = calls
+        .map((_, index) => index)
+        .filter(index => matches(calls[index]));
+
+      return `\n\n${formatReceivedCalls(calls, args, isEqual, { indexes })}`;
+    }
+    return `\n\n${formatReceivedCalls(calls, args, isEqual)}${formatClosestCallDiff(calls, args, isEqual)}`;
+  };
+
   return {
     pass,
     message: () =>
       `\n${matcherHint(matcherName, receivedText, '...expected', options)}\n\n` +
-      `${expectedMsg}${receivedMsg}\n\nNumber of calls: ${RECEIVED_COLOR(calls.length)}\n`,
+      `Expected: ${pass ? 'not ' : ''}${formatExpectedArgs(args)}${formatReceived()}\n\n` +
+      `${formatEquality(strict)}\n` +
+      `Number of calls: ${RECEIVED_COLOR(calls.length)}\n`,
   };
 }
 
+/**
+ * Matcher to verify that a mock function was called with specific arguments at least once
+ * @param {Function} receivedMethod - The mock function to check
+ * @param {...any} args - The expected arguments
+ * @returns {Object} - An object with pass and message properties
+ * @see https://jestjs.io/docs/expect#tohavebeencalledwitharg1-arg2-
+ */
+function toHaveBeenCalledWith(receivedMethod, ...args) {
+  return calledWith.call(
+    this,
+    'toHaveBeenCalledWith',
+    isStrictEquality(),
+    receivedMethod,
+    args
+  );
+}
+
+/**
+ * Matcher to verify that a mock function was called with specific arguments at least once,
+ * comparing the arguments with toStrictEqual regardless of the configured equality
+ * @param {Function} receivedMethod - The mock function to check
+ * @param {...any} args - The expected arguments
+ * @returns {Object} - An object with pass and message properties
+ */
+function toHaveBeenCalledStrictlyWith(receivedMethod, ...args) {
+  return calledWith.call(
+    this,
+    'toHaveBeenCalledStrictlyWith',
+    true,
+    receivedMethod,
+    args
+  );
+}
+
 /**
  * Matcher to verify that a mock function was last called with specific arguments
  * @param {Function} receivedMethod - The mock function to check
@@ -222,7 +473,8 @@ function toHaveBeenCalledWith(receivedMethod, ...args) {
 function toHaveBeenLastCalledWith(receivedMethod, ...args) {
   const { matcherName, options, receivedText } = matcherFactory(
     'toHaveBeenLastCalledWith',
-    this
+    this,
+    receivedMethod
   );
 
   ensureReceivedIsNodeMock(receivedMethod, matcherName, options);
@@ -241,17 +493,22 @@ function toHaveBeenLastCalledWith(receivedMethod, ...args) {
   }
 
   const lastCall = calls[callsCount - 1];
-  const pass = argumentsMatch(lastCall.arguments, args);
-  const receivedArgs = lastCall.arguments
-    .map(arg => printReceived(arg))
-    .join(', ');
+  const strict = isStrictEquality();
+  const isEqual = createEquality(this, strict);
+  const pass = argumentsMatch(lastCall.arguments, args, isEqual);
+
+  if (pass) {
+    markVerified([lastCall]);
+  }
 
   return {
     pass,
     message: () =>
       `${matcherHint(matcherName, receivedText, '...expected', options)}\n\n` +
-      `Expected: ${pass ? 'not ' : ''}${formatExpectedArgs(args)}\n\n\n` +
-      `Received: ${receivedArgs || 'called with 0 arguments'}\n\n` +
+      `Expected: ${pass ? 'not ' : ''}${formatExpectedArgs(args)}\n` +
+      `Received: ${formatCallArgs(lastCall.arguments, args, isEqual)}\n\n` +
+      `${pass ? '' : `${formatArgumentsDiff(lastCall.arguments, args, isEqual)}\n\n`}` +
+      `${formatEquality(strict)}\n` +
       `Number of calls: ${RECEIVED_COLOR(callsCount)}\n`,
   };
 }
@@ -267,7 +524,8 @@ function toHaveBeenLastCalledWith(receivedMethod, ...args) {
 function toHaveBeenNthCalledWith(receivedMethod, nthCallIndex, ...args) {
   const { matcherName, options, receivedText } = matcherFactory(
     'toHaveBeenNthCalledWith',
-    this
+    this,
+    receivedMethod
   );
 
   ensureReceivedIsNodeMock(receivedMethod, matcherName, options);
@@ -288,10 +546,13 @@ function toHaveBeenNthCalledWith(receivedMethod, nthCallIndex, ...args) {
   }
 
   const nthCall = calls[nthCallIndex - 1];
-  const pass = argumentsMatch(nthCall.arguments, args);
-  const receivedArgs = nthCall.arguments
-    .map(arg => printReceived(arg))
-    .join(', ');
+  const strict = isStrictEquality();
+  const isEqual = createEquality(this, strict);
+  const pass = argumentsMatch(nthCall.arguments, args, isEqual);
+
+  if (pass) {
+    markVerified([nthCall]);
+  }
 
   return {
     pass,
@@ -299,7 +560,9 @@ function toHaveBeenNthCalledWith(receivedMethod, nthCallIndex, ...args) {
       `${matcherHint(matcherName, receivedText, '...expected', options)}\n\n` +
       `n: ${nthCallIndex}\n` +
       `Expected: ${pass ? 'not ' : ''}${formatExpectedArgs(args)}\n` +
-      `Received: ${receivedArgs || 'called with 0 arguments'}\n\n` +
+      `Received: ${formatCallArgs(nthCall.arguments, args, isEqual)}\n\n` +
+      `${pass ? '' : `${formatArgumentsDiff(nthCall.arguments, args, isEqual)}\n\n`}` +
+      `${formatEquality(strict)}\n` +
       `Number of calls: ${RECEIVED_COLOR(callsCount)}\n`,
   };
 }
@@ -313,7 +576,8 @@ function toHaveBeenNthCalledWith(receivedMethod, nthCallIndex, ...args) {
 function toHaveReturned(receivedMethod) {
   const { matcherName, options, receivedText } = matcherFactory(
     'toHaveReturned',
-    this
+    this,
+    receivedMethod
   );
 
   if (ensureReceivedIsNodeMock(receivedMethod, matcherName, options)) {
@@ -365,7 +629,8 @@ function toReturn(receivedMethod) {
 function toHaveReturnedTimes(receivedMethod, times) {
   const { matcherName, options, receivedText } = matcherFactory(
     'toHaveReturnedTimes',
-    this
+    this,
+    receivedMethod
   );
 
   ensureReceivedIsNodeMock(receivedMethod, matcherName, options);
@@ -385,40 +650,70 @@ function toHaveReturnedTimes(receivedMethod, times) {
 }
 
 /**
- * Matcher to verify that a mock function returned a specific value at least once
+ * Shared implementation of toHaveReturnedWith and toHaveReturnedStrictlyWith
+ * @param {string} name - The name of the matcher
+ * @param {boolean} strict - Compare with toStrictEqual instead of toEqual
  * @param {Function} receivedMethod - The mock function to check
  * @param {any} expected - The expected return value
  * @returns {Object} - An object with pass and message properties
- * @see https://jestjs.io/docs/expect#tohavereturnedwithvalue
  */
-function toHaveReturnedWith(receivedMethod, expected) {
+function returnedWith(name, strict, receivedMethod, expected) {
   const { matcherName, options, receivedText } = matcherFactory(
-    'toHaveReturnedWith',
-    this
+    name,
+    this,
+    receivedMethod
   );
 
   ensureReceivedIsNodeMock(receivedMethod, matcherName, options);
 
-  const pass = receivedMethod.mock.calls.some(call => {
-    try {
-      expect(call.result).toEqual(expected);
-      return true;
-    } catch (_) {
-      return false;
-    }
-  });
-
-  const allResults = receivedMethod.mock.calls.map(call => call.result);
+  const calls = receivedMethod.mock.calls;
+  const isEqual = createEquality(this, strict);
+  const pass = calls.some(call => isEqual(call.result, expected));
 
   return {
     pass,
     message: () =>
       `\n${matcherHint(matcherName, receivedText, 'expected', options)}\n\n` +
       `Expected: ${pass ? 'not ' : ''}${printExpected(expected)}\n` +
-      `Received: ${printReceived(allResults)}`,
+      `Received: ${printReceived(calls.map(call => call.result))}\n\n` +
+      `${formatEquality(strict)}`,
   };
 }
 
+/**
+ * Matcher to verify that a mock function returned a specific value at least once
+ * @param {Function} receivedMethod - The mock function to check
+ * @param {any} expected - The expected return value
+ * @returns {Object} - An object with pass and message properties
+ * @see https://jestjs.io/docs/expect#tohavereturnedwithvalue
+ */
+function toHaveReturnedWith(receivedMethod, expected) {
+  return returnedWith.call(
+    this,
+    'toHaveReturnedWith',
+    isStrictEquality(),
+    receivedMethod,
+    expected
+  );
+}
+
+/**
+ * Matcher to verify that a mock function returned a specific value at least once,
+ * comparing the values with toStrictEqual regardless of the configured equality
+ * @param {Function} receivedMethod - The mock function to check
+ * @param {any} expected - The expected return value
+ * @returns {Object} - An object with pass and message properties
+ */
+function toHaveReturnedStrictlyWith(receivedMethod, expected) {
+  return returnedWith.call(
+    this,
+    'toHaveReturnedStrictlyWith',
+    true,
+    receivedMethod,
+    expected
+  );
+}
+
 /**
  * Matcher to verify that a mock function's last return value matches the expected value
  * @param {Function} receivedMethod - The mock function to check
@@ -429,7 +724,8 @@ function toHaveReturnedWith(receivedMethod, expected) {
 function toHaveLastReturnedWith(receivedMethod, expected) {
   const { matcherName, options, receivedText } = matcherFactory(
     'toHaveLastReturnedWith',
-    this
+    this,
+    receivedMethod
   );
 
   ensureReceivedIsNodeMock(receivedMethod, matcherName, options);
@@ -444,20 +740,16 @@ function toHaveLastReturnedWith(receivedMethod, expected) {
   }
 
   const lastCall = calls[calls.length - 1];
-  let pass = false;
-  try {
-    expect(lastCall.result).toEqual(expected);
-    pass = true;
-  } catch (_) {
-    pass = false;
-  }
+  const strict = isStrictEquality();
+  const pass = createEquality(this, strict)(lastCall.result, expected);
 
   return {
     pass,
     message: () =>
       `\n${matcherHint(matcherName, receivedText, 'expected', options)}\n\n` +
       `Expected: ${pass ? 'not ' : ''}${printExpected(expected)}\n` +
-      `Received: ${printReceived(lastCall.result)}`,
+      `Received: ${printReceived(lastCall.result)}\n\n` +
+      `${formatEquality(strict)}`,
   };
 }
 
@@ -472,7 +764,8 @@ function toHaveLastReturnedWith(receivedMethod, expected) {
 function toHaveNthReturnedWith(receivedMethod, nthCall, expected) {
   const { matcherName, options, receivedText } = matcherFactory(
     'toHaveNthReturnedWith',
-    this
+    this,
+    receivedMethod
   );
 
   ensureReceivedIsNodeMock(receivedMethod, matcherName, options);
@@ -490,13 +783,8 @@ function toHaveNthReturnedWith(receivedMethod, nthCall, expected) {
   }
 
   const nthCallResult = calls[nthCall - 1].result;
-  let pass = false;
-  try {
-    expect(nthCallResult).toEqual(expected);
-    pass = true;
-  } catch (_) {
-    pass = false;
-  }
+  const strict = isStrictEquality();
+  const pass = createEquality(this, strict)(nthCallResult, expected);
 
   return {
     pass,
@@ -504,11 +792,1009 @@ function toHaveNthReturnedWith(receivedMethod, nthCall, expected) {
       `\n${matcherHint(matcherName, receivedText, 'expected', options)}\n\n` +
       `n: ${nthCall}\n` +
       `Expected: ${pass ? 'not ' : ''}${printExpected(expected)}\n` +
-      `Received: ${printReceived(nthCallResult)}`,
+      `Received: ${printReceived(nthCallResult)}\n\n` +
+      `${formatEquality(strict)}`,
+  };
+}
+
+/**
+ * Matcher to verify that a mock function threw an error at least once
+ * @param {Function} receivedMethod - The mock function to check
+ * @returns {Object} - An object with pass and message properties
+ */
+function toHaveThrown(receivedMethod) {
+  const { matcherName, options, receivedText } = matcherFactory(
+    'toHaveThrown',
+    this,
+    receivedMethod
+  );
+
+  ensureReceivedIsNodeMock(receivedMethod, matcherName, options);
+
+  const calls = receivedMethod.mock.calls;
+  const thrownCount = calls.filter(call => call.error !== undefined).length;
+  const pass = thrownCount > 0;
+
+  return {
+    pass,
+    message: () =>
+      `\n${matcherHint(matcherName, receivedText, '', options)}\n\n` +
+      `Expected number of thrown errors: ${pass ? EXPECTED_COLOR('0') : `>= ${EXPECTED_COLOR('1')}`}\n` +
+      `Received number of thrown errors: ${RECEIVED_COLOR(thrownCount)}\n\n` +
+      `${formatCallResults(calls)}\n`,
+  };
+}
+
+/**
+ * Matcher to verify that a mock function threw an error a specific number of times
+ * @param {Function} receivedMethod - The mock function to check
+ * @param {number} times - The expected number of thrown errors
+ * @returns {Object} - An object with pass and message properties
+ */
+function toHaveThrownTimes(receivedMethod, times) {
+  const { matcherName, options, receivedText } = matcherFactory(
+    'toHaveThrownTimes',
+    this,
+    receivedMethod
+  );
+
+  ensureReceivedIsNodeMock(receivedMethod, matcherName, options);
+
+  const calls = receivedMethod.mock.calls;
+  const thrownCount = calls.filter(call => call.error !== undefined).length;
+  const pass = thrownCount === times;
+
+  return {
+    pass,
+    message: () =>
+      `\n${matcherHint(matcherName, receivedText, 'expected', options)}\n\n` +
+      `Expected number of thrown errors: ${pass ? 'not ' : ''}${EXPECTED_COLOR(times)}\n` +
+      `Received number of thrown errors: ${RECEIVED_COLOR(thrownCount)}\n\n` +
+      `${formatCallResults(calls)}\n`,
+  };
+}
+
+/**
+ * Matcher to verify that a mock function threw a matching error at least once
+ * @param {Function} receivedMethod - The mock function to check
+ * @param {Function|string|RegExp|Object} expected - Error class, message substring, message pattern, asymmetric matcher or error object
+ * @returns {Object} - An object with pass and message properties
+ */
+function toHaveThrownWith(receivedMethod, expected) {
+  const { matcherName, options, receivedText } = matcherFactory(
+    'toHaveThrownWith',
+    this,
+    receivedMethod
+  );
+
+  ensureReceivedIsNodeMock(receivedMethod, matcherName, options);
+
+  const calls = receivedMethod.mock.calls;
+  const isEqual = createEquality(this, isStrictEquality());
+  const pass = calls.some(
+    call =>
+      call.error !== undefined && errorMatches(call.error, expected, isEqual)
+  );
+
+  return {
+    pass,
+    message: () =>
+      `\n${matcherHint(matcherName, receivedText, 'expected', options)}\n\n` +
+      `Expected: ${pass ? 'not ' : ''}${formatExpectedError(expected)}\n` +
+      `${formatCallResults(calls)}\n\n` +
+      `Number of calls: ${RECEIVED_COLOR(calls.length)}\n`,
+  };
+}
+
+/**
+ * Matcher to verify that the last call of a mock function threw a matching error
+ * @param {Function} receivedMethod - The mock function to check
+ * @param {Function|string|RegExp|Object} expected - Error class, message substring, message pattern, asymmetric matcher or error object
+ * @returns {Object} - An object with pass and message properties
+ */
+function toHaveLastThrownWith(receivedMethod, expected) {
+  const { matcherName, options, receivedText } = matcherFactory(
+    'toHaveLastThrownWith',
+    this,
+    receivedMethod
+  );
+
+  ensureReceivedIsNodeMock(receivedMethod, matcherName, options);
+
+  const calls = receivedMethod.mock.calls;
+  if (calls.length === 0) {
+    return {
+      pass: false,
+      message: () =>
+        `\n${matcherHint(matcherName, receivedText, 'expected', options)}\n\nExpected: ${formatExpectedError(expected)}\nBut the function was not called`,
+    };
+  }
+
+  const lastCall = calls[calls.length - 1];
+  const pass =
+    lastCall.error !== undefined &&
+    errorMatches(
+      lastCall.error,
+      expected,
+      createEquality(this, isStrictEquality())
+    );
+
+  return {
+    pass,
+    message: () =>
+      `\n${matcherHint(matcherName, receivedText, 'expected', options)}\n\n` +
+      `Expected: ${pass ? 'not ' : ''}${formatExpectedError(expected)}\n` +
+      `Received: ${formatCallResult(lastCall)}\n\n` +
+      `Number of calls: ${RECEIVED_COLOR(calls.length)}\n`,
+  };
+}
+
+/**
+ * Matcher to verify that the nth call of a mock function threw a matching error
+ * @param {Function} receivedMethod - The mock function to check
+ * @param {number} nthCall - The call number to check (1-indexed)
+ * @param {Function|string|RegExp|Object} expected - Error class, message substring, message pattern, asymmetric matcher or error object
+ * @returns {Object} - An object with pass and message properties
+ */
+function toHaveNthThrownWith(receivedMethod, nthCall, expected) {
+  const { matcherName, options, receivedText } = matcherFactory(
+    'toHaveNthThrownWith',
+    this,
+    receivedMethod
+  );
+
+  ensureReceivedIsNodeMock(receivedMethod, matcherName, options);
+
+  const calls = receivedMethod.mock.calls;
+  if (nthCall < 1 || nthCall > calls.length) {
+    return {
+      pass: false,
+      message: () =>
+        `\n${matcherHint(matcherName, receivedText, 'expected', options)}\n\n` +
+        `n: ${nthCall}\n` +
+        `Expected: ${formatExpectedError(expected)}\n` +
+        `But the function was ${calls.length === 0 ? 'not called' : `only called ${calls.length} time(s)`}`,
+    };
+  }
+
+  const nthCallRecord = calls[nthCall - 1];
+  const pass =
+    nthCallRecord.error !== undefined &&
+    errorMatches(
+      nthCallRecord.error,
+      expected,
+      createEquality(this, isStrictEquality())
+    );
+
+  return {
+    pass,
+    message: () =>
+      `\n${matcherHint(matcherName, receivedText, 'expected', options)}\n\n` +
+      `n: ${nthCall}\n` +
+      `Expected: ${pass ? 'not ' : ''}${formatExpectedError(expected)}\n` +
+      `Received: ${formatCallResult(nthCallRecord)}\n\n` +
+      `Number of calls: ${RECEIVED_COLOR(calls.length)}\n`,
+  };
+}
+
+/**
+ * Matcher to verify that a promise returned by a mock function resolved at least once
+ * @param {Function} receivedMethod - The mock function to check
+ * @returns {Promise<Object>} - A promise of an object with pass and message properties
+ */
+async function toHaveResolved(receivedMethod) {
+  const { matcherName, options, receivedText } = matcherFactory(
+    'toHaveResolved',
+    this,
+    receivedMethod
+  );
+
+  ensureReceivedIsNodeMock(receivedMethod, matcherName, options);
+
+  const outcomes = await settleCallResults(receivedMethod.mock.calls);
+  const resolvedCount = outcomes.filter(
+    outcome => outcome.status === 'fulfilled'
+  ).length;
+  const pass = resolvedCount > 0;
+
+  return {
+    pass,
+    message: () =>
+      `\n${matcherHint(matcherName, receivedText, '', options)}\n\n` +
+      `Expected number of resolved promises: ${pass ? EXPECTED_COLOR('0') : `>= ${EXPECTED_COLOR('1')}`}\n` +
+      `Received number of resolved promises: ${RECEIVED_COLOR(resolvedCount)}\n\n` +
+      `${formatCallResults(outcomes, formatSettledResult)}` +
+      `${formatPendingNote(outcomes)}\n`,
+  };
+}
+
+/**
+ * Matcher to verify that a promise returned by a mock function resolved with a specific value at least once
+ * @param {Function} receivedMethod - The mock function to check
+ * @param {any} expected - The expected resolved value
+ * @returns {Promise<Object>} - A promise of an object with pass and message properties
+ */
+async function toHaveResolvedWith(receivedMethod, expected) {
+  const { matcherName, options, receivedText } = matcherFactory(
+    'toHaveResolvedWith',
+    this,
+    receivedMethod
+  );
+
+  ensureReceivedIsNodeMock(receivedMethod, matcherName, options);
+
+  const outcomes = await settleCallResults(receivedMethod.mock.calls);
+  const strict = isStrictEquality();
+  const isEqual = createEquality(this, strict);
+  const pass = outcomes.some(
+    outcome =>
+      outcome.status === 'fulfilled' && isEqual(outcome.value, expected)
+  );
+
+  return {
+    pass,
+    message: () =>
+      `\n${matcherHint(matcherName, receivedText, 'expected', options)}\n\n` +
+      `Expected: ${pass ? 'not ' : ''}${printExpected(expected)}\n` +
+      `${formatCallResults(outcomes, formatSettledResult)}` +
+      `${formatPendingNote(outcomes)}\n\n` +
+      `${formatEquality(strict)}\n` +
+      `Number of calls: ${RECEIVED_COLOR(outcomes.length)}\n`,
+  };
+}
+
+/**
+ * Matcher to verify that the promise returned by the last call of a mock function resolved with a specific value
+ * @param {Function} receivedMethod - The mock function to check
+ * @param {any} expected - The expected resolved value
+ * @returns {Promise<Object>} - A promise of an object with pass and message properties
+ */
+async function toHaveLastResolvedWith(receivedMethod, expected) {
+  const { matcherName, options, receivedText } = matcherFactory(
+    'toHaveLastResolvedWith',
+    this,
+    receivedMethod
+  );
+
+  ensureReceivedIsNodeMock(receivedMethod, matcherName, options);
+
+  const calls = receivedMethod.mock.calls;
+  if (calls.length === 0) {
+    return {
+      pass: false,
+      message: () =>
+        `\n${matcherHint(matcherName, receivedText, 'expected', options)}\n\nExpected: ${printExpected(expected)}\nBut the function was not called`,
+    };
+  }
+
+  const outcomes = await settleCallResults(calls.slice(-1));
+  const [lastOutcome] = outcomes;
+  const strict = isStrictEquality();
+  const pass =
+    lastOutcome.status === 'fulfilled' &&
+    createEquality(this, strict)(lastOutcome.value, expected);
+
+  return {
+    pass,
+    message: () =>
+      `\n${matcherHint(matcherName, receivedText, 'expected', options)}\n\n` +
+      `Expected: ${pass ? 'not ' : ''}${printExpected(expected)}\n` +
+      `Received: ${formatSettledResult(lastOutcome)}\n\n` +
+      `${formatEquality(strict)}\n` +
+      `Number of calls: ${RECEIVED_COLOR(calls.length)}\n`,
+  };
+}
+
+/**
+ * Matcher to verify that the promise returned by the nth call of a mock function resolved with a specific value
+ * @param {Function} receivedMethod - The mock function to check
+ * @param {number} nthCall - The call number to check (1-indexed)
+ * @param {any} expected - The expected resolved value
+ * @returns {Promise<Object>} - A promise of an object with pass and message properties
+ */
+async function toHaveNthResolvedWith(receivedMethod, nthCall, expected) {
+  const { matcherName, options, receivedText } = matcherFactory(
+    'toHaveNthResolvedWith',
+    this,
+    receivedMethod
+  );
+
+  ensureReceivedIsNodeMock(receivedMethod, matcherName, options);
+
+  const calls = receivedMethod.mock.calls;
+  if (nthCall < 1 || nthCall > calls.length) {
+    return {
+      pass: false,
+      message: () =>
+        `\n${matcherHint(matcherName, receivedText, 'expected', options)}\n\n` +
+        `n: ${nthCall}\n` +
+        `Expected: ${printExpected(expected)}\n` +
+        `But the function was ${calls.length === 0 ? 'not called' : `only called ${calls.length} time(s)`}`,
+    };
+  }
+
+  const [nthOutcome] = await settleCallResults([calls[nthCall - 1]]);
+  const strict = isStrictEquality();
+  const pass =
+    nthOutcome.status === 'fulfilled' &&
+    createEquality(this, strict)(nthOutcome.value, expected);
+
+  return {
+    pass,
+    message: () =>
+      `\n${matcherHint(matcherName, receivedText, 'expected', options)}\n\n` +
+      `n: ${nthCall}\n` +
+      `Expected: ${pass ? 'not ' : ''}${printExpected(expected)}\n` +
+      `Received: ${formatSettledResult(nthOutcome)}\n\n` +
+      `${formatEquality(strict)}\n` +
+      `Number of calls: ${RECEIVED_COLOR(calls.length)}\n`,
+  };
+}
+
+/**
+ * Matcher to verify that a promise returned by a mock function rejected with a matching reason at least once
+ * @param {Function} receivedMethod - The mock function to check
+ * @param {Function|string|RegExp|Object} expected - Error class, message substring, message pattern, asymmetric matcher or error object
+ * @returns {Promise<Object>} - A promise of an object with pass and message properties
+ */
+async function toHaveRejectedWith(receivedMethod, expected) {
+  const { matcherName, options, receivedText } = matcherFactory(
+    'toHaveRejectedWith',
+    this,
+    receivedMethod
+  );
+
+  ensureReceivedIsNodeMock(receivedMethod, matcherName, options);
+
+  const outcomes = await settleCallResults(receivedMethod.mock.calls);
+  const isEqual = createEquality(this, isStrictEquality());
+  const pass = outcomes.some(
+    outcome =>
+      outcome.status === 'rejected' &&
+      errorMatches(outcome.value, expected, isEqual)
+  );
+
+  return {
+    pass,
+    message: () =>
+      `\n${matcherHint(matcherName, receivedText, 'expected', options)}\n\n` +
+      `Expected: ${pass ? 'not ' : ''}${formatExpectedError(expected)}\n` +
+      `${formatCallResults(outcomes, formatSettledResult)}` +
+      `${formatPendingNote(outcomes)}\n\n` +
+      `Number of calls: ${RECEIVED_COLOR(outcomes.length)}\n`,
+  };
+}
+
+/**
+ * Matcher to verify that a mock function was called on a specific `this` receiver at least once
+ * @param {Function} receivedMethod - The mock function to check
+ * @param {any} expected - The expected receiver
+ * @param {Object} [matchOptions={}] - Optional configuration
+ * @param {'identity'|'deep'} [matchOptions.equality='identity'] - Compare by identity or with deep equality
+ * @returns {Object} - An object with pass and message properties
+ */
+function toHaveBeenCalledOn(
+  receivedMethod,
+  expected,
+  { equality = 'identity' } = {}
+) {
+  const { matcherName, options, receivedText } = matcherFactory(
+    'toHaveBeenCalledOn',
+    this,
+    receivedMethod
+  );
+
+  ensureReceivedIsNodeMock(receivedMethod, matcherName, options);
+
+  const calls = receivedMethod.mock.calls;
+  const isEqual = createEquality(this, isStrictEquality());
+  const pass = calls.some(call =>
+    receiverMatches(call.this, expected, equality, isEqual)
+  );
+
+  const receivedMsg =
+    calls.length === 0
+      ? 'But the function was not called'
+      : `Received\n${calls
+          .map(
+            (call, index) =>
+              `\t${index}: ${formatCallReceiver(call)}${formatCallSite(call)}`
+          )
+          .join('\n')}`;
+
+  return {
+    pass,
+    message: () =>
+      `\n${matcherHint(matcherName, receivedText, 'expected', options)}\n\n` +
+      `Expected receiver: ${pass ? 'not ' : ''}${formatExpectedReceiver(expected, equality)}\n` +
+      `${receivedMsg}\n\nNumber of calls: ${RECEIVED_COLOR(calls.length)}\n`,
+  };
+}
+
+/**
+ * Matcher to verify that the last call of a mock function was made on a specific `this` receiver
+ * @param {Function} receivedMethod - The mock function to check
+ * @param {any} expected - The expected receiver
+ * @param {Object} [matchOptions={}] - Optional configuration
+ * @param {'identity'|'deep'} [matchOptions.equality='identity'] - Compare by identity or with deep equality
+ * @returns {Object} - An object with pass and message properties
+ */
+function toHaveBeenLastCalledOn(
+  receivedMethod,
+  expected,
+  { equality = 'identity' } = {}
+) {
+  const { matcherName, options, receivedText } = matcherFactory(
+    'toHaveBeenLastCalledOn',
+    this,
+    receivedMethod
+  );
+
+  ensureReceivedIsNodeMock(receivedMethod, matcherName, options);
+
+  const calls = receivedMethod.mock.calls;
+  if (calls.length === 0) {
+    return {
+      pass: false,
+      message: () =>
+        `\n${matcherHint(matcherName, receivedText, 'expected', options)}\n\nExpected receiver: ${formatExpectedReceiver(expected, equality)}\nBut the function was not called`,
+    };
+  }
+
+  const lastCall = calls[calls.length - 1];
+  const pass = receiverMatches(
+    lastCall.this,
+    expected,
+    equality,
+    createEquality(this, isStrictEquality())
+  );
+
+  return {
+    pass,
+    message: () =>
+      `\n${matcherHint(matcherName, receivedText, 'expected', options)}\n\n` +
+      `Expected receiver: ${pass ? 'not ' : ''}${formatExpectedReceiver(expected, equality)}\n` +
+      `Received: ${formatCallReceiver(lastCall)}\n\n` +
+      `Number of calls: ${RECEIVED_COLOR(calls.length)}\n`,
+  };
+}
+
+/**
+ * Matcher to verify that the nth call of a mock function was made on a specific `this` receiver
+ * @param {Function} receivedMethod - The mock function to check
+ * @param {number} nthCall - The call number to check (1-indexed)
+ * @param {any} expected - The expected receiver
+ * @param {Object} [matchOptions={}] - Optional configuration
+ * @param {'identity'|'deep'} [matchOptions.equality='identity'] - Compare by identity or with deep equality
+ * @returns {Object} - An object with pass and message properties
+ */
+function toHaveBeenNthCalledOn(
+  receivedMethod,
+  nthCall,
+  expected,
+  { equality = 'identity' } = {}
+) {
+  const { matcherName, options, receivedText } = matcherFactory(
+    'toHaveBeenNthCalledOn',
+    this,
+    receivedMethod
+  );
+
+  ensureReceivedIsNodeMock(receivedMethod, matcherName, options);
+
+  const calls = receivedMethod.mock.calls;
+  if (nthCall < 1 || nthCall > calls.length) {
+    return {
+      pass: false,
+      message: () =>
+        `\n${matcherHint(matcherName, receivedText, 'expected', options)}\n\n` +
+        `n: ${nthCall}\n` +
+        `Expected receiver: ${formatExpectedReceiver(expected, equality)}\n` +
+        `But the function was ${calls.length === 0 ? 'not called' : `only called ${calls.length} time(s)`}`,
+    };
+  }
+
+  const nthCallRecord = calls[nthCall - 1];
+  const pass = receiverMatches(
+    nthCallRecord.this,
+    expected,
+    equality,
+    createEquality(this, isStrictEquality())
+  );
+
+  return {
+    pass,
+    message: () =>
+      `\n${matcherHint(matcherName, receivedText, 'expected', options)}\n\n` +
+      `n: ${nthCall}\n` +
+      `Expected receiver: ${pass ? 'not ' : ''}${formatExpectedReceiver(expected, equality)}\n` +
+      `Received: ${formatCallReceiver(nthCallRecord)}\n\n` +
+      `Number of calls: ${RECEIVED_COLOR(calls.length)}\n`,
+  };
+}
+
+/**
+ * Matcher to verify that a mock function was called with the `new` operator at least once
+ * @param {Function} receivedMethod - The mock function to check
+ * @returns {Object} - An object with pass and message properties
+ */
+function toHaveBeenConstructed(receivedMethod) {
+  const { matcherName, options, receivedText } = matcherFactory(
+    'toHaveBeenConstructed',
+    this,
+    receivedMethod
+  );
+
+  ensureReceivedIsNodeMock(receivedMethod, matcherName, options);
+
+  const calls = receivedMethod.mock.calls;
+  const constructedCount = calls.filter(isConstructCall).length;
+  const pass = constructedCount > 0;
+
+  return {
+    pass,
+    message: () =>
+      `\n${matcherHint(matcherName, receivedText, '', options)}\n\n` +
+      `Expected number of construct calls: ${pass ? EXPECTED_COLOR('0') : `>= ${EXPECTED_COLOR('1')}`}\n` +
+      `Received number of construct calls: ${RECEIVED_COLOR(constructedCount)}\n\n` +
+      `${formatCallKinds(calls)}\n`,
+  };
+}
+
+/**
+ * Matcher to verify that a mock function was called with the `new` operator a specific number of times
+ * @param {Function} receivedMethod - The mock function to check
+ * @param {number} times - The expected number of construct calls
+ * @returns {Object} - An object with pass and message properties
+ */
+function toHaveBeenConstructedTimes(receivedMethod, times) {
+  const { matcherName, options, receivedText } = matcherFactory(
+    'toHaveBeenConstructedTimes',
+    this,
+    receivedMethod
+  );
+
+  ensureReceivedIsNodeMock(receivedMethod, matcherName, options);
+
+  const calls = receivedMethod.mock.calls;
+  const constructedCount = calls.filter(isConstructCall).length;
+  const pass = constructedCount === times;
+
+  return {
+    pass,
+    message: () =>
+      `\n${matcherHint(matcherName, receivedText, 'expected', options)}\n\n` +
+      `Expected number of construct calls: ${pass ? 'not ' : ''}${EXPECTED_COLOR(times)}\n` +
+      `Received number of construct calls: ${RECEIVED_COLOR(constructedCount)}\n\n` +
+      `${formatCallKinds(calls)}\n`,
+  };
+}
+
+/**
+ * Matcher to verify that a mock function was called with the `new` operator and specific arguments at least once
+ * @param {Function} receivedMethod - The mock function to check
+ * @param {...any} args - The expected arguments
+ * @returns {Object} - An object with pass and message properties
+ */
+function toHaveBeenConstructedWith(receivedMethod, ...args) {
+  const { matcherName, options, receivedText } = matcherFactory(
+    'toHaveBeenConstructedWith',
+    this,
+    receivedMethod
+  );
+
+  ensureReceivedIsNodeMock(receivedMethod, matcherName, options);
+
+  const calls = receivedMethod.mock.calls;
+  const strict = isStrictEquality();
+  const isEqual = createEquality(this, strict);
+  const firstIndex = calls.findIndex(
+    call =>
+      isConstructCall(call) && argumentsMatch(call.arguments, args, isEqual)
+  );
+  const pass = firstIndex !== -1;
+
+  if (pass) {
+    markVerified([
+      calls[firstIndex],
+      ...calls
+        .slice(firstIndex + 1)
+        .filter(
+          call =>
+            isConstructCall(call) &&
+            argumentsMatch(call.arguments, args, isEqual, { capture: false })
+        ),
+    ]);
+  }
+
+  return {
+    pass,
+    message: () =>
+      `\n${matcherHint(matcherName, receivedText, '...expected', options)}\n\n` +
+      `Expected: ${pass ? 'not ' : ''}new: ${formatExpectedArgs(args)}\n` +
+      `${formatCallKinds(calls)}\n\n` +
+      `${formatEquality(strict)}\n` +
+      `Number of calls: ${RECEIVED_COLOR(calls.length)}\n`,
+  };
+}
+
+/**
+ * Matcher to verify that a mock function was called without the `new` operator at least once
+ * @param {Function} receivedMethod - The mock function to check
+ * @returns {Object} - An object with pass and message properties
+ */
+function toHaveBeenCalledWithoutNew(receivedMethod) {
+  const { matcherName, options, receivedText } = matcherFactory(
+    'toHaveBeenCalledWithoutNew',
+    this,
+    receivedMethod
+  );
+
+  ensureReceivedIsNodeMock(receivedMethod, matcherName, options);
+
+  const calls = receivedMethod.mock.calls;
+  const plainCount = calls.filter(call => !isConstructCall(call)).length;
+  const pass = plainCount > 0;
+
+  return {
+    pass,
+    message: () =>
+      `\n${matcherHint(matcherName, receivedText, '', options)}\n\n` +
+      `Expected number of calls without new: ${pass ? EXPECTED_COLOR('0') : `>= ${EXPECTED_COLOR('1')}`}\n` +
+      `Received number of calls without new: ${RECEIVED_COLOR(plainCount)}\n\n` +
+      `${formatCallKinds(calls)}\n`,
+  };
+}
+
+/**
+ * Helper function to count all recorded calls
+ * @param {Array} calls - The recorded calls of a node mock function
+ * @returns {number} - Number of calls
+ */
+function countCalls(calls) {
+  return calls.length;
+}
+
+/**
+ * Helper function to count the calls which returned without throwing
+ * @param {Array} calls - The recorded calls of a node mock function
+ * @returns {number} - Number of successful returns
+ */
+function countReturns(calls) {
+  return calls.filter(call => call.error === undefined).length;
+}
+
+/**
+ * Function to ensure that the bounds of a range matcher are valid
+ * @param {Object} bounds - The bounds of the range, keyed by min and max
+ * @param {string} matcherName - The name of the matcher being used
+ * @param {Object} options - Configuration for error messages
+ * @throws {TypeError} - Throws if a bound is not a non-negative integer or min is greater than max
+ */
+function ensureValidBounds(bounds, matcherName, options) {
+  const hint = matcherHint(
+    matcherName,
+    'mock.fn()',
+    Object.keys(bounds).join(', '),
+    options
+  );
+
+  for (const [name, value] of Object.entries(bounds)) {
+    if (!Number.isInteger(value) || value < 0) {
+      throw new TypeError(
+        matcherErrorMessage(
+          hint,
+          `${EXPECTED_COLOR(name)} value must be a non-negative integer`,
+          printWithType(name, value, printExpected)
+        )
+      );
+    }
+  }
+
+  if (bounds.min > bounds.max) {
+    throw new TypeError(
+      matcherErrorMessage(
+        hint,
+        `${EXPECTED_COLOR('min')} value must not be greater than ${EXPECTED_COLOR('max')} value`
+      )
+    );
+  }
+}
+
+/**
+ * Helper function to format the expected range of a count, or its complement for a negated matcher
+ * @param {Object} bounds - The bounds of the range, keyed by min and max
+ * @param {boolean} complement - Format the counts outside of the range
+ * @returns {string} - Formatted message
+ */
+function formatCountRange({ min, max }, complement) {
+  const parts = [];
+
+  if (min !== undefined) {
+    parts.push(`${complement ? '<' : '>='} ${EXPECTED_COLOR(min)}`);
+  }
+  if (max !== undefined) {
+    parts.push(`${complement ? '>' : '<='} ${EXPECTED_COLOR(max)}`);
+  }
+
+  return parts.join(complement ? ' or ' : ' and ');
+}
+
+/**
+ * Helper function to align a received count with the first count of formatCountRange()
+ * @param {Object} bounds - The bounds of the range, keyed by min and max
+ * @param {boolean} complement - Whether the counts outside of the range were formatted
+ * @returns {string} - The spaces printed before the received count
+ */
+function formatCountPadding({ min }, complement) {
+  const operator =
+    min !== undefined ? (complement ? '<' : '>=') : complement ? '>' : '<=';
+
+  return ' '.repeat(operator.length + 1);
+}
+
+/**
+ * Shared implementation of the call and return count range matchers
+ * @param {string} name - The name of the matcher
+ * @param {string} noun - What is counted, used in the message
+ * @param {Function} count - Function counting the matching calls
+ * @param {Function} receivedMethod - The mock function to check
+ * @param {Object} bounds - The inclusive bounds of the range, keyed by min and max
+ * @returns {Object} - An object with pass and message properties
+ */
+function countInRange(name, noun, count, receivedMethod, bounds) {
+  const { matcherName, options, receivedText } = matcherFactory(
+    name,
+    this,
+    receivedMethod
+  );
+
+  ensureReceivedIsNodeMock(receivedMethod, matcherName, options);
+  ensureValidBounds(bounds, matcherName, options);
+
+  const received = count(receivedMethod.mock.calls);
+  const pass =
+    (bounds.min === undefined || received >= bounds.min) &&
+    (bounds.max === undefined || received <= bounds.max);
+
+  return {
+    pass,
+    message: () =>
+      `\n${matcherHint(matcherName, receivedText, Object.keys(bounds).join(', '), options)}\n\n` +
+      `Expected number of ${noun}: ${formatCountRange(bounds, pass)}\n` +
+      `Received number of ${noun}: ${formatCountPadding(bounds, pass)}${RECEIVED_COLOR(received)}\n`,
+  };
+}
+
+/**
+ * Matcher to verify that a mock function was called at least a number of times
+ * @param {Function} receivedMethod - The mock function to check
+ * @param {number} min - The minimum number of calls
+ * @returns {Object} - An object with pass and message properties
+ */
+function toHaveBeenCalledAtLeast(receivedMethod, min) {
+  return countInRange.call(
+    this,
+    'toHaveBeenCalledAtLeast',
+    'calls',
+    countCalls,
+    receivedMethod,
+    { min }
+  );
+}
+
+/**
+ * Matcher to verify that a mock function was called at most a number of times
+ * @param {Function} receivedMethod - The mock function to check
+ * @param {number} max - The maximum number of calls
+ * @returns {Object} - An object with pass and message properties
+ */
+function toHaveBeenCalledAtMost(receivedMethod, max) {
+  return countInRange.call(
+    this,
+    'toHaveBeenCalledAtMost',
+    'calls',
+    countCalls,
+    receivedMethod,
+    { max }
+  );
+}
+
+/**
+ * Matcher to verify that the number of calls of a mock function is within an inclusive range
+ * @param {Function} receivedMethod - The mock function to check
+ * @param {number} min - The minimum number of calls
+ * @param {number} max - The maximum number of calls
+ * @returns {Object} - An object with pass and message properties
+ */
+function toHaveBeenCalledBetween(receivedMethod, min, max) {
+  return countInRange.call(
+    this,
+    'toHaveBeenCalledBetween',
+    'calls',
+    countCalls,
+    receivedMethod,
+    { min, max }
+  );
+}
+
+/**
+ * Matcher to verify that a mock function returned without throwing at least a number of times
+ * @param {Function} receivedMethod - The mock function to check
+ * @param {number} min - The minimum number of successful returns
+ * @returns {Object} - An object with pass and message properties
+ */
+function toHaveReturnedAtLeast(receivedMethod, min) {
+  return countInRange.call(
+    this,
+    'toHaveReturnedAtLeast',
+    'returns',
+    countReturns,
+    receivedMethod,
+    { min }
+  );
+}
+
+/**
+ * Matcher to verify that a mock function returned without throwing at most a number of times
+ * @param {Function} receivedMethod - The mock function to check
+ * @param {number} max - The maximum number of successful returns
+ * @returns {Object} - An object with pass and message properties
+ */
+function toHaveReturnedAtMost(receivedMethod, max) {
+  return countInRange.call(
+    this,
+    'toHaveReturnedAtMost',
+    'returns',
+    countReturns,
+    receivedMethod,
+    { max }
+  );
+}
+
+/**
+ * Matcher to verify that the number of successful returns of a mock function is within an inclusive range
+ * @param {Function} receivedMethod - The mock function to check
+ * @param {number} min - The minimum number of successful returns
+ * @param {number} max - The maximum number of successful returns
+ * @returns {Object} - An object with pass and message properties
+ */
+function toHaveReturnedBetween(receivedMethod, min, max) {
+  return countInRange.call(
+    this,
+    'toHaveReturnedBetween',
+    'returns',
+    countReturns,
+    receivedMethod,
+    { min, max }
+  );
+}
+
+/**
+ * Helper function to format the conditions of a combined matcher which failed
+ * @param {Array<string>} conditions - The names of the failed conditions
+ * @returns {string} - Formatted message
+ */
+function formatFailedConditions(conditions) {
+  return `Failed condition${conditions.length === 1 ? '' : 's'}: ${conditions.join(', ')}`;
+}
+
+/**
+ * Matcher to verify that a mock function was called exactly once, with specific arguments
+ * @param {Function} receivedMethod - The mock function to check
+ * @param {...any} args - The expected arguments
+ * @returns {Object} - An object with pass and message properties
+ */
+function toHaveBeenCalledExactlyOnceWith(receivedMethod, ...args) {
+  const { matcherName, options, receivedText } = matcherFactory(
+    'toHaveBeenCalledExactlyOnceWith',
+    this,
+    receivedMethod
+  );
+
+  ensureReceivedIsNodeMock(receivedMethod, matcherName, options);
+
+  const calls = receivedMethod.mock.calls;
+  const strict = isStrictEquality();
+  const isEqual = createEquality(this, strict);
+  const countPasses = calls.length === 1;
+  const argumentsPass = calls.some(call =>
+    argumentsMatch(call.arguments, args, isEqual)
+  );
+  const pass = countPasses && argumentsPass;
+
+  if (pass) {
+    markVerified(calls);
+  }
+
+  const formatFailure = () => {
+    const failed = [];
+
+    if (!countPasses) {
+      failed.push('number of calls');
+    }
+    if (!argumentsPass) {
+      failed.push('arguments');
+    }
+    return failed.length === 0 ? '' : `\n${formatFailedConditions(failed)}`;
+  };
+
+  const formatReceived = () => {
+    if (calls.length === 0) {
+      return '\n\nBut the function was not called';
+    }
+    return `\n\n${formatReceivedCalls(calls, args, isEqual)}${
+      argumentsPass ? '' : formatClosestCallDiff(calls, args, isEqual)
+    }`;
+  };
+
+  return {
+    pass,
+    message: () =>
+      `\n${matcherHint(matcherName, receivedText, '...expected', options)}\n\n` +
+      `Expected: ${pass ? 'not ' : ''}called exactly once with ${formatExpectedArgs(args)}` +
+      `${formatFailure()}${formatReceived()}\n\n` +
+      `${formatEquality(strict)}\n` +
+      `Number of calls: ${RECEIVED_COLOR(calls.length)}\n`,
+  };
+}
+
+/**
+ * Matcher to verify that a mock function was called, and that every call had specific arguments
+ * @param {Function} receivedMethod - The mock function to check
+ * @param {...any} args - The expected arguments
+ * @returns {Object} - An object with pass and message properties
+ */
+function toHaveOnlyBeenCalledWith(receivedMethod, ...args) {
+  const { matcherName, options, receivedText } = matcherFactory(
+    'toHaveOnlyBeenCalledWith',
+    this,
+    receivedMethod
+  );
+
+  ensureReceivedIsNodeMock(receivedMethod, matcherName, options);
+
+  const calls = receivedMethod.mock.calls;
+  const strict = isStrictEquality();
+  const isEqual = createEquality(this, strict);
+  const mismatchedIndexes = calls
+    .map((_, index) => index)
+    .filter(index => !argumentsMatch(calls[index].arguments, args, isEqual));
+  const pass = calls.length > 0 && mismatchedIndexes.length === 0;
+
+  if (pass) {
+    markVerified(calls);
+  }
+
+  const formatReceived = () => {
+    if (calls.length === 0) {
+      return `\n${formatFailedConditions(['number of calls'])}\n\nBut the function was not called`;
+    }
+    if (pass) {
+      return `\n\n${formatReceivedCalls(calls, args, isEqual)}`;
+    }
+    return (
+      `\n${formatFailedConditions(['arguments'])}\n\n` +
+      `${formatReceivedCalls(calls, args, isEqual, { indexes: mismatchedIndexes })}` +
+      `${formatClosestCallDiff(calls, args, isEqual, { indexes: mismatchedIndexes })}`
+    );
+  };
+
+  return {
+    pass,
+    message: () =>
+      `\n${matcherHint(matcherName, receivedText, '...expected', options)}\n\n` +
+      `Expected: ${pass ? 'not ' : ''}only called with ${formatExpectedArgs(args)}${formatReceived()}\n\n` +
+      `${formatEquality(strict)}\n` +
+      `Number of calls: ${RECEIVED_COLOR(calls.length)}\n` +
+      `Number of calls with other arguments: ${RECEIVED_COLOR(mismatchedIndexes.length)}\n`,
   };
 }
 
 export {
+  formatCountPadding,
+  formatCountRange,
+  isPromiseLike,
   toHaveBeenCalled,
   toHaveBeenCalledTimes,
   toHaveBeenCalledWith,
@@ -520,4 +1806,31 @@ export {
   toHaveReturnedWith,
   toHaveLastReturnedWith,
   toHaveNthReturnedWith,
+  toHaveThrown,
+  toHaveThrownTimes,
+  toHaveThrownWith,
+  toHaveLastThrownWith,
+  toHaveNthThrownWith,
+  toHaveResolved,
+  toHaveResolvedWith,
+  toHaveLastResolvedWith,
+  toHaveNthResolvedWith,
+  toHaveRejectedWith,
+  toHaveBeenCalledOn,
+  toHaveBeenLastCalledOn,
+  toHaveBeenNthCalledOn,
+  toHaveBeenConstructed,
+  toHaveBeenConstructedTimes,
+  toHaveBeenConstructedWith,
+  toHaveBeenCalledWithoutNew,
+  toHaveBeenCalledStrictlyWith,
+  toHaveReturnedStrictlyWith,
+  toHaveBeenCalledAtLeast,
+  toHaveBeenCalledAtMost,
+  toHaveBeenCalledBetween,
+  toHaveReturnedAtLeast,
+  toHaveReturnedAtMost,
+  toHaveReturnedBetween,
+  toHaveBeenCalledExactlyOnceWith,
+  toHaveOnlyBeenCalledWith,
 };
@@ -0,0 +1,68 @@
+import { getMockTarget } from './checkpoint.mjs';
+
+/**
+ * Name of the default implementation of `mock.fn()`, printed as an unnamed mock
+ */
+const UNNAMED_MOCK = 'original';
+
+/**
+ * Helper function to check if a value is a node mock function
+ * @param {any} value - The value to check
+ * @returns {boolean} - Whether the value is a node mock function
+ */
+function isNodeMock(value) {
+  return (
+    typeof value === 'function' &&
+    typeof value.mock === 'object' &&
+    typeof value.mock?.callCount === 'function'
+  );
+}
+
+/**
+ * pretty-format plugin which prints node mock functions like Jest prints its mocks,
+ * `[MockFunction name]` followed by the recorded calls and their results
+ */
+const mockSerializer = {
+  test: isNodeMock,
+  serialize(value, config, indentation, depth, refs, printer) {
+    const name = value.name === UNNAMED_MOCK ? '' : value.name;
+    const nameString = name ? ` ${name}` : '';
+    const calls = value.mock.calls;
+
+    if (calls.length === 0 || depth + 1 > config.maxDepth) {
+      return `[MockFunction${nameString}]`;
+    }
+
+    const indentationNext = indentation + config.indent;
+    const printNext = printed =>
+      printer(printed, config, indentationNext, depth + 1, refs);
+    const results = calls.map(call =>
+      call.error === undefined
+        ? { type: 'return', value: call.result }
+        : { type: 'throw', value: call.error }
+    );
+
+    return (
+      `[MockFunction${nameString}] {${config.spacingOuter}` +
+      `${indentationNext}"calls": ${printNext(calls.map(call => call.arguments))}${config.min ? ', ' : ','}${config.spacingOuter}` +
+      `${indentationNext}"results": ${printNext(results)}${config.min ? '' : ','}${config.spacingOuter}${indentation}}`
+    );
+  },
+};
+
+/**
+ * Equality tester for expect.addEqualityTesters.
+ * Two node mock functions are equal when they are the same mock,
+ * a view created by since() or between() is equal to its mock.
+ * @param {any} a - The first value
+ * @param {any} b - The second value
+ * @returns {boolean|undefined} - The result, undefined when one of the values is not a node mock
+ */
+function mockEquality(a, b) {
+  if (!isNodeMock(a) || !isNodeMock(b)) {
+    return undefined;
+  }
+  return getMockTarget(a) === getMockTarget(b);
+}
+
+export { isNodeMock, mockEquality, mockSerializer };
@@ -0,0 +1,450 @@
+import {
+  matcherErrorMessage,
+  matcherHint,
+  printReceived,
+  printWithType,
+  withoutMatcherHint,
+} from './matcherUtils.mjs';
+import {
+  toHaveBeenCalled,
+  toHaveBeenCalledTimes,
+  toHaveBeenCalledWith,
+  toHaveBeenLastCalledWith,
+  toHaveBeenNthCalledWith,
+  toHaveLastReturnedWith,
+  toHaveNthReturnedWith,
+  toHaveReturned,
+  toHaveReturnedTimes,
+  toHaveReturnedWith,
+} from './mockMethodMatchers.mjs';
+import { isNodeMock } from './mockSerializer.mjs';
+import { EXPECTED_COLOR, RECEIVED_COLOR, matcherFactory } from './utils.mjs';
+
+/**
+ * How the object matchers describe the received object
+ */
+const OBJECT_SUBJECT = Object.freeze({
+  receivedText: 'object',
+  description: 'Node.js mock.method()',
+});
+
+/**
+ * Helper function to list an object and its prototypes
+ * @param {Object} object - The object
+ * @returns {Array<Object>} - The prototype chain, starting with the object itself
+ */
+function getPrototypeChain(object) {
+  const chain = [];
+
+  for (
+    let current = object;
+    current !== null;
+    current = Object.getPrototypeOf(current)
+  ) {
+    chain.push(current);
+  }
+
+  return chain;
+}
+
+/**
+ * Helper function to find the mock of a method without calling its getters.
+ * The method is mocked while its property holds a mock function, as a value
+ * or as an accessor, so a restored mock is no longer found.
+ * @param {Object} object - The object owning the method
+ * @param {string|symbol} methodName - The name of the method
+ * @returns {Function|undefined} - The installed mock, undefined when the method is not mocked
+ */
+function findMethodMock(object, methodName) {
+  const owner = getPrototypeChain(object).find(current =>
+    Object.hasOwn(current, methodName)
+  );
+
+  if (!owner) {
+    return undefined;
+  }
+
+  const { value, get, set } = Object.getOwnPropertyDescriptor(
+    owner,
+    methodName
+  );
+
+  return [value, get, set].find(isNodeMock);
+}
+
+/**
+ * Mocks found by the object matchers, keyed by the received object and the method name,
+ * to tell a method whose mock was restored from a method which was not mocked
+ * @type {WeakMap<Object, Map<string|symbol, Function>>}
+ */
+const foundMocks = new WeakMap();
+
+/**
+ * Helper function to find the mock of a method and remember it for later lookups
+ * @param {Object} object - The object owning the method
+ * @param {string|symbol} methodName - The name of the method
+ * @returns {{mockFn: Function|undefined, restored: boolean}} - The installed mock, and whether
+ * the method is not mocked anymore because a mock found earlier was restored
+ */
+function lookUpMethodMock(object, methodName) {
+  const mockFn = findMethodMock(object, methodName);
+  const found = foundMocks.get(object) ?? new Map();
+
+  if (mockFn) {
+    found.set(methodName, mockFn);
+    foundMocks.set(object, found);
+  }
+
+  return { mockFn, restored: !mockFn && found.has(methodName) };
+}
+
+/**
+ * Function to ensure that the received value is an object and the method name is valid
+ * @param {any} received - The value to check
+ * @param {any} methodName - The method name to check
+ * @param {string} matcherName - The name of the matcher being used
+ * @param {Object} [options={}] - Optional configuration for error messages
+ * @returns {boolean} - Returns true if validation passes
+ * @throws {TypeError} - Throws if received is not an object or methodName is not a string or symbol
+ */
+function ensureReceivedIsObject(received, methodName, matcherName, options) {
+  const hint = matcherHint(
+    matcherName,
+    OBJECT_SUBJECT.receivedText,
+    'methodName',
+    options
+  );
+
+  if (
+    received === null ||
+    (typeof received !== 'object' && typeof received !== 'function')
+  ) {
+    throw new TypeError(
+      matcherErrorMessage(
+        hint,
+        `${RECEIVED_COLOR('received')} value must be an object or a function`,
+        printWithType('Received', received, printReceived)
+      )
+    );
+  }
+
+  if (typeof methodName !== 'string' && typeof methodName !== 'symbol') {
+    throw new TypeError(
+      matcherErrorMessage(
+        hint,
+        `${EXPECTED_COLOR('methodName')} must be a string or a symbol`,
+        printWithType('methodName', methodName, printReceived)
+      )
+    );
+  }
+
+  return true;
+}
+
+/**
+ * Function to get the mock installed on a method of the received object
+ * @param {Object} received - The object owning the method
+ * @param {string|symbol} methodName - The name of the method
+ * @param {string} matcherName - The name of the matcher being used
+ * @param {Object} [options={}] - Optional configuration for error messages
+ * @returns {Function} - The mock function
+ * @throws {TypeError} - Throws if the method is not mocked, or its mock was restored
+ */
+function getMethodMock(received, methodName, matcherName, options) {
+  ensureReceivedIsObject(received, methodName, matcherName, options);
+
+  const { mockFn, restored } = lookUpMethodMock(received, methodName);
+
+  if (mockFn) {
+    return mockFn;
+  }
+
+  const state = restored
+    ? 'not mocked anymore, its mock was restored'
+    : 'not mocked, spy on it with mock.method()';
+
+  throw new TypeError(
+    matcherErrorMessage(
+      matcherHint(
+        matcherName,
+        OBJECT_SUBJECT.receivedText,
+        'methodName',
+        options
+      ),
+      `method ${EXPECTED_COLOR(String(methodName))} of the ${RECEIVED_COLOR('received')} object is ${state}`
+    )
+  );
+}
+
+/**
+ * Shared implementation of the object matchers.
+ * Finds the mock of the method and runs the mock function matcher on it.
+ * @param {string} name - The name of the matcher
+ * @param {Function} matcher - The mock function matcher to run
+ * @param {string} expectedText - The expected arguments printed in the matcher hint
+ * @param {Object} received - The object owning the method
+ * @param {string|symbol} methodName - The name of the method
+ * @param {Array} args - The arguments of the wrapped matcher
+ * @returns {Object} - An object with pass and message properties
+ */
+function methodMatcher(
+  name,
+  matcher,
+  expectedText,
+  received,
+  methodName,
+  args
+) {
+  const { matcherName, options, receivedText } = matcherFactory(
+    name,
+    this,
+    null,
+    OBJECT_SUBJECT
+  );
+  const mockFn = getMethodMock(received, methodName, matcherName, options);
+  const result = matcher.call(this, mockFn, ...args);
+  // Without the hint of the wrapped matcher, which describes the mock function
+  const details = () => withoutMatcherHint(result.message).trimStart();
+
+  return {
+    pass: result.pass,
+    message: () =>
+      `\n${matcherHint(matcherName, receivedText, `methodName${expectedText}`, options)}\n\n` +
+      `Method: ${EXPECTED_COLOR(String(methodName))}\n\n${details()}`,
+  };
+}
+
+/**
+ * Matcher to verify that a method of an object is currently mocked
+ * @param {Object} received - The object owning the method
+ * @param {string|symbol} methodName - The name of the method
+ * @returns {Object} - An object with pass and message properties
+ */
+function toBeMocked(received, methodName) {
+  const { matcherName, options, receivedText } = matcherFactory(
+    'toBeMocked',
+    this,
+    null,
+    OBJECT_SUBJECT
+  );
+
+  ensureReceivedIsObject(received, methodName, matcherName, options);
+
+  const { mockFn, restored } = lookUpMethodMock(received, methodName);
+  const pass = Boolean(mockFn);
+  const state = pass
+    ? printReceived(mockFn)
+    : RECEIVED_COLOR(restored ? 'restored' : 'not mocked');
+
+  return {
+    pass,
+    message: () =>
+      `\n${matcherHint(matcherName, receivedText, 'methodName', options)}\n\n` +
+      `Expected: method ${EXPECTED_COLOR(String(methodName))} ${pass ? 'not ' : ''}to be mocked\n` +
+      `Received: ${state}\n`,
+  };
+}
+
+/**
+ * Matcher to verify that a mocked method was called at least once
+ * @param {Object} received - The object owning the method
+ * @param {string|symbol} methodName - The name of the method
+ * @returns {Object} - An object with pass and message properties
+ */
+function toHaveMethodCalled(received, methodName) {
+  return methodMatcher.call(
+    this,
+    'toHaveMethodCalled',
+    toHaveBeenCalled,
+    '',
+    received,
+    methodName,
+    []
+  );
+}
+
+/**
+ * Matcher to verify that a mocked method was called an exact number of times
+ * @param {Object} received - The object owning the method
+ * @param {string|symbol} methodName - The name of the method
+ * @param {number} expected - The expected number of calls
+ * @returns {Object} - An object with pass and message properties
+ */
+function toHaveMethodCalledTimes(received, methodName, expected) {
+  return methodMatcher.call(
+    this,
+    'toHaveMethodCalledTimes',
+    toHaveBeenCalledTimes,
+    ', expected',
+    received,
+    methodName,
+    [expected]
+  );
+}
+
+/**
+ * Matcher to verify that a mocked method was called with specific arguments
+ * @param {Object} received - The object owning the method
+ * @param {string|symbol} methodName - The name of the method
+ * @param {...any} args - The expected arguments
+ * @returns {Object} - An object with pass and message properties
+ */
+function toHaveMethodCalledWith(received, methodName, ...args) {
+  return methodMatcher.call(
+    this,
+    'toHaveMethodCalledWith',
+    toHaveBeenCalledWith,
+    ', ...expected',
+    received,
+    methodName,
+    args
+  );
+}
+
+/**
+ * Matcher to verify that the last call of a mocked method was made with specific arguments
+ * @param {Object} received - The object owning the method
+ * @param {string|symbol} methodName - The name of the method
+ * @param {...any} args - The expected arguments
+ * @returns {Object} - An object with pass and message properties
+ */
+function toHaveMethodLastCalledWith(received, methodName, ...args) {
+  return methodMatcher.call(
+    this,
+    'toHaveMethodLastCalledWith',
+    toHaveBeenLastCalledWith,
+    ', ...expected',
+    received,
+    methodName,
+    args
+  );
+}
+
+/**
+ * Matcher to verify that the nth call of a mocked method was made with specific arguments
+ * @param {Object} received - The object owning the method
+ * @param {string|symbol} methodName - The name of the method
+ * @param {number} nthCall - The call to check (1-indexed)
+ * @param {...any} args - The expected arguments
+ * @returns {Object} - An object with pass and message properties
+ */
+function toHaveMethodNthCalledWith(received, methodName, nthCall, ...args) {
+  return methodMatcher.call(
+    this,
+    'toHaveMethodNthCalledWith',
+    toHaveBeenNthCalledWith,
+    ', n, ...expected',
+    received,
+    methodName,
+    [nthCall, ...args]
+  );
+}
+
+/**
+ * Matcher to verify that a mocked method returned without throwing at least once
+ * @param {Object} received - The object owning the method
+ * @param {string|symbol} methodName - The name of the method
+ * @returns {Object} - An object with pass and message properties
+ */
+function toHaveMethodReturned(received, methodName) {
+  return methodMatcher.call(
+    this,
+    'toHaveMethodReturned',
+    toHaveReturned,
+    '',
+    received,
+    methodName,
+    []
+  );
+}
+
+/**
+ * Matcher to verify that a mocked method returned without throwing an exact number of times
+ * @param {Object} received - The object owning the method
+ * @param {string|symbol} methodName - The name of the method
+ * @param {number} times - The expected number of successful returns
+ * @returns {Object} - An object with pass and message properties
+ */
+function toHaveMethodReturnedTimes(received, methodName, times) {
+  return methodMatcher.call(
+    this,
+    'toHaveMethodReturnedTimes',
+    toHaveReturnedTimes,
+    ', expected',
+    received,
+    methodName,
+    [times]
+  );
+}
+
+/**
+ * Matcher to verify that a mocked method returned a specific value at least once
+ * @param {Object} received - The object owning the method
+ * @param {string|symbol} methodName - The name of the method
+ * @param {any} expected - The expected return value
+ * @returns {Object} - An object with pass and message properties
+ */
+function toHaveMethodReturnedWith(received, methodName, expected) {
+  return methodMatcher.call(
+    this,
+    'toHaveMethodReturnedWith',
+    toHaveReturnedWith,
+    ', expected',
+    received,
+    methodName,
+    [expected]
+  );
+}
+
+/**
+ * Matcher to verify that the last call of a mocked method returned a specific value
+ * @param {Object} received - The object owning the method
+ * @param {string|symbol} methodName - The name of the method
+ * @param {any} expected - The expected return value
+ * @returns {Object} - An object with pass and message properties
+ */
+function toHaveMethodLastReturnedWith(received, methodName, expected) {
+  return methodMatcher.call(
+    this,
+    'toHaveMethodLastReturnedWith',
+    toHaveLastReturnedWith,
+    ', expected',
+    received,
+    methodName,
+    [expected]
+  );
+}
+
+/**
+ * Matcher to verify that the nth call of a mocked method returned a specific value
+ * @param {Object} received - The object owning the method
+ * @param {string|symbol} methodName - The name of the method
+ * @param {number} nthCall - The call to check (1-indexed)
+ * @param {any} expected - The expected return value
+ * @returns {Object} - An object with pass and message properties
+ */
+function toHaveMethodNthReturnedWith(received, methodName, nthCall, expected) {
+  return methodMatcher.call(
+    this,
+    'toHaveMethodNthReturnedWith',
+    toHaveNthReturnedWith,
+    ', n, expected',
+    received,
+    methodName,
+    [nthCall, expected]
+  );
+}
+
+export {
+  toBeMocked,
+  toHaveMethodCalled,
+  toHaveMethodCalledTimes,
+  toHaveMethodCalledWith,
+  toHaveMethodLastCalledWith,
+  toHaveMethodLastReturnedWith,
+  toHaveMethodNthCalledWith,
+  toHaveMethodNthReturnedWith,
+  toHaveMethodReturned,
+  toHaveMethodReturnedTimes,
+  toHaveMethodReturnedWith,
+};
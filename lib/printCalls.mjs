@@ -0,0 +1,224 @@
+import { getConfig } from './config.mjs';
+import {
+  printDiffOrStringify,
+  printExpected,
+  printReceived,
+  stringify,
+} from './matcherUtils.mjs';
+import { findCallSite } from './stack.mjs';
+import { DIM_COLOR, RECEIVED_COLOR } from './utils.mjs';
+
+/**
+ * Maximum number of calls printed in the received calls of a failure message
+ */
+export const PRINT_LIMIT = 3;
+
+/**
+ * Helper function to format an argument list
+ * @param {Array} args - The arguments to format
+ * @param {Function} [print=printReceived] - Function printing a single argument
+ * @returns {string} - Formatted message
+ */
+export function formatArgs(args, print = printReceived) {
+  return args.length === 0
+    ? 'called with 0 arguments'
+    : args.map(arg => print(arg)).join(', ');
+}
+
+/**
+ * Helper function to format the first PRINT_LIMIT items of a list, one per line,
+ * followed by the number of items left out
+ * @param {Array} items - The items to format
+ * @param {Function} formatItem - Function formatting a single item
+ * @param {string} noun - What an item is, such as `call`
+ * @returns {string} - Formatted lines
+ */
+export function formatLimitedList(items, formatItem, noun) {
+  const printed = items.slice(0, PRINT_LIMIT).map(formatItem);
+  const omitted = items.length - printed.length;
+
+  if (omitted > 0) {
+    printed.push(`\t…and ${omitted} more ${noun}${omitted === 1 ? '' : 's'}`);
+  }
+
+  return printed.join('\n');
+}
+
+/**
+ * Helper function to check which argument positions of a call match the expected arguments
+ * @param {Array} callArgs - The arguments from the actual call
+ * @param {Array} expectedArgs - The expected arguments
+ * @param {Function} isEqual - Equality used to compare a received and an expected argument
+ * @returns {Array<boolean>} - Whether the argument at each received position matches
+ */
+export function getMatchedPositions(callArgs, expectedArgs, isEqual) {
+  return callArgs.map(
+    (arg, index) =>
+      index < expectedArgs.length && isEqual(arg, expectedArgs[index])
+  );
+}
+
+/**
+ * Helper function to find the call whose arguments are the closest to the expected arguments.
+ * The closest call has the most matching argument positions, a call with the
+ * same number of arguments wins a tie, and the earlier call wins otherwise.
+ * @param {Array} calls - The recorded calls of a node mock function
+ * @param {Array} expectedArgs - The expected arguments
+ * @param {Function} isEqual - Equality used to compare a received and an expected argument
+ * @returns {number} - Index of the closest call, -1 when there are no calls
+ */
+export function findClosestCall(calls, expectedArgs, isEqual) {
+  let closestIndex = -1;
+  let closestScore = -1;
+
+  calls.forEach((call, index) => {
+    const matched = getMatchedPositions(
+      call.arguments,
+      expectedArgs,
+      isEqual
+    ).filter(Boolean).length;
+    const score =
+      matched * 2 + (call.arguments.length === expectedArgs.length ? 1 : 0);
+
+    if (score > closestScore) {
+      closestIndex = index;
+      closestScore = score;
+    }
+  });
+
+  return closestIndex;
+}
+
+/**
+ * Helper function to format the arguments of a call, dimming the positions that match the expected arguments
+ * @param {Array} callArgs - The arguments from the actual call
+ * @param {Array} expectedArgs - The expected arguments
+ * @param {Function} isEqual - Equality used to compare a received and an expected argument
+ * @returns {string} - Formatted message
+ */
+export function formatCallArgs(callArgs, expectedArgs, isEqual) {
+  if (callArgs.length === 0) {
+    return formatArgs(callArgs);
+  }
+
+  const matchedPositions = getMatchedPositions(callArgs, expectedArgs, isEqual);
+
+  return callArgs
+    .map((arg, index) =>
+      matchedPositions[index] ? DIM_COLOR(stringify(arg)) : printReceived(arg)
+    )
+    .join(', ');
+}
+
+/**
+ * Helper function to format where a call was made, when enabled with configure({ callSites: true })
+ * @param {Object} call - The recorded call, or an entry which carries the stack of the call
+ * @returns {string} - Formatted location, empty when disabled or unknown
+ */
+export function formatCallSite(call) {
+  if (!getConfig().callSites) {
+    return '';
+  }
+
+  const callSite = findCallSite(call);
+
+  return callSite ? ` ${DIM_COLOR(`at ${callSite}`)}` : '';
+}
+
+/**
+ * Helper function to format the received calls, limited to PRINT_LIMIT calls
+ * @param {Array} calls - The recorded calls of a node mock function
+ * @param {Array} expectedArgs - The expected arguments
+ * @param {Function} isEqual - Equality used to compare a received and an expected argument
+ * @param {Object} [options={}] - Optional configuration
+ * @param {Array<number>} [options.indexes] - Indexes of the calls to print, all calls by default
+ * @returns {string} - Formatted message
+ */
+export function formatReceivedCalls(
+  calls,
+  expectedArgs,
+  isEqual,
+  { indexes = calls.map((_, index) => index) } = {}
+) {
+  const printed = formatLimitedList(
+    indexes,
+    index =>
+      `\t${index}: ${formatCallArgs(calls[index].arguments, expectedArgs, isEqual)}${formatCallSite(calls[index])}`,
+    'call'
+  );
+
+  return `Received\n${printed}`;
+}
+
+/**
+ * Helper function to format a diff of every argument position that does not match
+ * @param {Array} callArgs - The arguments from the actual call
+ * @param {Array} expectedArgs - The expected arguments
+ * @param {Function} isEqual - Equality used to compare a received and an expected argument
+ * @returns {string} - Formatted message, empty when all arguments match
+ */
+export function formatArgumentsDiff(callArgs, expectedArgs, isEqual) {
+  const length = Math.max(callArgs.length, expectedArgs.length);
+  const sections = [];
+
+  for (let index = 0; index < length; index += 1) {
+    const label = `Argument ${index + 1}:`;
+
+    if (index >= callArgs.length) {
+      sections.push(
+        `${label} missing, expected ${printExpected(expectedArgs[index])}`
+      );
+    } else if (index >= expectedArgs.length) {
+      sections.push(
+        `${label} unexpected, received ${printReceived(callArgs[index])}`
+      );
+    } else if (!isEqual(callArgs[index], expectedArgs[index])) {
+      sections.push(
+        `${label}\n${printDiffOrStringify(
+          expectedArgs[index],
+          callArgs[index],
+          'Expected',
+          'Received',
+          false
+        )}`
+      );
+    }
+  }
+
+  return sections.join('\n\n');
+}
+
+/**
+ * Helper function to format the diff of the call closest to the expected arguments
+ * @param {Array} calls - The recorded calls of a node mock function
+ * @param {Array} expectedArgs - The expected arguments
+ * @param {Function} isEqual - Equality used to compare a received and an expected argument
+ * @param {Object} [options={}] - Optional configuration
+ * @param {Array<number>} [options.indexes] - Indexes of the calls to compare, all calls by default
+ * @returns {string} - Formatted message, empty when there is no call to compare
+ */
+export function formatClosestCallDiff(
+  calls,
+  expectedArgs,
+  isEqual,
+  { indexes = calls.map((_, index) => index) } = {}
+) {
+  const closest = findClosestCall(
+    indexes.map(index => calls[index]),
+    expectedArgs,
+    isEqual
+  );
+
+  if (closest === -1) {
+    return '';
+  }
+
+  const closestIndex = indexes[closest];
+  const argumentsDiff = formatArgumentsDiff(
+    calls[closestIndex].arguments,
+    expectedArgs,
+    isEqual
+  );
+
+  return `\n\nDifference with the closest call (${RECEIVED_COLOR(closestIndex)}):\n\n${argumentsDiff}`;
+}
@@ -0,0 +1,89 @@
+import { dirname, isAbsolute, relative, sep } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+/**
+ * Directory of the matcher modules, their frames are never the caller
+ */
+const LIB_DIR = dirname(fileURLToPath(import.meta.url));
+
+/**
+ * Matches the location at the end of a V8 stack frame, `file:line:column`
+ */
+const FRAME_LOCATION =
+  /\(?((?:file:\/\/|\/|[A-Za-z]:\\|node:)[^()]*?):(\d+):(\d+)\)?$/;
+
+/**
+ * Parse the frames of a V8 stack trace
+ * @param {string} [stack=''] - The stack trace
+ * @returns {Array<{file: string, line: number, column: number}>} - Frames with a location, top frame first
+ */
+function parseStack(stack = '') {
+  return stack
+    .split('\n')
+    .slice(1)
+    .map(line => FRAME_LOCATION.exec(line.trim()))
+    .filter(Boolean)
+    .map(([, location, line, column]) => ({
+      file: location.startsWith('file://') ? fileURLToPath(location) : location,
+      line: Number(line),
+      column: Number(column),
+    }));
+}
+
+/**
+ * Helper function to check if a frame belongs to Node.js, a dependency or this package
+ * @param {Object} frame - A parsed stack frame
+ * @returns {boolean} - Whether the frame is not user code
+ */
+function isInternalFrame({ file }) {
+  return (
+    file.startsWith('node:') ||
+    file.includes(`${sep}node_modules${sep}`) ||
+    dirname(file) === LIB_DIR
+  );
+}
+
+/**
+ * Capture the current stack trace, deep enough to reach past the frames of expect
+ * @returns {string} - The stack trace
+ */
+function captureStack() {
+  const { stackTraceLimit } = Error;
+
+  Error.stackTraceLimit = 50;
+
+  try {
+    return new Error().stack;
+  } finally {
+    Error.stackTraceLimit = stackTraceLimit;
+  }
+}
+
+/**
+ * Find the first frame of user code in a stack trace
+ * @param {string} [stack] - The stack trace, the current one by default
+ * @returns {{file: string, line: number, column: number}|undefined} - The user frame
+ */
+function findUserFrame(stack = captureStack()) {
+  return parseStack(stack).find(frame => !isInternalFrame(frame));
+}
+
+/**
+ * Find where a recorded call of a mock function was made
+ * @param {Object} call - The recorded call, Node.js keeps the stack of the call in `call.stack`
+ * @returns {string|undefined} - `file:line:column` of the first user frame, relative to the working directory when inside it
+ */
+function findCallSite(call) {
+  const frame = findUserFrame(call.stack?.stack ?? '');
+
+  if (!frame) {
+    return undefined;
+  }
+
+  const path = relative(process.cwd(), frame.file);
+  const file = path.startsWith('..') || isAbsolute(path) ? frame.file : path;
+
+  return `${file}:${frame.line}:${frame.column}`;
+}
+
+export { findCallSite, findUserFrame, isInternalFrame, parseStack };
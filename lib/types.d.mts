@@ -0,0 +1,244 @@
+import type {
+  Mock,
+  MockFunctionCall,
+  MockTimers,
+  TestContext,
+} from 'node:test';
+
+/**
+ * Anything compared with `asymmetricMatch`, such as `expect.any()` or a captor
+ */
+export interface AsymmetricMatcherLike {
+  asymmetricMatch(other: unknown): boolean;
+}
+
+/**
+ * Any function or class a mock function can be created for
+ */
+export type MockableFunction =
+  | ((...args: any[]) => any)
+  | (abstract new (
+      ...args: any[]
+    ) => any);
+
+/**
+ * `T`, where the value and any nested value may be replaced with an asymmetric matcher
+ */
+export type WithAsymmetricMatchers<T> = T extends (...args: any[]) => any
+  ? T | AsymmetricMatcherLike
+  : T extends object
+    ? AsymmetricMatcherLike | { [K in keyof T]: WithAsymmetricMatchers<T[K]> }
+    : T | AsymmetricMatcherLike;
+
+/**
+ * A tuple, where every element may be replaced with an asymmetric matcher
+ */
+export type WithAsymmetricMatchersEach<A extends unknown[]> = {
+  [K in keyof A]: WithAsymmetricMatchers<A[K]>;
+};
+
+/**
+ * The function type of a received `Mock<F>`, any function when it is not a function
+ */
+export type MockedFunction<T> = T extends (...args: any[]) => any
+  ? T
+  : T extends abstract new (
+        ...args: any[]
+      ) => any
+    ? T
+    : (...args: any[]) => any;
+
+/**
+ * The parameters of a received `Mock<F>`, those of the constructor for a class
+ */
+export type MockParameters<T> = T extends (...args: infer A) => any
+  ? A
+  : T extends abstract new (
+        ...args: infer A
+      ) => any
+    ? A
+    : unknown[];
+
+/**
+ * The return value of a received `Mock<F>`, the instance for a class
+ */
+export type MockReturnType<T> = T extends (...args: any[]) => infer R
+  ? R
+  : T extends abstract new (
+        ...args: any[]
+      ) => infer I
+    ? I
+    : unknown;
+
+/**
+ * The expected arguments of a call of a received `Mock<F>`
+ */
+export type ExpectedArguments<T> = WithAsymmetricMatchersEach<
+  MockParameters<T>
+>;
+
+/**
+ * The expected return value of a received `Mock<F>`
+ */
+export type ExpectedReturnValue<T> = WithAsymmetricMatchers<MockReturnType<T>>;
+
+/**
+ * The expected resolved value of a received `Mock<F>` returning a promise
+ */
+export type ExpectedResolvedValue<T> = WithAsymmetricMatchers<
+  Awaited<MockReturnType<T>>
+>;
+
+/**
+ * The expected value written to a property spied on with `mock.setter()`
+ */
+export type ExpectedAssignedValue<T> = MockParameters<T> extends [
+  infer V,
+  ...unknown[],
+]
+  ? WithAsymmetricMatchers<V>
+  : unknown;
+
+/**
+ * The names of the methods of an object, any name when the object type is unknown
+ */
+export type MethodName<T> = unknown extends T
+  ? string | symbol
+  : {
+      [K in keyof T]-?: T[K] extends (...args: any[]) => any ? K : never;
+    }[keyof T] &
+      (string | symbol);
+
+/**
+ * The type of a method of an object, unknown when the object type is unknown
+ */
+export type MethodOf<T, K> = K extends keyof T ? T[K] : unknown;
+
+/**
+ * An expected error: an error class, a message substring, a message pattern,
+ * an error with the expected message, or any value compared with deep equality.
+ * Errors are not typed, so every form is accepted.
+ */
+export type ExpectedError = unknown;
+
+/**
+ * Receives a recorded call, the call satisfies the predicate when it returns a truthy value
+ */
+export type CallPredicate<T> = (
+  call: MockFunctionCall<MockedFunction<T>>
+) => unknown;
+
+/**
+ * Options of `toHaveBeenCalledOn` and the other receiver matchers
+ */
+export interface ReceiverMatchOptions {
+  equality?: 'identity' | 'deep';
+}
+
+/**
+ * Options of `toHaveBeenCalledBefore` and `toHaveBeenCalledAfter`
+ */
+export interface CallOrderOptions {
+  anyCall?: boolean;
+}
+
+/**
+ * Options of `toHaveBeenCalledInSequence`
+ */
+export interface CallSequenceOptions {
+  mode?: 'exact' | 'subsequence';
+}
+
+/**
+ * Polling options of the eventually matchers
+ */
+export interface EventuallyOptions {
+  timeout?: number;
+  interval?: number;
+  timers?: MockTimers;
+}
+
+/**
+ * Matchers of the unstable values of a recorded call, stored in place of the values
+ */
+export interface CallRecordMatchers {
+  arguments?: unknown;
+  this?: unknown;
+  returned?: unknown;
+  threw?: unknown;
+  constructed?: unknown;
+}
+
+/**
+ * Options of `toMatchInlineCallSnapshot`
+ */
+export interface InlineCallSnapshotOptions {
+  propertyMatchers?: CallRecordMatchers | CallRecordMatchers[];
+}
+
+/**
+ * Options of `toMatchCallSnapshot`
+ */
+export interface CallSnapshotOptions extends InlineCallSnapshotOptions {
+  t: TestContext | { name: string; fullName?: string };
+  hint?: string;
+}
+
+/**
+ * The configuration of the matchers
+ */
+export interface Config {
+  equality: 'equal' | 'strict';
+  callSites: boolean;
+  updateSnapshots: 'all' | 'new' | 'none' | undefined;
+  eventually: {
+    timeout: number;
+    interval: number;
+    timers: MockTimers | undefined;
+  };
+}
+
+/**
+ * Configuration merged into the current one by `configure()`
+ */
+export interface ConfigOptions {
+  equality?: Config['equality'];
+  callSites?: boolean;
+  updateSnapshots?: Config['updateSnapshots'];
+  eventually?: EventuallyOptions;
+}
+
+/**
+ * A position in the calls of a mock function, created by `checkpoint()`
+ */
+export interface MockCheckpoint<F extends MockableFunction = MockableFunction> {
+  readonly mockFn: Mock<F>;
+  readonly callCount: number;
+}
+
+/**
+ * Asymmetric matcher which matches any value and records the values it was compared with
+ */
+export interface Captor<T = unknown> extends AsymmetricMatcherLike {
+  /**
+   * Last captured value, undefined when nothing was captured
+   */
+  readonly value: T | undefined;
+  /**
+   * All captured values in the order they were captured
+   */
+  readonly values: T[];
+  toString(): string;
+  toAsymmetricMatcher(): string;
+  getExpectedType(): string;
+}
+
+/**
+ * An expect instance the matchers can be registered on with `extendExpect()`
+ */
+export interface ExtendableExpect {
+  extend(matchers: Record<string, (...args: any[]) => any>): unknown;
+  addEqualityTesters?(
+    testers: Array<(a: any, b: any, ...rest: any[]) => boolean | undefined>
+  ): unknown;
+}
@@ -0,0 +1,104 @@
+import {
+  BOLD_WEIGHT,
+  DIM_COLOR,
+  EXPECTED_COLOR,
+  INVERTED_COLOR,
+  RECEIVED_COLOR,
+  matcherErrorMessage,
+  matcherHint,
+} from './matcherUtils.mjs';
+
+export {
+  BOLD_WEIGHT,
+  DIM_COLOR,
+  EXPECTED_COLOR,
+  INVERTED_COLOR,
+  RECEIVED_COLOR,
+};
+
+/**
+ * Function to ensure that the received value is a mock function
+ * @param {Function} received - The value to check if it's a mock function
+ * @param {string} matcherName - The name of the matcher being used
+ * @param {Object} [options={}] - Optional configuration for error messages
+ * @returns {boolean} - Returns true if validation passes
+ * @throws {TypeError} - Throws if received is not a function or not a mock function
+ */
+export function ensureReceivedIsNodeMock(received, matcherName, options = {}) {
+  if (typeof received !== 'function') {
+    throw new TypeError(
+      matcherErrorMessage(
+        matcherHint(matcherName, typeof received, 'function', options),
+        `${RECEIVED_COLOR('received')} value must be a function`
+      )
+    );
+  }
+
+  if (typeof received.mock !== 'object') {
+    throw new TypeError(
+      matcherErrorMessage(
+        matcherHint(matcherName, 'mock.fn()', '', options),
+        `${RECEIVED_COLOR('received')} value must be a node mock function`
+      )
+    );
+  }
+
+  return true;
+}
+
+/**
+ * Key under which the mock context of a scoped view describes its scope
+ */
+export const MOCK_SCOPE = Symbol('mockScope');
+
+/**
+ * Helper function to describe the scope of a checkpoint view, empty for a plain mock
+ * @param {Function} [received] - The received value of the matcher
+ * @returns {string} - Formatted description
+ */
+function formatScope(received) {
+  const scope =
+    typeof received === 'function' ? received.mock?.[MOCK_SCOPE] : undefined;
+
+  if (!scope) {
+    return '';
+  }
+
+  const omitted = [
+    scope.earlier > 0 && `${scope.earlier} earlier`,
+    scope.later > 0 && `${scope.later} later`,
+  ].filter(Boolean);
+
+  return omitted.length === 0
+    ? `, ${scope.description}`
+    : `, ${scope.description}, ${omitted.join(' and ')} call(s) left out`;
+}
+
+/**
+ * Factory function to create a matcher object
+ * @param {string} matcherName - The name of the matcher
+ * @param {Object} [options={}] - Optional configuration
+ * @param {boolean} [options.isNot] - Whether this is a negated matcher
+ * @param {boolean} [options.promise] - Whether this is a promise matcher
+ * @param {Function} [received] - The received value, a checkpoint view adds its scope to the comment
+ * @param {Object} [subject={}] - What the matcher checks, a mock function by default
+ * @param {string} [subject.receivedText='mock.fn()'] - The received value printed in the matcher hint
+ * @param {string} [subject.description='Node.js mock.fn()'] - The received value described in the comment
+ * @returns {Object} - An object containing matcherName, options, and receivedText
+ */
+export function matcherFactory(
+  matcherName,
+  { isNot, promise } = {},
+  received = null,
+  { receivedText = 'mock.fn()', description = 'Node.js mock.fn()' } = {}
+) {
+  return {
+    matcherName,
+    options: {
+      comment: `${matcherName} of ${description}${formatScope(received)}`,
+      isNot,
+      promise,
+    },
+    receivedText,
+  };
+}
@@ -0,0 +1,77 @@
+import { matcherHint } from './matcherUtils.mjs';
+import { formatArgs, formatCallSite } from './printCalls.mjs';
+import {
+  RECEIVED_COLOR,
+  ensureReceivedIsNodeMock,
+  matcherFactory,
+} from './utils.mjs';
+
+/**
+ * Recorded calls which a passing call matcher accounted for.
+ * Node keeps the identity of the call records, and resetCalls() drops them.
+ * @type {WeakSet<Object>}
+ */
+const verifiedCalls = new WeakSet();
+
+/**
+ * Mark recorded calls as verified by a call matcher
+ * @param {Array} calls - The recorded calls which matched
+ */
+function markVerified(calls) {
+  for (const call of calls) {
+    verifiedCalls.add(call);
+  }
+}
+
+/**
+ * Helper function to check if a recorded call was verified by a call matcher
+ * @param {Object} call - The recorded call
+ * @returns {boolean} - Whether the call was verified
+ */
+function isVerified(call) {
+  return verifiedCalls.has(call);
+}
+
+/**
+ * Matcher to verify that every call of a mock function was accounted for by an earlier call matcher
+ * @param {Function} receivedMethod - The mock function to check
+ * @returns {Object} - An object with pass and message properties
+ */
+function toHaveNoUnverifiedCalls(receivedMethod) {
+  const { matcherName, options, receivedText } = matcherFactory(
+    'toHaveNoUnverifiedCalls',
+    this,
+    receivedMethod
+  );
+
+  ensureReceivedIsNodeMock(receivedMethod, matcherName, options);
+
+  const calls = receivedMethod.mock.calls;
+  const unverifiedIndexes = calls
+    .map((_, index) => index)
+    .filter(index => !isVerified(calls[index]));
+  const pass = unverifiedIndexes.length === 0;
+
+  const formatUnverified = () => {
+    if (pass) {
+      return '';
+    }
+    return `\n\nUnverified calls\n${unverifiedIndexes
+      .map(
+        index =>
+          `\t${index}: ${formatArgs(calls[index].arguments)}${formatCallSite(calls[index])}`
+      )
+      .join('\n')}`;
+  };
+
+  return {
+    pass,
+    message: () =>
+      `\n${matcherHint(matcherName, receivedText, '', options)}\n\n` +
+      `Expected: ${pass ? 'some' : 'no'} unverified calls${formatUnverified()}\n\n` +
+      `Number of calls: ${RECEIVED_COLOR(calls.length)}\n` +
+      `Number of verified calls: ${RECEIVED_COLOR(calls.length - unverifiedIndexes.length)}\n`,
+  };
+}
+
+export { isVerified, markVerified, toHaveNoUnverifiedCalls };
@@ -0,0 +1,63 @@
+import { readFile, readdir, rm, writeFile } from 'node:fs/promises';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import { build } from 'esbuild';
+
+const ROOT_DIR = join(dirname(fileURLToPath(import.meta.url)), '..');
+const LIB_DIR = join(ROOT_DIR, 'lib');
+const DIST_DIR = join(ROOT_DIR, 'dist');
+
+/**
+ * esbuild plugin which keeps the modules of the package apart, so that every
+ * lib/*.mjs module becomes one dist/*.cjs module requiring the others
+ */
+const requireSiblingModules = {
+  name: 'require-sibling-modules',
+  setup(pluginBuild) {
+    pluginBuild.onResolve({ filter: /^\.\/.*\.mjs$/ }, ({ path }) => ({
+      path: path.replace(/\.mjs$/, '.cjs'),
+      external: true,
+    }));
+  },
+};
+
+/**
+ * Helper function to replace the module extensions in the import specifiers of declarations
+ * @param {string} source - The declarations of an ES module
+ * @returns {string} - The declarations of the CommonJS module
+ */
+function toCommonJsDeclarations(source) {
+  return source.replace(/from '(\.\/[^']+)\.mjs'/g, "from '$1.cjs'");
+}
+
+const files = await readdir(LIB_DIR);
+
+await rm(DIST_DIR, { recursive: true, force: true });
+
+await build({
+  entryPoints: files
+    .filter(file => file.endsWith('.mjs'))
+    .map(file => join(LIB_DIR, file)),
+  outdir: DIST_DIR,
+  outExtension: { '.js': '.cjs' },
+  bundle: true,
+  format: 'cjs',
+  platform: 'node',
+  target: 'node18',
+  packages: 'external',
+  plugins: [requireSiblingModules],
+  // import.meta is not available in CommonJS modules
+  banner: {
+    js: "const importMetaUrl = require('node:url').pathToFileURL(__filename).href;",
+  },
+  define: { 'import.meta.url': 'importMetaUrl' },
+  logLevel: 'warning',
+});
+
+for (const file of files.filter(name => name.endsWith('.d.mts'))) {
+  await writeFile(
+    join(DIST_DIR, file.replace(/\.d\.mts$/, '.d.cts')),
+    toCommonJsDeclarations(await readFile(join(LIB_DIR, file), 'utf8'))
+  );
+}
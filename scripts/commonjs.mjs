@@ -0,0 +1,4 @@
+import { register } from 'node:module';
+
+// Run the test suite against the CommonJS build, see commonjsHooks.mjs
+register('./commonjsHooks.mjs', import.meta.url);
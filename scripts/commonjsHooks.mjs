@@ -0,0 +1,27 @@
+const LIB_URL = new URL('../lib/', import.meta.url).href;
+const DIST_URL = new URL('../dist/', import.meta.url).href;
+
+/**
+ * Module resolution hook which loads the CommonJS build in place of every
+ * lib/*.mjs module, so that the tests importing them run against it
+ * @param {string} specifier - The imported specifier
+ * @param {Object} context - The resolution context
+ * @param {Function} nextResolve - The next resolution hook
+ * @returns {Promise<Object>} - The resolved module
+ */
+export async function resolve(specifier, context, nextResolve) {
+  const resolved = await nextResolve(specifier, context);
+  const file = resolved.url.startsWith(LIB_URL)
+    ? resolved.url.slice(LIB_URL.length)
+    : '';
+
+  if (/^[^/]+\.mjs$/.test(file)) {
+    return {
+      ...resolved,
+      url: `${DIST_URL}${file.replace(/\.mjs$/, '.cjs')}`,
+      format: 'commonjs',
+    };
+  }
+
+  return resolved;
+}